@@ -0,0 +1,70 @@
+// lib/accessPasses.js
+import crypto from "crypto";
+import { SignJWT, jwtVerify, errors as joseErrors } from "jose";
+
+// Passes are shown as a QR code at the door, so they only live long enough
+// to be scanned. A screenshot is useless a minute later.
+const PASS_TTL_SECONDS = parseInt(process.env.ACCESS_PASS_TTL_SECONDS) || 60;
+const PASS_ISSUER = "gamehub-access-pass";
+
+function getPassSecret() {
+  const secret = process.env.ACCESS_PASS_SECRET;
+  if (!secret) {
+    throw new Error("ACCESS_PASS_SECRET is not configured");
+  }
+  return new TextEncoder().encode(secret);
+}
+
+/**
+ * Sign a short-lived pass for an active subscription.
+ * Returns { token, passId, expiresAt }; the token is what goes in the QR.
+ */
+export async function issueAccessPass(subscription) {
+  const passId = crypto.randomBytes(12).toString("hex");
+  const expiresAt = new Date(Date.now() + PASS_TTL_SECONDS * 1000);
+
+  const token = await new SignJWT({
+    uid: subscription.userId,
+    cat: subscription.category
+  })
+    .setProtectedHeader({ alg: "HS256" })
+    .setIssuer(PASS_ISSUER)
+    .setSubject(subscription._id.toString())
+    .setJti(passId)
+    .setIssuedAt()
+    .setExpirationTime(Math.floor(expiresAt.getTime() / 1000))
+    .sign(getPassSecret());
+
+  return { token, passId, expiresAt };
+}
+
+/**
+ * Check a scanned pass. Returns { ok: true, subscriptionId, userId,
+ * category, passId } or { ok: false, error }.
+ */
+export async function verifyAccessPass(token) {
+  if (!token || typeof token !== "string") {
+    return { ok: false, error: "Pass token is required" };
+  }
+
+  const secret = getPassSecret();
+  try {
+    const { payload } = await jwtVerify(token, secret, {
+      issuer: PASS_ISSUER,
+      algorithms: ["HS256"]
+    });
+
+    return {
+      ok: true,
+      subscriptionId: payload.sub,
+      userId: payload.uid,
+      category: payload.cat,
+      passId: payload.jti
+    };
+  } catch (err) {
+    if (err instanceof joseErrors.JWTExpired) {
+      return { ok: false, error: "Pass has expired, ask the customer to refresh it" };
+    }
+    return { ok: false, error: "Invalid pass" };
+  }
+}
@@ -0,0 +1,233 @@
+// lib/airtel.js
+//
+// Airtel Money Africa Open API: collection (USSD push) and disbursement
+// (refund payouts). Airtel posts collection results to the callback URL
+// registered on the merchant app, not one given per request.
+import axios from "axios";
+import crypto from "crypto";
+import { formatPhoneNumber } from "./mpesa.js";
+import Logger from './logger.js';
+const logger = new Logger('airtel-service');
+
+const airtelAxios = axios.create({
+  timeout: 30000,
+  validateStatus: function (status) {
+    return status >= 200 && status < 500;
+  }
+});
+
+let tokenCache = {
+  token: null,
+  expiresAt: null
+};
+
+const baseUrl = () => process.env.AIRTEL_BASE_URL || "https://openapiuat.airtel.africa";
+const country = () => process.env.AIRTEL_COUNTRY || "KE";
+const currency = () => process.env.AIRTEL_CURRENCY || "KES";
+
+// Transaction status codes returned by enquiries and callbacks
+export const AIRTEL_STATUS = {
+  TS: "success",
+  TF: "failed",
+  TE: "failed",
+  TA: "pending",
+  TIP: "pending"
+};
+
+// Airtel wants the subscriber number without the country code
+function toMsisdn(phone) {
+  return formatPhoneNumber(phone).replace(/^254/, "");
+}
+
+// Our transaction id, also the reference Airtel reports back
+function generateTransactionId() {
+  return `AT${Date.now().toString(36)}${crypto.randomBytes(5).toString("hex")}`.toUpperCase();
+}
+
+async function getAirtelToken() {
+  if (tokenCache.token && tokenCache.expiresAt > Date.now() + 30000) {
+    return tokenCache.token;
+  }
+
+  if (!process.env.AIRTEL_CLIENT_ID || !process.env.AIRTEL_CLIENT_SECRET) {
+    throw new Error("Airtel Money credentials not configured");
+  }
+
+  const response = await airtelAxios.post(`${baseUrl()}/auth/oauth2/token`, {
+    client_id: process.env.AIRTEL_CLIENT_ID,
+    client_secret: process.env.AIRTEL_CLIENT_SECRET,
+    grant_type: "client_credentials"
+  }, { timeout: 10000 });
+
+  if (!response.data?.access_token) {
+    throw new Error(`Failed to get Airtel Money access token: ${response.data?.error_description || response.status}`);
+  }
+
+  tokenCache = {
+    token: response.data.access_token,
+    expiresAt: Date.now() + (parseInt(response.data.expires_in) || 180) * 1000
+  };
+  return tokenCache.token;
+}
+
+async function airtelHeaders() {
+  return {
+    Authorization: `Bearer ${await getAirtelToken()}`,
+    "Content-Type": "application/json",
+    "X-Country": country(),
+    "X-Currency": currency()
+  };
+}
+
+/**
+ * Send a USSD push asking the customer to approve a payment.
+ * Returns { transactionId, data }.
+ */
+export async function initiateAirtelCollection({ phone, amount, reference }) {
+  const transactionId = generateTransactionId();
+
+  try {
+    logger.info('Initiating Airtel Money collection', {
+      phone: phone ? '***' + phone.slice(-3) : undefined,
+      amount,
+      transactionId
+    });
+
+    const requestData = {
+      reference: String(reference).substring(0, 64),
+      subscriber: { country: country(), currency: currency(), msisdn: toMsisdn(phone) },
+      transaction: { amount: Math.round(amount), country: country(), currency: currency(), id: transactionId }
+    };
+
+    const response = await airtelAxios.post(`${baseUrl()}/merchant/v1/payments/`, requestData, {
+      headers: await airtelHeaders()
+    });
+
+    if (!response.data?.status?.success) {
+      throw new Error(`Airtel Money API error: ${response.data?.status?.message || response.status}`);
+    }
+
+    logger.info('Airtel Money collection accepted', { transactionId });
+    return { transactionId, data: response.data };
+  } catch (err) {
+    logger.error('Airtel Money collection failed', { error: err.message, transactionId });
+    throw new Error(err.message.startsWith("Invalid phone number") ? err.message : `Failed to initiate Airtel Money payment: ${err.message}`);
+  }
+}
+
+/**
+ * Ask Airtel what happened to a collection.
+ * Returns the enquiry's data.transaction ({ id, status, message, airtel_money_id });
+ * status is null when Airtel doesn't know the transaction.
+ */
+export async function queryAirtelCollection(transactionId) {
+  try {
+    const response = await airtelAxios.get(
+      `${baseUrl()}/standard/v1/payments/${encodeURIComponent(transactionId)}`,
+      { headers: await airtelHeaders() }
+    );
+
+    // Airtel has no such transaction (the prompt never went out or expired)
+    if (response.status === 404) {
+      return { id: transactionId, status: null, message: response.data?.status?.message || "Transaction not found" };
+    }
+
+    if (!response.data?.status?.success || !response.data?.data?.transaction) {
+      throw new Error(response.data?.status?.message || `HTTP ${response.status}`);
+    }
+
+    logger.info('Airtel Money enquiry completed', {
+      transactionId,
+      status: response.data.data.transaction.status
+    });
+    return response.data.data.transaction;
+  } catch (err) {
+    logger.error('Airtel Money enquiry failed', { error: err.message, transactionId });
+    throw new Error(`Failed to query Airtel Money transaction: ${err.message}`);
+  }
+}
+
+/**
+ * Pay money out to a customer's Airtel Money wallet (refunds). Airtel
+ * usually answers synchronously; a payout still in progress is checked
+ * later with queryAirtelDisbursement. AIRTEL_DISBURSEMENT_PIN is the PIN
+ * already encrypted with Airtel's public key.
+ * Returns { transactionId, status, airtelMoneyId, message, data }.
+ */
+export async function initiateAirtelDisbursement({
+  phone,
+  amount,
+  reference = "Refund",
+  transactionId = generateTransactionId()
+}) {
+
+  try {
+    if (!process.env.AIRTEL_DISBURSEMENT_PIN) {
+      throw new Error("Airtel Money disbursement PIN not configured");
+    }
+
+    logger.info('Initiating Airtel Money disbursement', {
+      phone: phone ? '***' + phone.slice(-3) : undefined,
+      amount,
+      transactionId
+    });
+
+    const response = await airtelAxios.post(`${baseUrl()}/standard/v1/disbursements/`, {
+      payee: { msisdn: toMsisdn(phone) },
+      reference: String(reference).substring(0, 64),
+      pin: process.env.AIRTEL_DISBURSEMENT_PIN,
+      transaction: { amount: Math.round(amount), id: transactionId }
+    }, { headers: await airtelHeaders() });
+
+    const transaction = response.data?.data?.transaction;
+    if (!response.data?.status?.success || !transaction) {
+      throw new Error(`Airtel Money API error: ${response.data?.status?.message || response.status}`);
+    }
+
+    return {
+      transactionId,
+      status: AIRTEL_STATUS[transaction.status] || "pending",
+      airtelMoneyId: transaction.airtel_money_id || transaction.reference_id,
+      message: transaction.message || response.data.status.message,
+      data: response.data
+    };
+  } catch (err) {
+    logger.error('Airtel Money disbursement failed', { error: err.message, transactionId, amount });
+    throw new Error(`Failed to initiate Airtel Money payout: ${err.message}`, { cause: err });
+  }
+}
+
+/**
+ * Ask Airtel what happened to a disbursement.
+ * Returns { transactionId, status, airtelMoneyId, message, data }; status
+ * is null when Airtel doesn't know the transaction.
+ */
+export async function queryAirtelDisbursement(transactionId) {
+  try {
+    const response = await airtelAxios.get(
+      `${baseUrl()}/standard/v1/disbursements/${encodeURIComponent(transactionId)}`,
+      { headers: await airtelHeaders() }
+    );
+
+    if (response.status === 404) {
+      return { transactionId, status: null, message: response.data?.status?.message || "Transaction not found" };
+    }
+
+    const transaction = response.data?.data?.transaction;
+    if (!response.data?.status?.success || !transaction) {
+      throw new Error(response.data?.status?.message || `HTTP ${response.status}`);
+    }
+
+    logger.info('Airtel Money disbursement enquiry completed', { transactionId, status: transaction.status });
+    return {
+      transactionId,
+      status: AIRTEL_STATUS[transaction.status] || "pending",
+      airtelMoneyId: transaction.airtel_money_id || transaction.reference_id,
+      message: transaction.message,
+      data: response.data
+    };
+  } catch (err) {
+    logger.error('Airtel Money disbursement enquiry failed', { error: err.message, transactionId });
+    throw new Error(`Failed to query Airtel Money payout: ${err.message}`);
+  }
+}
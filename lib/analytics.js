@@ -0,0 +1,343 @@
+// lib/analytics.js
+//
+// Admin reports. Each returns { columns, rows } so the route can send it as
+// JSON or CSV. Periods are East Africa Time days, Monday-based weeks or
+// months; a bundle checkout counts once, under category "bundle".
+import Payment from "../models/Payment.js";
+import Subscription from "../models/Subscription.js";
+import { branchCondition } from "./branches.js";
+
+// Nairobi is UTC+3 all year
+const UTC_OFFSET_HOURS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 731;
+const DEFAULT_RANGE_DAYS = 30;
+
+export const REPORT_INTERVALS = ["day", "week", "month"];
+
+// Instant at which a local YYYY-MM-DD day starts
+function dayStart(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d, -UTC_OFFSET_HOURS));
+}
+
+// Local YYYY-MM-DD of an instant
+function localDay(date) {
+  return new Date(date.getTime() + UTC_OFFSET_HOURS * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  return localDay(new Date(dayStart(day).getTime() + days * DAY_MS));
+}
+
+// Period a local day falls in: the day itself, its week's Monday, or YYYY-MM
+function periodOf(day, interval) {
+  if (interval === "month") return day.slice(0, 7);
+  if (interval === "week") {
+    const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return addDays(day, -weekday);
+  }
+  return day;
+}
+
+/**
+ * Validate ?from=YYYY-MM-DD&to=YYYY-MM-DD&interval= (to is inclusive).
+ * Defaults to the last 30 days by day. Returns the range with from/to as
+ * instants (to exclusive) and the periods it covers in order, each with
+ * its clamped { start, end }; or { status, error }.
+ */
+export function parseReportRange({ from, to, interval = "day" } = {}, now = new Date()) {
+  const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !dayPattern.test(from)) || (to && !dayPattern.test(to))) {
+    return { status: 400, error: "from and to must be dates in YYYY-MM-DD format" };
+  }
+  if (!REPORT_INTERVALS.includes(interval)) {
+    return { status: 400, error: `interval must be one of: ${REPORT_INTERVALS.join(", ")}` };
+  }
+
+  const lastDay = to || localDay(now);
+  const firstDay = from || addDays(lastDay, -(DEFAULT_RANGE_DAYS - 1));
+  const start = dayStart(firstDay);
+  const end = dayStart(addDays(lastDay, 1));
+  if (isNaN(start) || isNaN(end) || localDay(start) !== firstDay || addDays(localDay(end), -1) !== lastDay) {
+    return { status: 400, error: "from and to must be valid dates" };
+  }
+  if (start >= end) {
+    return { status: 400, error: "from must not be after to" };
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    return { status: 400, error: `Reports cover at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  const periods = [];
+  for (let day = firstDay; dayStart(day) < end; day = addDays(day, 1)) {
+    const key = periodOf(day, interval);
+    const last = periods[periods.length - 1];
+    if (last?.period === key) {
+      last.end = dayStart(addDays(day, 1));
+    } else {
+      periods.push({ period: key, start: dayStart(day), end: dayStart(addDays(day, 1)) });
+    }
+  }
+
+  return { from: start, to: end, firstDay, lastDay, interval, periods };
+}
+
+// Narrows a query to range.branch, when the report is for one branch
+const branchMatch = range => (range.branch ? { branch: branchCondition(range.branch) } : {});
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+// Category and plan a payment or checkout is reported under
+const categoryExpr = { $cond: [{ $ifNull: ["$sub.bundle.groupId", false] }, "bundle", "$sub.category"] };
+const checkoutCategoryExpr = { $cond: [{ $ifNull: ["$bundle.groupId", false] }, "bundle", "$category"] };
+
+/**
+ * Money taken per period, category and plan from the payment ledger.
+ * Refunds count against the payment they returned money from.
+ */
+export async function revenueReport(range) {
+  const days = await Payment.aggregate([
+    { $match: { status: "success", processedAt: { $gte: range.from, $lt: range.to }, ...branchMatch(range) } },
+    {
+      $lookup: {
+        from: Subscription.collection.name,
+        let: { subscriptionId: "$subscriptionId" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$subscriptionId"] } } },
+          { $project: { category: 1, plan: 1, bundle: 1 } }
+        ],
+        as: "sub"
+      }
+    },
+    { $unwind: "$sub" },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { date: "$processedAt", format: "%Y-%m-%d", timezone: "+03:00" } },
+          category: categoryExpr,
+          plan: { $ifNull: ["$extension.plan", { $ifNull: ["$sub.bundle.plan", "$sub.plan"] }] }
+        },
+        payments: { $sum: 1 },
+        gross: { $sum: { $ifNull: ["$paidAmount", "$amount"] } },
+        refunded: { $sum: { $ifNull: ["$refundedAmount", 0] } }
+      }
+    }
+  ]);
+
+  const rows = new Map();
+  for (const { _id, payments, gross, refunded } of days) {
+    const period = periodOf(_id.day, range.interval);
+    const key = `${period}|${_id.category}|${_id.plan}`;
+    const row = rows.get(key) || { period, category: _id.category, plan: _id.plan, payments: 0, gross: 0, refunded: 0 };
+    row.payments += payments;
+    row.gross += gross;
+    row.refunded += refunded;
+    rows.set(key, row);
+  }
+
+  return {
+    columns: ["period", "category", "plan", "payments", "gross", "refunded", "net"],
+    rows: [...rows.values()]
+      .map(row => ({ ...row, net: row.gross - row.refunded }))
+      .sort((a, b) =>
+        a.period.localeCompare(b.period) || a.category.localeCompare(b.category) || a.plan.localeCompare(b.plan)
+      )
+  };
+}
+
+/**
+ * Checkouts started per period and category, and how many got paid.
+ * conversionRate is activated / started; pending ones may still convert.
+ */
+export async function conversionReport(range) {
+  const days = await Subscription.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: range.from, $lt: range.to },
+        "bundle.primary": { $ne: false },
+        ...branchMatch(range)
+      }
+    },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { date: "$createdAt", format: "%Y-%m-%d", timezone: "+03:00" } },
+          category: checkoutCategoryExpr
+        },
+        started: { $sum: 1 },
+        activated: { $sum: { $cond: [{ $ifNull: ["$startDate", false] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] } },
+        pending: { $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const rows = new Map();
+  for (const { _id, started, activated, failed, pending } of days) {
+    const period = periodOf(_id.day, range.interval);
+    const key = `${period}|${_id.category}`;
+    const row = rows.get(key) || { period, category: _id.category, started: 0, activated: 0, failed: 0, pending: 0 };
+    row.started += started;
+    row.activated += activated;
+    row.failed += failed;
+    row.pending += pending;
+    rows.set(key, row);
+  }
+
+  return {
+    columns: ["period", "category", "started", "activated", "failed", "pending", "conversionRate"],
+    rows: [...rows.values()]
+      .map(row => ({ ...row, conversionRate: ratio(row.activated, row.started) }))
+      .sort((a, b) => a.period.localeCompare(b.period) || a.category.localeCompare(b.category))
+  };
+}
+
+/**
+ * Why checkouts in the range failed, most common first. share is the
+ * fraction of all failures in the range.
+ */
+export async function failureReport(range) {
+  const reasons = await Subscription.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: range.from, $lt: range.to },
+        status: "failed",
+        "bundle.primary": { $ne: false },
+        ...branchMatch(range)
+      }
+    },
+    {
+      $group: {
+        _id: { reason: { $ifNull: ["$failedReason", "Unknown"] }, category: checkoutCategoryExpr },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  const total = reasons.reduce((sum, r) => sum + r.count, 0);
+  return {
+    columns: ["reason", "category", "count", "share"],
+    rows: reasons.map(({ _id, count }) => ({
+      reason: _id.reason,
+      category: _id.category,
+      count,
+      share: ratio(count, total)
+    }))
+  };
+}
+
+// When each paid subscription overlapping the range gave access, by the
+// category it grants (bundle members count under their own category)
+async function loadMemberships(range) {
+  const subscriptions = await Subscription.find(
+    { startDate: { $ne: null, $lt: range.to }, endDate: { $gt: range.from }, ...branchMatch(range) },
+    { userId: 1, category: 1, startDate: 1, endDate: 1, cancelledAt: 1 }
+  ).lean();
+
+  return subscriptions.map(sub => ({
+    userId: sub.userId,
+    category: sub.category,
+    start: sub.startDate,
+    end: sub.cancelledAt && sub.cancelledAt < sub.endDate ? sub.cancelledAt : sub.endDate
+  }));
+}
+
+// { all, [category]: Set of userIds } holding a subscription at an instant
+function membersAt(memberships, at) {
+  const members = { all: new Set() };
+  let subscriptions = 0;
+  const byCategory = {};
+  for (const m of memberships) {
+    if (m.start <= at && m.end > at) {
+      (members[m.category] ||= new Set()).add(m.userId);
+      members.all.add(m.userId);
+      byCategory[m.category] = (byCategory[m.category] || 0) + 1;
+      subscriptions++;
+    }
+  }
+  return { members, subscriptions: { all: subscriptions, ...byCategory } };
+}
+
+/**
+ * Members (distinct users) and subscriptions active at the end of each
+ * period, or now for the current one; category "all" is every category.
+ */
+export async function activeMembersReport(range, now = new Date()) {
+  const memberships = await loadMemberships(range);
+  const rows = [];
+
+  for (const { period, end } of range.periods) {
+    const at = new Date(Math.min(end.getTime() - 1, now.getTime()));
+    const { members, subscriptions } = membersAt(memberships, at);
+    for (const category of Object.keys(members).sort()) {
+      rows.push({
+        period,
+        category,
+        activeMembers: members[category].size,
+        activeSubscriptions: subscriptions[category]
+      });
+    }
+  }
+
+  return { columns: ["period", "category", "activeMembers", "activeSubscriptions"], rows };
+}
+
+/**
+ * Per period: members at the start, how many joined, and how many of
+ * those at the start no longer held any subscription in that category at
+ * the end. churnRate is churned / members at start.
+ */
+export async function churnReport(range, now = new Date()) {
+  const memberships = await loadMemberships(range);
+  const rows = [];
+
+  for (const { period, start, end } of range.periods) {
+    if (start > now) break;
+    const before = membersAt(memberships, start).members;
+    const after = membersAt(memberships, new Date(Math.min(end.getTime() - 1, now.getTime()))).members;
+
+    const categories = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    for (const category of categories) {
+      const atStart = before[category] || new Set();
+      const atEnd = after[category] || new Set();
+      let churned = 0;
+      for (const userId of atStart) if (!atEnd.has(userId)) churned++;
+      let joined = 0;
+      for (const userId of atEnd) if (!atStart.has(userId)) joined++;
+
+      rows.push({
+        period,
+        category,
+        membersAtStart: atStart.size,
+        newMembers: joined,
+        churnedMembers: churned,
+        membersAtEnd: atEnd.size,
+        churnRate: ratio(churned, atStart.size)
+      });
+    }
+  }
+
+  return {
+    columns: ["period", "category", "membersAtStart", "newMembers", "churnedMembers", "membersAtEnd", "churnRate"],
+    rows
+  };
+}
+
+// Quote a CSV cell; text that a spreadsheet would run as a formula is
+// prefixed with ' (failure reasons come from M-Pesa, not from us)
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv({ columns, rows }) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,169 @@
+// lib/branches.js
+//
+// Venue lookups and the M-Pesa credentials each branch pays into. Records
+// from before branches get the default branch from scripts/migrateBranches.js.
+import mongoose from "mongoose";
+import Branch from "../models/Branch.js";
+import Plan from "../models/Plans.js";
+import Subscription from "../models/Subscription.js";
+import Payment from "../models/Payment.js";
+import CheckIn from "../models/CheckIn.js";
+import UsageSession from "../models/UsageSession.js";
+import Logger from './logger.js';
+const logger = new Logger('branches');
+
+// Branch documents change rarely; keep them briefly so every STK push and
+// status query doesn't have to read them again
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+export function clearBranchCache() {
+  cache.clear();
+}
+
+async function cached(key, load) {
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.value;
+
+  const value = await load();
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+}
+
+export function getDefaultBranch() {
+  return cached("default", () => Branch.findOne({ isDefault: true }).lean());
+}
+
+/**
+ * The branch with this id, or the default branch when id is empty (no
+ * branch chosen, or none set up yet). Resolves to null when neither exists.
+ */
+export async function getBranch(id) {
+  if (!id) return getDefaultBranch();
+  return cached(id.toString(), () => Branch.findById(id).lean());
+}
+
+/**
+ * Branch a customer picked at checkout, falling back to the plan's own
+ * branch and then the default one. Returns { branch } (null when no
+ * branches are set up yet) or { status, error }.
+ */
+export async function resolveCheckoutBranch(branchId, plan) {
+  if (branchId) {
+    const branch = await getBranch(branchId);
+    if (!branch || !branch.active) {
+      return { status: 400, error: "Unknown or closed branch" };
+    }
+    if (plan?.branch && plan.branch.toString() !== branch._id.toString()) {
+      return { status: 400, error: `The ${plan.plan} plan is not offered at ${branch.name}` };
+    }
+    return { branch };
+  }
+
+  return { branch: plan?.branch ? await getBranch(plan.branch) : await getDefaultBranch() };
+}
+
+// Query condition for records belonging to a branch
+export function branchCondition(branch) {
+  return new mongoose.Types.ObjectId(branch._id.toString());
+}
+
+// Same rule as branchCondition, for a record already loaded
+export function belongsToBranch(record, branch) {
+  return Boolean(record.branch) && record.branch.toString() === branch._id.toString();
+}
+
+/**
+ * Give the default branch the plans, subscriptions, payments, check-ins and
+ * usage sessions from before branches existed. Only records older than the
+ * branch move, so plans added later for every branch stay that way; a plan
+ * the branch already has under the same name is left offered everywhere.
+ * Returns the number moved per model.
+ */
+export async function assignLegacyRecords(branch) {
+  const before = field => ({
+    branch: null,
+    $or: [{ [field]: { $lt: branch.createdAt } }, { [field]: { $exists: false } }]
+  });
+
+  const moved = { Plan: 0 };
+  for (const plan of await Plan.find(before("createdAt"), { _id: 1, category: 1, plan: 1 }).lean()) {
+    try {
+      await Plan.updateOne({ _id: plan._id }, { $set: { branch: branch._id } });
+      moved.Plan++;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      logger.warn('Plan left offered everywhere', {
+        category: plan.category,
+        plan: plan.plan,
+        branch: branch.code
+      });
+    }
+  }
+
+  const backfills = [
+    [Subscription, "createdAt", { audit: { actor: "system:migration", reason: "Assigned to the default branch" } }],
+    [Payment, "createdAt"],
+    [CheckIn, "createdAt"],
+    [UsageSession, "startedAt"]
+  ];
+  for (const [model, field, options] of backfills) {
+    const result = await model.updateMany(before(field), { $set: { branch: branch._id } }, options);
+    moved[model.modelName] = result.modifiedCount;
+  }
+
+  logger.info('Legacy records assigned to branch', { branch: branch.code, ...moved });
+  return moved;
+}
+
+/**
+ * A live plan by category and name as offered at a branch: the branch's
+ * own plan wins over one offered everywhere. includeArchived finds plans
+ * existing subscriptions were bought on.
+ */
+export async function findPlanAtBranch({ category, plan }, branchId, { includeArchived = false } = {}) {
+  const branch = await getBranch(branchId);
+  const plans = await Plan.find({
+    category,
+    plan,
+    branch: { $in: branch ? [branch._id, null] : [null] },
+    ...(includeArchived ? {} : { archived: { $ne: true } })
+  }).lean();
+
+  return plans.find(p => p.branch) || plans[0] || null;
+}
+
+/**
+ * Live plans offered at a branch, with the branch's own plans replacing
+ * everywhere plans of the same category and name.
+ */
+export async function listPlansAtBranch(filter, branchId) {
+  const plans = await Plan.findAvailable({ ...filter, branch: { $in: [branchId, null] } }).lean();
+  const own = new Set(plans.filter(p => p.branch).map(p => `${p.category}:${p.plan}`));
+  return plans.filter(p => p.branch || !own.has(`${p.category}:${p.plan}`));
+}
+
+/**
+ * Daraja credentials for a branch (or the default branch when branchId is
+ * empty). A branch with an mpesaKey reads MPESA_<KEY>_* variables; only
+ * the Daraja app (consumer key and secret) falls back to the unprefixed
+ * MPESA_* ones, since shortcodes, passkeys and initiators belong together.
+ */
+export async function getMpesaCredentials(branchId) {
+  const branch = await getBranch(branchId);
+  const key = branch?.mpesaKey;
+  const shared = name => process.env[`MPESA_${name}`];
+  const own = name => (key ? process.env[`MPESA_${key}_${name}`] : shared(name));
+  const ownOrShared = name => own(name) || shared(name);
+
+  return {
+    branch: branch?.code || null,
+    consumerKey: ownOrShared("CONSUMER_KEY"),
+    consumerSecret: ownOrShared("CONSUMER_SECRET"),
+    shortcode: own("SHORTCODE"),
+    passkey: own("PASSKEY"),
+    b2cShortcode: own("B2C_SHORTCODE") || own("SHORTCODE"),
+    initiatorName: own("INITIATOR_NAME"),
+    securityCredential: own("SECURITY_CREDENTIAL")
+  };
+}
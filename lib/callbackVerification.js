@@ -0,0 +1,198 @@
+// lib/callbackVerification.js
+import crypto from "crypto";
+import Payment from "../models/Payment.js";
+import Subscription from "../models/Subscription.js";
+import RejectedCallback from "../models/RejectedCallback.js";
+import { queryTransactionStatus } from "./mpesa.js";
+import Logger from './logger.js';
+const logger = new Logger('mpesa-callback-verification');
+
+// Published Safaricom Daraja callback source addresses. Used when
+// MPESA_CALLBACK_ALLOWED_IPS is set to "safaricom".
+export const SAFARICOM_CALLBACK_IPS = [
+  "196.201.214.200",
+  "196.201.214.206",
+  "196.201.213.114",
+  "196.201.214.207",
+  "196.201.214.208",
+  "196.201.213.44",
+  "196.201.212.127",
+  "196.201.212.138",
+  "196.201.212.129",
+  "196.201.212.136",
+  "196.201.212.74",
+  "196.201.212.69"
+];
+
+// Secret for a payment's callback URL; only its hash is stored
+export function generateCallbackToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+export function hashCallbackToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Entries are single IPv4 addresses or CIDR ranges. Empty means no check.
+function getAllowedCallbackIps() {
+  const raw = process.env.MPESA_CALLBACK_ALLOWED_IPS;
+  if (!raw) return [];
+
+  return raw
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .flatMap(entry => (entry === "safaricom" ? SAFARICOM_CALLBACK_IPS : [entry]));
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split(".").map(Number);
+  if (parts.length !== 4 || parts.some(p => !Number.isInteger(p) || p < 0 || p > 255)) {
+    return null;
+  }
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+function ipMatches(ip, entry) {
+  const [range, bits] = entry.split("/");
+  if (bits === undefined) return ip === range;
+
+  const ipInt = ipv4ToInt(ip);
+  const rangeInt = ipv4ToInt(range);
+  const prefix = parseInt(bits);
+  if (ipInt === null || rangeInt === null || !(prefix >= 0 && prefix <= 32)) return false;
+
+  const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+  return (ipInt & mask) === (rangeInt & mask);
+}
+
+export function isAllowedCallbackIp(ip) {
+  const allowed = getAllowedCallbackIps();
+  if (allowed.length === 0) return true;
+  if (!ip) return false;
+
+  // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+  const normalized = ip.replace(/^::ffff:/, "");
+  return allowed.some(entry => ipMatches(normalized, entry));
+}
+
+// Other providers pass their name and the payment reference instead of
+// an stkCallback
+export async function recordRejectedCallback({ reason, detail, req, stkCallback, provider = "mpesa", reference }) {
+  const checkoutRequestId = reference || stkCallback?.CheckoutRequestID;
+  logger.warn('Payment callback rejected', {
+    provider,
+    reason,
+    detail,
+    ip: req.ip,
+    checkoutRequestId
+  });
+
+  try {
+    await RejectedCallback.create({
+      provider,
+      reason,
+      detail,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      checkoutRequestId,
+      resultCode: Number.isFinite(parseInt(stkCallback?.ResultCode))
+        ? parseInt(stkCallback.ResultCode)
+        : undefined,
+      payload: req.body
+    });
+  } catch (err) {
+    // Never let the audit write break the callback response
+    logger.error('Failed to record rejected callback', { error: err.message, reason });
+  }
+}
+
+// Checkouts started before this date (MPESA_CALLBACK_TOKENS_SINCE) may have
+// no token and rely on the confirmation query instead. Unset: none may.
+const TOKENS_SINCE = process.env.MPESA_CALLBACK_TOKENS_SINCE
+  ? new Date(process.env.MPESA_CALLBACK_TOKENS_SINCE)
+  : null;
+
+const predatesTokens = createdAt => Boolean(TOKENS_SINCE && createdAt && createdAt < TOKENS_SINCE);
+
+/**
+ * Check that a callback belongs to an STK push we started and carries the
+ * secret from its CallBackURL. A callback that beats initiate()'s response
+ * is matched to its ledger entry by the token and given its reference.
+ * Returns { ok, reason, detail }.
+ */
+export async function verifyCallbackToken(checkoutRequestId, token) {
+  const payment = await Payment.findOne({ checkoutRequestId }).select("+callbackTokenHash");
+
+  if (!payment) {
+    if (token) {
+      const opened = await Payment.findOneAndUpdate(
+        { callbackTokenHash: hashCallbackToken(token), checkoutRequestId: { $exists: false } },
+        { $set: { checkoutRequestId, updatedAt: new Date() } },
+        { new: true }
+      );
+      if (opened) return { ok: true };
+    }
+
+    // Started before the ledger existed: only the subscription knows it
+    const legacy = await Subscription.findOne({ mpesaCheckoutId: checkoutRequestId }, { createdAt: 1 }).lean();
+    return predatesTokens(legacy?.createdAt)
+      ? { ok: true, legacy: true }
+      : { ok: false, reason: "unknown_checkout" };
+  }
+
+  if (!payment.callbackTokenHash) {
+    return predatesTokens(payment.createdAt)
+      ? { ok: true, legacy: true }
+      : { ok: false, reason: "missing_token", detail: "Payment has no callback token" };
+  }
+
+  if (!token) {
+    return { ok: false, reason: "missing_token" };
+  }
+
+  const expected = Buffer.from(payment.callbackTokenHash, "hex");
+  const actual = Buffer.from(hashCallbackToken(token), "hex");
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, reason: "invalid_token" };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Ask Daraja whether a checkout really succeeded before activating off a
+ * success callback, using the credentials of the branch that was charged.
+ * Disable with MPESA_CALLBACK_CONFIRM=false.
+ * Returns { ok, reason, detail }.
+ */
+export async function confirmSuccessfulCallback(checkoutRequestId) {
+  if (process.env.MPESA_CALLBACK_CONFIRM === "false") {
+    return { ok: true };
+  }
+
+  try {
+    const payment = await Payment.findOne({ checkoutRequestId }, { branch: 1 }).lean();
+    const status = await queryTransactionStatus(checkoutRequestId, { branchId: payment?.branch });
+
+    if (status.ResultCode === undefined) {
+      return {
+        ok: false,
+        reason: "confirmation_failed",
+        detail: status.errorMessage || "Transaction still processing"
+      };
+    }
+
+    if (String(status.ResultCode) !== "0") {
+      return {
+        ok: false,
+        reason: "not_confirmed",
+        detail: `Query returned ResultCode ${status.ResultCode}: ${status.ResultDesc}`
+      };
+    }
+
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, reason: "confirmation_failed", detail: err.message };
+  }
+}
@@ -0,0 +1,185 @@
+// lib/cardGateway.js
+//
+// Card payments through a hosted checkout page (Paystack-compatible API):
+// the customer is sent to checkoutUrl, and the gateway reports the result
+// to our webhook, signed with the secret key. Amounts go over the wire in
+// cents.
+import axios from "axios";
+import crypto from "crypto";
+import Logger from './logger.js';
+const logger = new Logger('card-gateway');
+
+const cardAxios = axios.create({
+  timeout: 30000,
+  validateStatus: function (status) {
+    return status >= 200 && status < 500;
+  }
+});
+
+const baseUrl = () => (process.env.CARD_GATEWAY_URL || "https://api.paystack.co").replace(/\/+$/, "");
+const currency = () => process.env.CARD_CURRENCY || "KES";
+
+// Gateway transaction status -> provider state
+export const CARD_STATUS = {
+  success: "success",
+  failed: "failed",
+  abandoned: "failed",
+  reversed: "failed",
+  ongoing: "pending",
+  pending: "pending",
+  processing: "pending",
+  queued: "pending"
+};
+
+function secretKey() {
+  if (!process.env.CARD_SECRET_KEY) {
+    throw new Error("Card gateway credentials not configured");
+  }
+  return process.env.CARD_SECRET_KEY;
+}
+
+function headers() {
+  return {
+    Authorization: `Bearer ${secretKey()}`,
+    "Content-Type": "application/json"
+  };
+}
+
+function generateReference() {
+  return `CARD-${Date.now().toString(36)}-${crypto.randomBytes(6).toString("hex")}`;
+}
+
+/**
+ * Open a hosted checkout. The customer pays on checkoutUrl and is sent
+ * back to CARD_RETURN_URL (or FRONTEND_URL) afterwards.
+ * Returns { reference, checkoutUrl, data }.
+ */
+export async function initializeCardPayment({ email, amount, accountRef, description }) {
+  const reference = generateReference();
+
+  try {
+    if (!email) {
+      throw new Error("An email address is required for card payments");
+    }
+
+    logger.info('Initializing card checkout', { reference, amount, accountRef });
+
+    const response = await cardAxios.post(`${baseUrl()}/transaction/initialize`, {
+      email,
+      amount: Math.round(amount) * 100,
+      currency: currency(),
+      reference,
+      callback_url: process.env.CARD_RETURN_URL || process.env.FRONTEND_URL,
+      metadata: { accountRef: String(accountRef), description }
+    }, { headers: headers() });
+
+    if (!response.data?.status || !response.data?.data?.authorization_url) {
+      throw new Error(`Card gateway error: ${response.data?.message || response.status}`);
+    }
+
+    return { reference, checkoutUrl: response.data.data.authorization_url, data: response.data.data };
+  } catch (err) {
+    logger.error('Card checkout failed', { error: err.message, reference });
+    throw new Error(err.message.startsWith("An email") ? err.message : `Failed to start card payment: ${err.message}`);
+  }
+}
+
+/**
+ * Look a transaction up by our reference. Returns the gateway's data
+ * ({ status, amount (cents), id, reference, gateway_response, paid_at });
+ * status is null when the gateway doesn't know the reference.
+ */
+export async function verifyCardPayment(reference) {
+  try {
+    const response = await cardAxios.get(
+      `${baseUrl()}/transaction/verify/${encodeURIComponent(reference)}`,
+      { headers: headers() }
+    );
+
+    // The gateway has no such reference (the checkout page was never opened)
+    if (response.status === 400 || response.status === 404) {
+      return { reference, status: null, gateway_response: response.data?.message || "Transaction reference not found" };
+    }
+
+    if (!response.data?.status || !response.data?.data) {
+      throw new Error(response.data?.message || `HTTP ${response.status}`);
+    }
+
+    logger.info('Card transaction verified', { reference, status: response.data.data.status });
+    return response.data.data;
+  } catch (err) {
+    logger.error('Card verification failed', { error: err.message, reference });
+    throw new Error(`Failed to verify card payment: ${err.message}`);
+  }
+}
+
+// The gateway signs each webhook body with HMAC-SHA512 of the secret key
+export function verifyCardWebhookSignature(rawBody, signature) {
+  if (!rawBody || !signature || !process.env.CARD_SECRET_KEY) return false;
+
+  const expected = Buffer.from(
+    crypto.createHmac("sha512", process.env.CARD_SECRET_KEY).update(rawBody).digest("hex")
+  );
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Gateway refund status -> refund outcome. Anything else (pending,
+// processing, needs-attention) is still open.
+export const CARD_REFUND_STATUS = {
+  processed: "completed",
+  failed: "failed"
+};
+
+/**
+ * Refund (part of) a card transaction. The gateway queues it: status is
+ * "pending" or "processing" until it is processed (see getCardRefund).
+ * Returns { status, id, data }.
+ */
+export async function refundCardPayment({ reference, amount }) {
+  try {
+    const response = await cardAxios.post(`${baseUrl()}/refund`, {
+      transaction: reference,
+      amount: Math.round(amount) * 100
+    }, { headers: headers() });
+
+    if (!response.data?.status || !response.data?.data) {
+      throw new Error(`Card gateway error: ${response.data?.message || response.status}`);
+    }
+
+    logger.info('Card refund accepted', { reference, amount, status: response.data.data.status });
+    return { status: response.data.data.status, id: response.data.data.id, data: response.data };
+  } catch (err) {
+    logger.error('Card refund failed', { error: err.message, reference, amount });
+    throw new Error(`Failed to refund card payment: ${err.message}`, { cause: err });
+  }
+}
+
+/**
+ * Look a refund up by the gateway's id or, when the id never came back, as
+ * the latest refund of a transaction created at or after since.
+ * Returns { status, id, data }, status null when there is no such refund.
+ */
+export async function getCardRefund({ id, reference, since }) {
+  try {
+    const response = id
+      ? await cardAxios.get(`${baseUrl()}/refund/${encodeURIComponent(id)}`, { headers: headers() })
+      : await cardAxios.get(`${baseUrl()}/refund`, { headers: headers(), params: { transaction: reference } });
+
+    if (response.status === 404) {
+      return { status: null, id, data: response.data };
+    }
+    if (!response.data?.status || !response.data?.data) {
+      throw new Error(response.data?.message || `HTTP ${response.status}`);
+    }
+
+    const refund = id
+      ? response.data.data
+      : response.data.data.find(r => !since || new Date(r.createdAt) >= new Date(since));
+    logger.info('Card refund looked up', { id, reference, status: refund?.status ?? null });
+    return { status: refund?.status ?? null, id: refund?.id, data: response.data };
+  } catch (err) {
+    logger.error('Card refund lookup failed', { error: err.message, id, reference });
+    throw new Error(`Failed to look up card refund: ${err.message}`);
+  }
+}
@@ -0,0 +1,126 @@
+// lib/coupons.js
+import Coupon from "../models/Coupon.js";
+import CouponRedemption from "../models/CouponRedemption.js";
+import Logger from './logger.js';
+const logger = new Logger('coupons');
+
+export function normalizeCouponCode(code) {
+  return typeof code === "string" ? code.trim().toUpperCase() : "";
+}
+
+// Discount in whole shillings. M-Pesa will not take less than 1, so the
+// discounted price never goes below that.
+export function computeDiscount(coupon, amount) {
+  const raw = coupon.discountType === "percentage"
+    ? Math.floor((amount * coupon.discountValue) / 100)
+    : Math.floor(coupon.discountValue);
+
+  return Math.max(Math.min(raw, amount - 1), 0);
+}
+
+/**
+ * Check a coupon code against a plan for a user. amount is the price
+ * being discounted (the plan's current price; defaults to its base price).
+ * Returns { ok: true, coupon, originalAmount, discount, finalAmount }
+ * or { ok: false, error }.
+ */
+export async function evaluateCoupon({ code, userId, plan, amount = plan.amount, now = new Date() }) {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) return { ok: false, error: "Coupon code is required" };
+
+  const coupon = await Coupon.findOne({ code: normalized, active: true }).lean();
+  if (!coupon) return { ok: false, error: "Invalid coupon code" };
+
+  if (coupon.validFrom && now < coupon.validFrom) {
+    return { ok: false, error: "This coupon is not valid yet" };
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    return { ok: false, error: "This coupon has expired" };
+  }
+  if (coupon.categories?.length && !coupon.categories.includes(plan.category)) {
+    return { ok: false, error: `This coupon cannot be used for ${plan.category} plans` };
+  }
+  if (coupon.planIds?.length &&
+      !coupon.planIds.some(id => id.toString() === plan._id.toString())) {
+    return { ok: false, error: `This coupon cannot be used for ${plan.plan}` };
+  }
+  if (coupon.maxRedemptions !== null && coupon.redemptionCount >= coupon.maxRedemptions) {
+    return { ok: false, error: "This coupon has been fully redeemed" };
+  }
+
+  if (coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({
+      couponId: coupon._id,
+      userId,
+      status: { $ne: "released" }
+    });
+    if (used >= coupon.perUserLimit) {
+      return { ok: false, error: "You have already used this coupon" };
+    }
+  }
+
+  const discount = computeDiscount(coupon, amount);
+  return {
+    ok: true,
+    coupon,
+    originalAmount: amount,
+    discount,
+    finalAmount: amount - discount
+  };
+}
+
+/**
+ * Hold one use of the coupon for a subscription being checked out.
+ * The global cap is enforced atomically; returns false if it was hit.
+ */
+export async function reserveCoupon(coupon, { userId, subscriptionId, discount }) {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      active: true,
+      ...(coupon.maxRedemptions !== null
+        ? { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } }
+        : {})
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  await CouponRedemption.create({
+    couponId: coupon._id,
+    code: coupon.code,
+    userId,
+    subscriptionId,
+    discount
+  });
+  return true;
+}
+
+// Payment went through: the reserved use becomes permanent
+export async function markCouponRedeemed(subscriptionId) {
+  await CouponRedemption.updateOne(
+    { subscriptionId, status: "reserved" },
+    { $set: { status: "redeemed", updatedAt: new Date() } }
+  );
+}
+
+// Payment failed or never started: give the use back
+export async function releaseCoupon(subscriptionId) {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { subscriptionId, status: "reserved" },
+    { $set: { status: "released", updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!redemption) return;
+
+  await Coupon.updateOne(
+    { _id: redemption.couponId, redemptionCount: { $gt: 0 } },
+    { $inc: { redemptionCount: -1 } }
+  );
+
+  logger.info('Coupon reservation released', {
+    code: redemption.code,
+    subscriptionId: subscriptionId.toString()
+  });
+}
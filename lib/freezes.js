@@ -0,0 +1,158 @@
+// lib/freezes.js
+import Subscription from "../models/Subscription.js";
+import { findPlanAtBranch } from "./branches.js";
+import Logger from './logger.js';
+const logger = new Logger('freezes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The plan a subscription was bought on; bundle members use the bundle plan
+async function findPlanFor(subscription) {
+  const { category, plan } = subscription.bundle?.groupId
+    ? { category: "bundle", plan: subscription.bundle.plan }
+    : subscription;
+  return findPlanAtBranch({ category, plan }, subscription.branch, { includeArchived: true });
+}
+
+/**
+ * Freeze days still available to a subscription under its plan's limit.
+ * Returns { maxFreezeDays, used, remaining }.
+ */
+export async function getFreezeAllowance(subscription) {
+  const plan = await findPlanFor(subscription);
+  const maxFreezeDays = plan?.maxFreezeDays || 0;
+  const used = subscription.freezeDaysUsed || 0;
+  return { maxFreezeDays, used, remaining: Math.max(maxFreezeDays - used, 0) };
+}
+
+/**
+ * Suspend an active subscription. days defaults to everything left of the
+ * plan's allowance; the freeze ends by itself once that is used up.
+ * Returns { subscription } or { status, error }.
+ */
+export async function freezeSubscription(subscription, { days, reason, actor, now = new Date() } = {}) {
+  const allowance = await getFreezeAllowance(subscription);
+  if (allowance.maxFreezeDays === 0) {
+    return { status: 400, error: `The ${subscription.plan} plan cannot be frozen` };
+  }
+  if (allowance.remaining <= 0) {
+    return {
+      status: 400,
+      error: `All ${allowance.maxFreezeDays} freeze days on this plan have been used`
+    };
+  }
+
+  const requested = days === undefined ? allowance.remaining : Number(days);
+  if (!(requested > 0) || requested > allowance.remaining) {
+    return {
+      status: 400,
+      error: `days must be between 1 and ${allowance.remaining}`
+    };
+  }
+
+  const frozen = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: "active", endDate: { $gt: now } },
+    {
+      $set: {
+        status: "frozen",
+        freeze: {
+          startedAt: now,
+          endsAt: new Date(now.getTime() + requested * DAY_MS),
+          reason
+        },
+        updatedAt: now
+      }
+    },
+    {
+      new: true,
+      audit: {
+        actor: actor || `user:${subscription.userId}`,
+        reason: `Frozen for ${requested} days${reason ? `: ${reason}` : ""}`
+      }
+    }
+  );
+
+  if (!frozen) {
+    return { status: 409, error: "Subscription changed, please try again" };
+  }
+
+  logger.info('Subscription frozen', {
+    subscriptionId: frozen._id.toString(),
+    days: requested,
+    endsAt: frozen.freeze.endsAt
+  });
+
+  return { subscription: frozen, allowance };
+}
+
+/**
+ * Resume a frozen subscription, pushing endDate out by the time it spent
+ * frozen (never more than the freeze was allowed to last).
+ * Returns the updated subscription, or null if it wasn't frozen.
+ */
+export async function unfreezeSubscription(subscription, { resumedBy = "user", now = new Date() } = {}) {
+  const { freeze } = subscription;
+  if (subscription.status !== "frozen" || !freeze?.startedAt) return null;
+
+  const endedAt = freeze.endsAt && freeze.endsAt < now ? freeze.endsAt : now;
+  const frozenMs = Math.max(endedAt.getTime() - freeze.startedAt.getTime(), 0);
+  const days = Math.round((frozenMs / DAY_MS) * 100) / 100;
+
+  // Matching on freeze.startedAt makes the resume happen once even if the
+  // user and the scheduler race
+  const resumed = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: "frozen", "freeze.startedAt": freeze.startedAt },
+    {
+      $set: {
+        status: "active",
+        endDate: new Date(subscription.endDate.getTime() + frozenMs),
+        updatedAt: now
+      },
+      $unset: { freeze: "" },
+      $inc: { freezeDaysUsed: days },
+      $push: {
+        freezes: {
+          startedAt: freeze.startedAt,
+          endedAt,
+          days,
+          reason: freeze.reason,
+          resumedBy
+        }
+      }
+    },
+    {
+      new: true,
+      audit: {
+        actor: resumedBy === "schedule" ? "system:freeze_schedule" : `user:${subscription.userId}`,
+        reason: `Unfrozen after ${days} days`
+      }
+    }
+  );
+
+  if (resumed) {
+    logger.info('Subscription unfrozen', {
+      subscriptionId: resumed._id.toString(),
+      days,
+      resumedBy,
+      endDate: resumed.endDate
+    });
+  }
+
+  return resumed;
+}
+
+// Resume every freeze whose allowance has run out
+export async function resumeDueFreezes(now = new Date()) {
+  const due = await Subscription.find({
+    status: "frozen",
+    "freeze.endsAt": { $lte: now }
+  });
+
+  let resumed = 0;
+  for (const subscription of due) {
+    if (await unfreezeSubscription(subscription, { resumedBy: "schedule", now })) {
+      resumed++;
+    }
+  }
+  return resumed;
+}
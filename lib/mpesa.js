@@ -1,5 +1,7 @@
 // lib/mpesa.js
 import axios from "axios";
+import crypto from "crypto";
+import { getMpesaCredentials } from "./branches.js";
 import Logger from './logger.js';
 const logger = new Logger('mpesa-service');
 
@@ -11,19 +13,36 @@ const mpesaAxios = axios.create({
   }
 });
 
-// Token caching with expiration check
-let tokenCache = {
-  token: null,
-  expiresAt: null
-};
+// Tokens cached per Daraja app (branches may use different ones)
+const tokenCache = new Map();
 
 // Generate unique request ID
 function generateRequestId() {
   return Date.now().toString(36) + Math.random().toString(36).substring(2);
 }
 
+// Per-request secret appended to the callback URL so the callback route can
+// tell Safaricom's POST apart from a forged one
+function generateCallbackToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+export function buildCallbackUrl(callbackToken) {
+  const base = (
+    process.env.MPESA_CALLBACK_URL ||
+    `${process.env.BASE_URL}/api/subscriptions/mpesa/callback`
+  ).replace(/\/+$/, "");
+
+  return `${base}/${callbackToken}`;
+}
+
+// Keep callback tokens out of the logs
+function maskCallbackUrl(url) {
+  return url.replace(/\/[0-9a-f]{48}$/, "/***");
+}
+
 // Validate and format phone number
-function formatPhoneNumber(phone) {
+export function formatPhoneNumber(phone) {
   if (!phone) throw new Error("Phone number is required");
   
   // Remove all non-digit characters
@@ -44,24 +63,26 @@ function formatPhoneNumber(phone) {
 }
 
 // Get OAuth token from Safaricom with retry logic and caching
-async function getMpesaToken(retries = 3) {
+async function getMpesaToken(credentials, retries = 3) {
   // Return cached token if valid
-  if (tokenCache.token && tokenCache.expiresAt > Date.now() + 30000) {
+  const cached = tokenCache.get(credentials.consumerKey);
+  if (cached && cached.expiresAt > Date.now() + 30000) {
     logger.debug('Using cached M-Pesa token', {
-      expiresIn: tokenCache.expiresAt - Date.now()
+      branch: credentials.branch,
+      expiresIn: cached.expiresAt - Date.now()
     });
-    return tokenCache.token;
+    return cached.token;
   }
 
   try {
-    logger.info('Fetching new M-Pesa access token');
+    logger.info('Fetching new M-Pesa access token', { branch: credentials.branch });
     
-    if (!process.env.MPESA_CONSUMER_KEY || !process.env.MPESA_CONSUMER_SECRET) {
+    if (!credentials.consumerKey || !credentials.consumerSecret) {
       throw new Error("M-Pesa credentials not configured");
     }
     
     const auth = Buffer.from(
-      `${process.env.MPESA_CONSUMER_KEY}:${process.env.MPESA_CONSUMER_SECRET}`
+      `${credentials.consumerKey}:${credentials.consumerSecret}`
     ).toString("base64");
     
     const response = await mpesaAxios.get(
@@ -84,10 +105,10 @@ async function getMpesaToken(retries = 3) {
     }
 
     // Cache token with expiration (typically 1 hour)
-    tokenCache = {
+    tokenCache.set(credentials.consumerKey, {
       token: response.data.access_token,
       expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000
-    };
+    });
 
     logger.info('M-Pesa token retrieved successfully', {
       expiresIn: response.data.expires_in
@@ -103,15 +124,24 @@ async function getMpesaToken(retries = 3) {
     
     if (retries > 0 && err.code !== 'ECONNABORTED') {
       await new Promise(resolve => setTimeout(resolve, 2000));
-      return getMpesaToken(retries - 1);
+      return getMpesaToken(credentials, retries - 1);
     }
     
     throw new Error(`Failed to get M-Pesa access token: ${err.message}`);
   }
 }
 
-// Initiate STK Push with enhanced error handling and logging
-export async function initiateStkPush({ phone, amount, accountRef, transactionDesc = "Subscription Payment" }) {
+// Initiate STK Push with enhanced error handling and logging. branchId picks
+// the shortcode the customer pays into (empty = default branch); callbackToken
+// is the secret the payment's ledger entry was opened with.
+export async function initiateStkPush({
+  phone,
+  amount,
+  accountRef,
+  transactionDesc = "Subscription Payment",
+  branchId,
+  callbackToken = generateCallbackToken()
+}) {
   const requestId = generateRequestId();
   const requestLogger = logger.withRequestId(requestId);
 
@@ -120,12 +150,14 @@ export async function initiateStkPush({ phone, amount, accountRef, transactionDe
       phone: phone ? '***' + phone.slice(-3) : undefined,
       amount,
       accountRef,
-      transactionDesc
+      transactionDesc,
+      branchId
     });
 
-    const token = await getMpesaToken();
+    const credentials = await getMpesaCredentials(branchId);
+    const token = await getMpesaToken(credentials);
 
-    if (!process.env.MPESA_SHORTCODE || !process.env.MPESA_PASSKEY) {
+    if (!credentials.shortcode || !credentials.passkey) {
       throw new Error("M-Pesa shortcode or passkey not configured");
     }
 
@@ -135,34 +167,34 @@ export async function initiateStkPush({ phone, amount, accountRef, transactionDe
       .slice(0, 14);
 
     const password = Buffer.from(
-      process.env.MPESA_SHORTCODE +
-      process.env.MPESA_PASSKEY +
+      credentials.shortcode +
+      credentials.passkey +
       timestamp
     ).toString("base64");
 
     const formattedPhone = formatPhoneNumber(phone);
 
     const requestData = {
-      BusinessShortCode: process.env.MPESA_SHORTCODE,
+      BusinessShortCode: credentials.shortcode,
       Password: password,
       Timestamp: timestamp,
       TransactionType: "CustomerPayBillOnline",
       Amount: Math.round(amount),
       PartyA: formattedPhone,
-      PartyB: process.env.MPESA_SHORTCODE,
+      PartyB: credentials.shortcode,
       PhoneNumber: formattedPhone,
-      CallBackURL: process.env.MPESA_CALLBACK_URL || `${process.env.BASE_URL}/api/subscriptions/mpesa/callback`,
+      CallBackURL: buildCallbackUrl(callbackToken),
       AccountReference: accountRef.toString().substring(0, 12),
       TransactionDesc: transactionDesc.substring(0, 13),
     };
 
     requestLogger.debug('STK Push request payload', {
-      BusinessShortCode: process.env.MPESA_SHORTCODE,
+      BusinessShortCode: credentials.shortcode,
       TransactionType: "CustomerPayBillOnline",
       Amount: amount,
       PartyA: '***' + formattedPhone.slice(-3),
-      PartyB: process.env.MPESA_SHORTCODE,
-      CallBackURL: process.env.MPESA_CALLBACK_URL
+      PartyB: credentials.shortcode,
+      CallBackURL: maskCallbackUrl(requestData.CallBackURL)
     });
 
     const response = await mpesaAxios.post(
@@ -182,6 +214,8 @@ export async function initiateStkPush({ phone, amount, accountRef, transactionDe
         responseDescription: response.data.ResponseDescription,
         requestData: {
           ...requestData,
+          Password: '***',
+          CallBackURL: maskCallbackUrl(requestData.CallBackURL),
           PhoneNumber: '***' + requestData.PhoneNumber.slice(-3)
         }
       });
@@ -198,7 +232,8 @@ export async function initiateStkPush({ phone, amount, accountRef, transactionDe
       success: true,
       data: response.data,
       checkoutRequestId: response.data.CheckoutRequestID,
-      merchantRequestId: response.data.MerchantRequestID
+      merchantRequestId: response.data.MerchantRequestID,
+      callbackToken
     };
   } catch (err) {
     requestLogger.error('STK Push failed', {
@@ -235,17 +270,25 @@ export async function initiateStkPush({ phone, amount, accountRef, transactionDe
   }
 }
 
-// Query transaction status with enhanced logging
-export async function queryTransactionStatus(checkoutRequestId) {
+// Query transaction status with enhanced logging. Must use the branch whose
+// shortcode the push was sent from. A Daraja error answer comes back as
+// { errorCode, errorMessage } with no ResultCode.
+export async function queryTransactionStatus(checkoutRequestId, { branchId } = {}) {
   const requestId = generateRequestId();
   const requestLogger = logger.withRequestId(requestId);
   
   try {
     requestLogger.info('Querying transaction status', {
-      checkoutRequestId
+      checkoutRequestId,
+      branchId
     });
     
-    const token = await getMpesaToken();
+    const credentials = await getMpesaCredentials(branchId);
+    const token = await getMpesaToken(credentials);
+
+    if (!credentials.shortcode || !credentials.passkey) {
+      throw new Error("M-Pesa shortcode or passkey not configured");
+    }
     
     const timestamp = new Date()
       .toISOString()
@@ -253,13 +296,13 @@ export async function queryTransactionStatus(checkoutRequestId) {
       .slice(0, 14);
 
     const password = Buffer.from(
-      process.env.MPESA_SHORTCODE +
-      process.env.MPESA_PASSKEY +
+      credentials.shortcode +
+      credentials.passkey +
       timestamp
     ).toString("base64");
 
     const requestData = {
-      BusinessShortCode: process.env.MPESA_SHORTCODE,
+      BusinessShortCode: credentials.shortcode,
       Password: password,
       Timestamp: timestamp,
       CheckoutRequestID: checkoutRequestId
@@ -272,14 +315,22 @@ export async function queryTransactionStatus(checkoutRequestId) {
         headers: { 
           Authorization: `Bearer ${token}`,
           "Content-Type": "application/json"
-        }
+        },
+        // Daraja reports "still processing" and unknown or expired checkouts
+        // as 4xx/5xx with an errorCode; those are answers, not failures
+        validateStatus: () => true
       }
     );
 
+    if (response.status >= 500 && !response.data?.errorCode) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
     requestLogger.info('Transaction query completed', {
       checkoutRequestId,
       resultCode: response.data.ResultCode,
-      resultDesc: response.data.ResultDesc
+      resultDesc: response.data.ResultDesc,
+      errorCode: response.data.errorCode
     });
 
     return response.data;
@@ -294,6 +345,171 @@ export async function queryTransactionStatus(checkoutRequestId) {
   }
 }
 
+function b2cResultBase() {
+  return (
+    process.env.MPESA_B2C_RESULT_URL ||
+    `${process.env.BASE_URL}/api/subscriptions/mpesa/b2c`
+  ).replace(/\/+$/, "");
+}
+
+// Send money back to a customer (B2C BusinessPayment). Used for refunds:
+// the reversal API can only return a whole transaction, and refunds here
+// are usually partial. The result arrives asynchronously on ResultURL.
+// originatorConversationId is ours to pick so the payout can be looked up
+// later even if this request never gets an answer.
+export async function initiateB2CPayment({
+  phone,
+  amount,
+  remarks = "Refund",
+  occasion = "",
+  branchId,
+  originatorConversationId = generateRequestId()
+}) {
+  const requestId = originatorConversationId;
+  const requestLogger = logger.withRequestId(requestId);
+
+  try {
+    requestLogger.info('Initiating B2C payment', {
+      phone: phone ? '***' + phone.slice(-3) : undefined,
+      amount,
+      occasion,
+      branchId
+    });
+
+    const credentials = await getMpesaCredentials(branchId);
+    const token = await getMpesaToken(credentials);
+
+    const shortcode = credentials.b2cShortcode;
+    if (!shortcode || !credentials.initiatorName || !credentials.securityCredential) {
+      throw new Error("M-Pesa B2C initiator not configured");
+    }
+
+    const formattedPhone = formatPhoneNumber(phone);
+    const resultToken = generateCallbackToken();
+    const base = b2cResultBase();
+
+    const requestData = {
+      OriginatorConversationID: requestId,
+      InitiatorName: credentials.initiatorName,
+      SecurityCredential: credentials.securityCredential,
+      CommandID: "BusinessPayment",
+      Amount: Math.round(amount),
+      PartyA: shortcode,
+      PartyB: formattedPhone,
+      Remarks: remarks.substring(0, 100),
+      QueueTimeOutURL: `${base}/timeout/${resultToken}`,
+      ResultURL: `${base}/result/${resultToken}`,
+      Occasion: occasion.substring(0, 100)
+    };
+
+    const response = await mpesaAxios.post(
+      `${process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke'}/mpesa/b2c/v3/paymentrequest`,
+      requestData,
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json"
+        }
+      }
+    );
+
+    if (response.data.ResponseCode !== "0") {
+      requestLogger.error('M-Pesa B2C error response', {
+        responseCode: response.data.ResponseCode,
+        responseDescription: response.data.ResponseDescription,
+        errorMessage: response.data.errorMessage
+      });
+
+      throw new Error(`M-Pesa API error: ${response.data.ResponseDescription || response.data.errorMessage}`);
+    }
+
+    requestLogger.info('B2C payment accepted', {
+      conversationId: response.data.ConversationID,
+      originatorConversationId: response.data.OriginatorConversationID
+    });
+
+    return {
+      success: true,
+      data: response.data,
+      conversationId: response.data.ConversationID,
+      originatorConversationId: response.data.OriginatorConversationID,
+      resultToken
+    };
+  } catch (err) {
+    requestLogger.error('B2C payment failed', {
+      error: err.message,
+      phone: phone ? '***' + phone.slice(-3) : undefined,
+      amount
+    });
+
+    // cause tells a refused request apart from one that got no answer
+    throw new Error(`Failed to initiate B2C payment: ${err.message}`, { cause: err });
+  }
+}
+
+// Ask what happened to a B2C payment (Transaction Status API), looked up by
+// the OriginatorConversationID it was sent with. The answer arrives
+// asynchronously on the status ResultURL.
+export async function queryB2CStatus({ originatorConversationId, remarks = "Refund status", branchId }) {
+  const requestId = generateRequestId();
+  const requestLogger = logger.withRequestId(requestId);
+
+  try {
+    requestLogger.info('Querying B2C payment status', { originatorConversationId, branchId });
+
+    const credentials = await getMpesaCredentials(branchId);
+    const token = await getMpesaToken(credentials);
+
+    const shortcode = credentials.b2cShortcode;
+    if (!shortcode || !credentials.initiatorName || !credentials.securityCredential) {
+      throw new Error("M-Pesa B2C initiator not configured");
+    }
+
+    const resultToken = generateCallbackToken();
+    const base = b2cResultBase();
+
+    const response = await mpesaAxios.post(
+      `${process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke'}/mpesa/transactionstatus/v1/query`,
+      {
+        Initiator: credentials.initiatorName,
+        SecurityCredential: credentials.securityCredential,
+        CommandID: "TransactionStatusQuery",
+        OriginalConversationID: originatorConversationId,
+        PartyA: shortcode,
+        IdentifierType: "4",
+        ResultURL: `${base}/status/result/${resultToken}`,
+        QueueTimeOutURL: `${base}/status/timeout/${resultToken}`,
+        Remarks: remarks.substring(0, 100),
+        Occasion: ""
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json"
+        }
+      }
+    );
+
+    if (response.data.ResponseCode !== "0") {
+      throw new Error(`M-Pesa API error: ${response.data.ResponseDescription || response.data.errorMessage}`);
+    }
+
+    requestLogger.info('B2C status query accepted', {
+      conversationId: response.data.ConversationID,
+      originatorConversationId
+    });
+
+    return {
+      conversationId: response.data.ConversationID,
+      originatorConversationId: response.data.OriginatorConversationID,
+      resultToken
+    };
+  } catch (err) {
+    requestLogger.error('B2C status query failed', { error: err.message, originatorConversationId });
+    throw new Error(`Failed to query B2C payment status: ${err.message}`);
+  }
+}
+
 export default {
   getMpesaToken,
   formatPhoneNumber
@@ -0,0 +1,163 @@
+// lib/notificationProviders.js
+//
+// A provider is { name, channel, send({ to, subject, message }) } where send
+// resolves to { id, response } and throws if the message was not accepted.
+// SMS_PROVIDER and EMAIL_PROVIDER pick one per channel by name.
+import fs from "fs/promises";
+import path from "path";
+import axios from "axios";
+import nodemailer from "nodemailer";
+import Logger from './logger.js';
+const logger = new Logger('notification-providers');
+
+// Development: print the message instead of sending it
+function createConsoleProvider(channel) {
+  return {
+    name: "console",
+    channel,
+    async send({ to, subject, message }) {
+      console.log(`📨 [${channel}] to ${to}${subject ? ` - ${subject}` : ""}\n${message}`);
+      return { id: null, response: null };
+    }
+  };
+}
+
+// Development: append each message as a JSON line (NOTIFICATION_FILE)
+function createFileProvider(channel) {
+  const file = path.resolve(process.env.NOTIFICATION_FILE || "notifications.log");
+  return {
+    name: "file",
+    channel,
+    async send({ to, subject, message }) {
+      const line = JSON.stringify({ at: new Date().toISOString(), channel, to, subject, message });
+      await fs.appendFile(file, line + "\n");
+      return { id: null, response: { file } };
+    }
+  };
+}
+
+// Africa's Talking bulk SMS API
+function createAfricasTalkingProvider() {
+  const username = process.env.AT_USERNAME;
+  const apiKey = process.env.AT_API_KEY;
+  if (!username || !apiKey) {
+    throw new Error("Africa's Talking credentials not configured");
+  }
+
+  const baseUrl = username === "sandbox" || process.env.AT_SANDBOX === "true"
+    ? "https://api.sandbox.africastalking.com"
+    : "https://api.africastalking.com";
+
+  return {
+    name: "africastalking",
+    channel: "sms",
+    async send({ to, message }) {
+      const params = new URLSearchParams({
+        username,
+        to: to.startsWith("+") ? to : `+${to}`,
+        message
+      });
+      if (process.env.AT_SENDER_ID) params.set("from", process.env.AT_SENDER_ID);
+
+      const response = await axios.post(`${baseUrl}/version1/messaging`, params.toString(), {
+        headers: {
+          apiKey,
+          Accept: "application/json",
+          "Content-Type": "application/x-www-form-urlencoded"
+        },
+        timeout: 15000
+      });
+
+      const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+      if (!recipient || recipient.status !== "Success") {
+        throw new Error(
+          `SMS rejected: ${recipient?.status || response.data?.SMSMessageData?.Message || "no recipient"}`
+        );
+      }
+
+      return { id: recipient.messageId, response: response.data };
+    }
+  };
+}
+
+// Any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)
+function createSmtpProvider() {
+  if (!process.env.SMTP_HOST || !process.env.SMTP_FROM) {
+    throw new Error("SMTP not configured");
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: "smtp",
+    channel: "email",
+    async send({ to, subject, message }) {
+      const info = await transport.sendMail({
+        from: process.env.SMTP_FROM,
+        to,
+        subject,
+        text: message
+      });
+      return { id: info.messageId, response: { accepted: info.accepted, rejected: info.rejected } };
+    }
+  };
+}
+
+const factories = {
+  sms: {
+    console: () => createConsoleProvider("sms"),
+    file: () => createFileProvider("sms"),
+    africastalking: createAfricasTalkingProvider
+  },
+  email: {
+    console: () => createConsoleProvider("email"),
+    file: () => createFileProvider("email"),
+    smtp: createSmtpProvider
+  }
+};
+
+const defaults = { sms: "console", email: "none" };
+const envKeys = { sms: "SMS_PROVIDER", email: "EMAIL_PROVIDER" };
+const cache = new Map();
+
+// Add another provider, e.g. registerNotificationProvider("sms", "twilio", () => ({ ... }))
+export function registerNotificationProvider(channel, name, factory) {
+  if (!factories[channel]) throw new Error(`Unknown notification channel: ${channel}`);
+  factories[channel][name] = factory;
+  cache.delete(channel);
+}
+
+/**
+ * The configured provider for a channel, or null when the channel is
+ * switched off ("none") or misconfigured.
+ */
+export function getNotificationProvider(channel) {
+  if (cache.has(channel)) return cache.get(channel);
+
+  const name = (process.env[envKeys[channel]] || defaults[channel]).toLowerCase();
+  let provider = null;
+
+  if (name !== "none") {
+    const factory = factories[channel]?.[name];
+    if (!factory) {
+      logger.error('Unknown notification provider', { channel, provider: name });
+    } else {
+      try {
+        provider = factory();
+      } catch (err) {
+        logger.error('Notification provider unavailable', { channel, provider: name, error: err.message });
+      }
+    }
+  }
+
+  cache.set(channel, provider);
+  return provider;
+}
@@ -0,0 +1,219 @@
+// lib/notifications.js
+import Notification from "../models/Notification.js";
+import Subscription from "../models/Subscription.js";
+import { getNotificationProvider } from "./notificationProviders.js";
+import { formatPhoneNumber } from "./mpesa.js";
+import Logger from './logger.js';
+const logger = new Logger('notifications');
+
+const TIMEZONE = process.env.NOTIFICATION_TIMEZONE || "Africa/Nairobi";
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "30m", "6h", "3d" -> { label, ms }
+export function parseReminderOffsets(value = process.env.REMINDER_OFFSETS || "24h,1h") {
+  return value
+    .split(",")
+    .map(part => part.trim().toLowerCase())
+    .map(label => {
+      const match = label.match(/^(\d+)([mhd])$/);
+      return match ? { label, ms: parseInt(match[1]) * UNIT_MS[match[2]] } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.ms - b.ms);
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleString("en-KE", {
+    timeZone: TIMEZONE,
+    dateStyle: "medium",
+    timeStyle: "short"
+  });
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / UNIT_MS.m);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+  const hours = Math.round(ms / UNIT_MS.h);
+  if (hours < 48) return `${hours} hour${hours === 1 ? "" : "s"}`;
+  return `${Math.round(ms / UNIT_MS.d)} days`;
+}
+
+// Numbers are stored as the customer typed them (07..., +254..., 254...);
+// SMS goes to 2547.... An unusable number skips the SMS.
+function smsNumber(phone) {
+  if (!phone) return null;
+  try {
+    return formatPhoneNumber(String(phone));
+  } catch (err) {
+    logger.warn('Skipping SMS to invalid phone number', { error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Send one message on every channel we have an address and a provider
+ * for. Each attempt is stored as a Notification; a dedupeKey already used
+ * for a channel is skipped. Never throws.
+ */
+export async function sendNotification({
+  type,
+  userId,
+  subscriptionId,
+  paymentId,
+  phone,
+  email,
+  subject,
+  message,
+  dedupeKey
+}) {
+  const targets = [
+    { channel: "sms", to: smsNumber(phone) },
+    { channel: "email", to: email }
+  ].filter(target => target.to);
+
+  const results = [];
+  for (const { channel, to } of targets) {
+    const provider = getNotificationProvider(channel);
+    if (!provider) continue;
+
+    let record;
+    try {
+      record = await Notification.create({
+        type,
+        userId,
+        subscriptionId,
+        paymentId,
+        channel,
+        provider: provider.name,
+        to,
+        subject,
+        message,
+        dedupeKey: dedupeKey ? `${dedupeKey}:${channel}` : undefined
+      });
+    } catch (err) {
+      if (err.code === 11000) continue;
+      logger.error('Failed to record notification', { type, channel, error: err.message });
+      continue;
+    }
+
+    try {
+      const sent = await provider.send({ to, subject, message });
+      record.status = "sent";
+      record.sentAt = new Date();
+      record.providerResponse = sent?.response ?? undefined;
+      logger.info('Notification sent', {
+        notificationId: record._id.toString(),
+        type,
+        channel,
+        provider: provider.name,
+        providerMessageId: sent?.id
+      });
+    } catch (err) {
+      record.status = "failed";
+      record.error = err.message;
+      logger.error('Notification failed', {
+        notificationId: record._id.toString(),
+        type,
+        channel,
+        provider: provider.name,
+        error: err.message
+      });
+    }
+
+    await record.save().catch(err =>
+      logger.error('Failed to update notification', { error: err.message })
+    );
+    results.push(record);
+  }
+
+  return results;
+}
+
+/**
+ * Tell the customer how a payment ended. Called once a payment settles,
+ * however it settled (callback, status poll or reconciliation).
+ */
+export async function notifyPaymentResult(payment, subscription) {
+  if (!["success", "failed"].includes(payment.status)) return [];
+
+  const sub = subscription || await Subscription.findById(payment.subscriptionId).lean();
+  const planName = payment.extension?.plan || sub?.bundle?.plan || sub?.plan || "subscription";
+  let subject;
+  let message;
+
+  if (payment.status === "success") {
+    const amount = payment.paidAmount ?? payment.amount;
+    const until = sub?.endDate ? ` until ${formatDate(sub.endDate)}` : "";
+    let what;
+    if (payment.purpose === "renewal") {
+      what = `renewed ${planName}${until}`;
+    } else if (payment.purpose === "upgrade") {
+      what = `upgraded you to ${planName}${until}`;
+    } else if (sub?.startsOn === "first_check_in") {
+      what = `activated ${planName}; the clock starts at your first check-in`;
+    } else {
+      what = `activated ${planName}${until}`;
+    }
+
+    subject = "Payment received";
+    message = `Payment of KES ${amount} received (M-Pesa ${payment.receiptNumber || "ref pending"}). We have ${what}.`;
+  } else {
+    subject = "Payment not completed";
+    message = `Your M-Pesa payment for ${planName} did not go through` +
+      `${payment.resultDesc ? `: ${payment.resultDesc}` : ""}. You can try again from the app.`;
+  }
+
+  return sendNotification({
+    type: payment.status === "success" ? "payment_success" : "payment_failed",
+    userId: payment.userId || sub?.userId,
+    subscriptionId: payment.subscriptionId,
+    paymentId: payment._id,
+    phone: payment.phoneNumber || sub?.phoneNumber,
+    email: sub?.email,
+    subject,
+    message,
+    dedupeKey: `payment:${payment._id}`
+  });
+}
+
+/**
+ * Remind customers whose subscription ends within one of the configured
+ * offsets. Only the closest offset is sent, and offsets at least as long as
+ * the whole term are skipped so an hourly pass doesn't get a "1h left"
+ * message the moment it is bought. Returns the number of reminders sent.
+ */
+export async function sendExpiryReminders({ offsets = parseReminderOffsets(), now = new Date() } = {}) {
+  if (offsets.length === 0) return 0;
+
+  const horizon = offsets[offsets.length - 1].ms;
+  const ending = await Subscription.find({
+    status: "active",
+    endDate: { $gt: now, $lte: new Date(now.getTime() + horizon) }
+  }).lean();
+
+  let sent = 0;
+  for (const sub of ending) {
+    const remaining = sub.endDate.getTime() - now.getTime();
+    const term = sub.endDate.getTime() - new Date(sub.usageStartedAt || sub.startDate || sub.createdAt).getTime();
+    const offset = offsets.find(o => remaining <= o.ms && o.ms < term);
+    if (!offset) continue;
+
+    const unused = sub.startsOn === "first_check_in" && !sub.usageStartedAt;
+    const results = await sendNotification({
+      type: "expiry_reminder",
+      userId: sub.userId,
+      subscriptionId: sub._id,
+      phone: sub.phoneNumber,
+      email: sub.email,
+      subject: `Your ${sub.category} pass ends soon`,
+      message: unused
+        ? `Your unused ${sub.plan} pass expires in ${formatDuration(remaining)} (${formatDate(sub.endDate)}). Check in before then to start it.`
+        : `Your ${sub.category} ${sub.plan} ends in ${formatDuration(remaining)} (${formatDate(sub.endDate)}). Renew in the app to keep access.`,
+      // endDate is part of the key so a renewed subscription is reminded again
+      dedupeKey: `reminder:${sub._id}:${offset.label}:${sub.endDate.getTime()}`
+    });
+    if (results.some(r => r.status === "sent")) sent++;
+  }
+
+  return sent;
+}
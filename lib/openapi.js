@@ -0,0 +1,142 @@
+// lib/openapi.js
+//
+// Builds the OpenAPI document from the routers' validate() specs. Only
+// routes declared with a spec are published; M-Pesa callbacks and other
+// server-to-server endpoints are left out on purpose.
+import { requireAuth } from "../middleware/auth.js";
+
+const errorSchema = {
+  type: "object",
+  properties: { error: { type: "string" } },
+  required: ["error"]
+};
+
+const validationErrorSchema = {
+  type: "object",
+  properties: {
+    error: { type: "string" },
+    details: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          in: { type: "string", enum: ["params", "query", "body"] },
+          field: { type: "string" },
+          message: { type: "string" }
+        }
+      }
+    }
+  },
+  required: ["error", "details"]
+};
+
+const errorResponse = (description, schema = "Error") => ({
+  description,
+  content: { "application/json": { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+// "/:id/receipt" -> "/{id}/receipt"
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)\??/g, "{$1}");
+}
+
+// "Get a subscription" -> "getASubscription", unless the spec names one
+function operationIdFor(spec, method, path) {
+  if (spec.operationId) return spec.operationId;
+  const words = (spec.summary || `${method} ${path}`).replace(/[^a-zA-Z0-9 ]/g, " ").split(/\s+/).filter(Boolean);
+  return words
+    .map((word, i) => (i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+    .join("");
+}
+
+function parametersFor(location, schema) {
+  if (!schema?.properties) return [];
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    return {
+      name,
+      in: location,
+      required: location === "path" || required.includes(name),
+      ...(description ? { description } : {}),
+      schema: propertySchema
+    };
+  });
+}
+
+function operationFor(spec, method, path, secured, tag) {
+  const responses = {
+    200: { description: "Success" },
+    400: errorResponse("Invalid request", "ValidationError"),
+    ...(secured ? { 401: errorResponse("Missing or invalid token") } : {}),
+    ...(spec.params?.properties?.id ? { 404: errorResponse("Not found") } : {}),
+    500: errorResponse("Server error")
+  };
+  for (const [status, response] of Object.entries(spec.responses || {})) {
+    responses[status] = typeof response === "string" ? { description: response } : response;
+  }
+
+  return {
+    operationId: operationIdFor(spec, method, path),
+    tags: [spec.tag || tag],
+    summary: spec.summary,
+    ...(spec.description ? { description: spec.description } : {}),
+    ...(secured ? { security: [{ bearerAuth: [] }] } : {}),
+    parameters: [...parametersFor("path", spec.params), ...parametersFor("query", spec.query)],
+    ...(spec.body ? {
+      requestBody: {
+        required: true,
+        content: { "application/json": { schema: spec.body } }
+      }
+    } : {}),
+    responses
+  };
+}
+
+/**
+ * OpenAPI 3.0 document for the given mounted routers:
+ * [{ prefix: "/api/subscriptions", router, tag: "Subscriptions" }]
+ */
+export function buildOpenApiDocument(mounts, info = {}) {
+  const paths = {};
+
+  for (const { prefix, router, tag } of mounts) {
+    // Auth applied with router.use() covers every route after it
+    const routerSecured = router.stack.some(layer => !layer.route && layer.handle === requireAuth);
+
+    for (const layer of router.stack) {
+      const route = layer.route;
+      if (!route) continue;
+
+      const validator = route.stack.find(l => l.handle.openapi);
+      if (!validator) continue;
+
+      const secured = routerSecured || route.stack.some(l => l.handle === requireAuth);
+      const path = toOpenApiPath(prefix + (route.path === "/" ? "" : route.path));
+      for (const method of Object.keys(route.methods)) {
+        paths[path] ||= {};
+        paths[path][method] = operationFor(validator.handle.openapi, method, path, secured, tag);
+      }
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: info.title || "GameHub API",
+      version: info.version || "1.0.0",
+      ...(info.description ? { description: info.description } : {})
+    },
+    ...(info.serverUrl ? { servers: [{ url: info.serverUrl }] } : {}),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" }
+      },
+      schemas: {
+        Error: errorSchema,
+        ValidationError: validationErrorSchema
+      }
+    }
+  };
+}
@@ -0,0 +1,347 @@
+// lib/paymentProviders.js
+//
+// A payment provider is {
+//   name, label,
+//   needsPhone,    true when the customer approves a prompt on their phone
+//   initiate({ phone, email, amount, accountRef, description, branchId, callbackToken })
+//     -> { reference, merchantReference?, checkoutUrl?, message, response }
+//     callbackToken is the payment's secret, for providers that call back
+//     to a URL we give them
+//   query({ reference, branchId })
+//     -> { state: "pending" | "success" | "failed", resultCode?, resultDesc,
+//          receiptNumber?, paidAmount?, response }
+//   parseCallback(req) -> { reference, state, payload, ... } or null when
+//     the body isn't one of this provider's callbacks
+//   verifyCallback(req) (optional) -> false when the callback isn't genuine
+//   refund({ payment, phone, amount, remarks, occasion, reference })
+//     -> { pending: true, conversationId?, originatorConversationId?, resultToken? }
+//        when the outcome arrives later, or
+//        { pending: false, succeeded, receiptNumber?, resultDesc, response }
+//     reference is ours for this payout attempt, where the provider takes one
+//   queryRefund({ refund, payment }) (optional) -> what became of a payout
+//     that is unknown or still processing: { pending: true, conversationId?,
+//     originatorConversationId?, resultToken? } when the answer arrives later,
+//     or { pending: false, state: "completed" | "failed" | "unknown",
+//     receiptNumber?, resultDesc, response } ("unknown": still open)
+// }
+// initiate, query and refund throw when the provider refuses the request.
+// A refund error whose cause is a request that got no answer (timeout,
+// dropped connection, 5xx) may still have paid out; see isAmbiguousPayoutError.
+// PAYMENT_PROVIDERS lists the methods offered at checkout ("mpesa,airtel,card");
+// the first one is the default.
+import { initiateStkPush, queryTransactionStatus, initiateB2CPayment, queryB2CStatus } from "./mpesa.js";
+import {
+  AIRTEL_STATUS,
+  initiateAirtelCollection,
+  queryAirtelCollection,
+  initiateAirtelDisbursement,
+  queryAirtelDisbursement
+} from "./airtel.js";
+import {
+  CARD_STATUS,
+  CARD_REFUND_STATUS,
+  initializeCardPayment,
+  verifyCardPayment,
+  verifyCardWebhookSignature,
+  refundCardPayment,
+  getCardRefund
+} from "./cardGateway.js";
+import { parseStkCallback } from "./payments.js";
+import Logger from './logger.js';
+const logger = new Logger('payment-providers');
+
+// Safaricom M-Pesa: STK push, paid into the branch's shortcode
+function createMpesaProvider() {
+  return {
+    name: "mpesa",
+    label: "M-Pesa",
+    needsPhone: true,
+    async initiate({ phone, amount, accountRef, description, branchId, callbackToken }) {
+      const resp = await initiateStkPush({
+        phone,
+        amount,
+        accountRef,
+        transactionDesc: description,
+        branchId,
+        callbackToken
+      });
+      return {
+        reference: resp.checkoutRequestId,
+        merchantReference: resp.merchantRequestId,
+        message: "STK Push initiated. Enter M-Pesa PIN to complete.",
+        response: resp.data
+      };
+    },
+    async query({ reference, branchId }) {
+      const status = await queryTransactionStatus(reference, { branchId });
+      if (status.ResultCode === undefined) {
+        return { state: "pending", resultDesc: status.errorMessage, response: status };
+      }
+      const resultCode = parseInt(status.ResultCode);
+      return {
+        state: resultCode === 0 ? "success" : "failed",
+        resultCode,
+        resultDesc: status.ResultDesc,
+        response: status
+      };
+    },
+    parseCallback(req) {
+      const stkCallback = req.body?.Body?.stkCallback;
+      return stkCallback?.CheckoutRequestID ? parseStkCallback(stkCallback) : null;
+    },
+    async refund({ phone, amount, remarks, occasion, payment, reference }) {
+      const b2c = await initiateB2CPayment({
+        phone,
+        amount,
+        remarks,
+        occasion,
+        branchId: payment.branch,
+        originatorConversationId: reference
+      });
+      return {
+        pending: true,
+        conversationId: b2c.conversationId,
+        originatorConversationId: b2c.originatorConversationId,
+        resultToken: b2c.resultToken
+      };
+    },
+    // The Transaction Status API answers on its own ResultURL
+    async queryRefund({ refund, payment }) {
+      const status = await queryB2CStatus({
+        originatorConversationId: refund.originatorConversationId,
+        branchId: payment.branch
+      });
+      return { pending: true, ...status };
+    }
+  };
+}
+
+// Airtel Money: USSD push to the customer's Airtel line
+function createAirtelProvider() {
+  if (!process.env.AIRTEL_CLIENT_ID || !process.env.AIRTEL_CLIENT_SECRET) {
+    throw new Error("Airtel Money credentials not configured");
+  }
+
+  const toResult = transaction => ({
+    reference: transaction.id,
+    state: AIRTEL_STATUS[transaction.status || transaction.status_code] || "pending",
+    resultDesc: transaction.message,
+    receiptNumber: transaction.airtel_money_id || undefined
+  });
+
+  return {
+    name: "airtel",
+    label: "Airtel Money",
+    needsPhone: true,
+    async initiate({ phone, amount, accountRef }) {
+      const resp = await initiateAirtelCollection({ phone, amount, reference: accountRef });
+      return {
+        reference: resp.transactionId,
+        message: "Approve the Airtel Money prompt on your phone to complete.",
+        response: resp.data
+      };
+    },
+    async query({ reference }) {
+      const transaction = await queryAirtelCollection(reference);
+      return { ...toResult(transaction), response: transaction };
+    },
+    parseCallback(req) {
+      const transaction = req.body?.transaction;
+      return transaction?.id ? { ...toResult(transaction), payload: req.body } : null;
+    },
+    async refund({ phone, amount, occasion, reference }) {
+      const payout = await initiateAirtelDisbursement({
+        phone,
+        amount,
+        reference: occasion,
+        transactionId: reference
+      });
+      // Still in progress: nothing will call back, so the reconciler polls it
+      if (payout.status === "pending") {
+        return { pending: true, originatorConversationId: payout.transactionId };
+      }
+      return {
+        pending: false,
+        succeeded: payout.status === "success",
+        receiptNumber: payout.airtelMoneyId,
+        resultDesc: payout.message,
+        response: payout.data
+      };
+    },
+    async queryRefund({ refund }) {
+      const payout = await queryAirtelDisbursement(refund.originatorConversationId);
+      const state = { success: "completed", failed: "failed" }[payout.status] ||
+        (payout.status === null ? "failed" : "unknown");
+      return {
+        pending: false,
+        state,
+        receiptNumber: payout.airtelMoneyId,
+        resultDesc: payout.status === null ? "Airtel has no record of the payout" : payout.message,
+        response: payout.data
+      };
+    }
+  };
+}
+
+// Card payments on the gateway's hosted checkout page
+function createCardProvider() {
+  if (!process.env.CARD_SECRET_KEY) {
+    throw new Error("Card gateway credentials not configured");
+  }
+
+  return {
+    name: "card",
+    label: "Card",
+    needsPhone: false,
+    async initiate({ email, amount, accountRef, description }) {
+      const resp = await initializeCardPayment({ email, amount, accountRef, description });
+      return {
+        reference: resp.reference,
+        checkoutUrl: resp.checkoutUrl,
+        message: "Complete the card payment on the checkout page.",
+        response: resp.data
+      };
+    },
+    async query({ reference }) {
+      const transaction = await verifyCardPayment(reference);
+      const state = CARD_STATUS[transaction.status] || "pending";
+      return {
+        state,
+        resultDesc: transaction.gateway_response || transaction.status,
+        ...(state === "success" ? {
+          receiptNumber: String(transaction.id),
+          paidAmount: transaction.amount / 100
+        } : {}),
+        response: transaction
+      };
+    },
+    verifyCallback(req) {
+      return verifyCardWebhookSignature(req.rawBody, req.get("x-paystack-signature"));
+    },
+    parseCallback(req) {
+      const { event, data } = req.body || {};
+      if (!event || !data) return null;
+      // Other events (transfers, disputes, ...) are acknowledged and ignored
+      if (!event.startsWith("charge.")) return { reference: null, payload: req.body };
+      return { reference: data.reference, state: CARD_STATUS[data.status] || "pending", payload: req.body };
+    },
+    async refund({ payment, amount }) {
+      const refund = await refundCardPayment({ reference: payment.checkoutRequestId, amount });
+      // Queued by the gateway: the reconciler polls it until it is processed
+      if (!CARD_REFUND_STATUS[refund.status]) {
+        return { pending: true, conversationId: refund.id ? String(refund.id) : undefined };
+      }
+      return {
+        pending: false,
+        succeeded: CARD_REFUND_STATUS[refund.status] === "completed",
+        receiptNumber: String(refund.id),
+        resultDesc: `Card refund ${refund.status}`,
+        response: refund.data
+      };
+    },
+    // Without the gateway's id (the refund request went unanswered), the
+    // latest refund of the payment made since the payout was approved
+    async queryRefund({ refund, payment }) {
+      const found = await getCardRefund({
+        id: refund.conversationId,
+        reference: payment.checkoutRequestId,
+        since: refund.reviewedAt
+      });
+      if (found.status === null) {
+        return { pending: false, state: "failed", resultDesc: "The card gateway has no record of the refund", response: found.data };
+      }
+      return {
+        pending: false,
+        state: CARD_REFUND_STATUS[found.status] || "unknown",
+        receiptNumber: String(found.id),
+        resultDesc: `Card refund ${found.status}`,
+        response: found.data
+      };
+    }
+  };
+}
+
+const factories = {
+  mpesa: createMpesaProvider,
+  airtel: createAirtelProvider,
+  card: createCardProvider
+};
+
+// Every method a checkout may name, whether or not it is switched on here
+export const PAYMENT_METHODS = Object.keys(factories);
+
+const cache = new Map();
+
+// Add another provider, e.g. registerPaymentProvider("equity", () => ({ ... }))
+export function registerPaymentProvider(name, factory) {
+  factories[name] = factory;
+  if (!PAYMENT_METHODS.includes(name)) PAYMENT_METHODS.push(name);
+  cache.delete(name);
+}
+
+/**
+ * The provider that handled (or will handle) a payment, whether or not
+ * it is still offered at checkout. null when unknown or misconfigured.
+ */
+export function getPaymentProvider(name = "mpesa") {
+  if (cache.has(name)) return cache.get(name);
+
+  let provider = null;
+  const factory = factories[name];
+  if (!factory) {
+    logger.error('Unknown payment provider', { provider: name });
+  } else {
+    try {
+      provider = factory();
+    } catch (err) {
+      logger.error('Payment provider unavailable', { provider: name, error: err.message });
+    }
+  }
+
+  cache.set(name, provider);
+  return provider;
+}
+
+// Methods offered at checkout, in PAYMENT_PROVIDERS order
+export function getEnabledPaymentMethods() {
+  return (process.env.PAYMENT_PROVIDERS || "mpesa")
+    .split(",")
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name && getPaymentProvider(name));
+}
+
+/**
+ * The provider for a new checkout: the requested method, or the default.
+ * Returns { provider } or { status, error }.
+ */
+export function getCheckoutProvider(method) {
+  const enabled = getEnabledPaymentMethods();
+  const name = method || enabled[0];
+  if (!name || !enabled.includes(name)) {
+    return {
+      status: 400,
+      error: `${method ? `${method} payments are` : "Payment is"} not available. Choose one of: ${enabled.join(", ") || "none"}`
+    };
+  }
+  return { provider: getPaymentProvider(name) };
+}
+
+// What the provider that took a payment says about it now
+export function queryPayment(payment) {
+  const provider = getPaymentProvider(payment.provider);
+  if (!provider) {
+    throw new Error(`Payment provider ${payment.provider} is not available`);
+  }
+  return provider.query({ reference: payment.checkoutRequestId, branchId: payment.branch });
+}
+
+/**
+ * Whether a refund() that threw may still have paid out: its request got
+ * no answer (timeout, dropped connection) or a server error.
+ */
+export function isAmbiguousPayoutError(err) {
+  for (let cause = err?.cause; cause; cause = cause.cause) {
+    if (cause.isAxiosError) return !cause.response || cause.response.status >= 500;
+  }
+  return false;
+}
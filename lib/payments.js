@@ -0,0 +1,628 @@
+// lib/payments.js
+import Payment from "../models/Payment.js";
+import Refund from "../models/Refund.js";
+import Subscription from "../models/Subscription.js";
+import { generateCallbackToken, hashCallbackToken } from "./callbackVerification.js";
+import { addPlanDuration } from "./subscriptions.js";
+import { markCouponRedeemed, releaseCoupon } from "./coupons.js";
+import { notifyPaymentResult } from "./notifications.js";
+import { emitSubscriptionEvents } from "./webhooks.js";
+import { recordStkCancellation } from "./stkLimits.js";
+import Logger from './logger.js';
+const logger = new Logger('payment-ledger');
+
+// Pull a named value out of the stkCallback CallbackMetadata.Item array
+export function getCallbackItem(callbackMetadata, name) {
+  const item = (callbackMetadata?.Item || []).find(i => i.Name === name);
+  return item ? item.Value : undefined;
+}
+
+/**
+ * A Daraja stkCallback as a provider result (see lib/paymentProviders.js)
+ */
+export function parseStkCallback(stkCallback) {
+  const { MerchantRequestID, CheckoutRequestID, ResultCode, ResultDesc, CallbackMetadata } = stkCallback;
+  const resultCode = parseInt(ResultCode);
+  const paidAmount = Number(getCallbackItem(CallbackMetadata, "Amount"));
+  const phone = getCallbackItem(CallbackMetadata, "PhoneNumber");
+
+  return {
+    reference: CheckoutRequestID,
+    merchantReference: MerchantRequestID,
+    state: resultCode === 0 ? "success" : "failed",
+    resultCode,
+    resultDesc: ResultDesc,
+    receiptNumber: getCallbackItem(CallbackMetadata, "MpesaReceiptNumber"),
+    paidAmount: Number.isFinite(paidAmount) ? paidAmount : undefined,
+    phone: phone ? phone.toString() : undefined,
+    transactionDate: getCallbackItem(CallbackMetadata, "TransactionDate")?.toString(),
+    payload: stkCallback
+  };
+}
+
+/**
+ * Open the ledger entry for a payment attempt before the provider is asked
+ * to charge, so a callback that arrives before initiate() returns still
+ * finds it and its token. Pass callbackToken to initiate() and the outcome
+ * to recordPaymentAttempt(). Returns { payment, callbackToken }.
+ */
+export async function openPaymentAttempt({
+  subscription,
+  provider = "mpesa",
+  phone,
+  amount,
+  purpose = "subscription",
+  extension,
+  proration
+}) {
+  const callbackToken = generateCallbackToken();
+  const payment = await Payment.create({
+    subscriptionId: subscription._id,
+    userId: subscription.userId,
+    branch: subscription.branch,
+    provider,
+    amount,
+    phoneNumber: phone,
+    purpose,
+    extension,
+    proration,
+    callbackTokenHash: hashCallbackToken(callbackToken),
+    status: "pending"
+  });
+  return { payment, callbackToken };
+}
+
+// Record how the provider answered a payment attempt: checkout is what its
+// initiate() returned, error why it refused. The callback may already have
+// settled the payment, so only the reference is filled in then.
+export async function recordPaymentAttempt(payment, { checkout, error }) {
+  if (error) {
+    return (await settlePayment(payment._id, { status: "failed", resultDesc: error.message })) || payment;
+  }
+
+  return Payment.findByIdAndUpdate(
+    payment._id,
+    {
+      $set: {
+        checkoutRequestId: checkout.reference,
+        merchantRequestId: checkout.merchantReference,
+        stkResponse: checkout.response,
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+}
+
+// Find the ledger entry for a checkout, creating one for subscriptions whose
+// STK push was started before the ledger existed
+async function findOrCreatePayment(checkoutRequestId) {
+  const payment = await Payment.findOne({ checkoutRequestId });
+  if (payment) return payment;
+
+  // Bundle siblings share the checkout id; the primary carries the payment
+  const subscription = await Subscription.findOne({
+    mpesaCheckoutId: checkoutRequestId,
+    "bundle.primary": { $ne: false }
+  });
+  if (!subscription) return null;
+
+  try {
+    return await Payment.create({
+      subscriptionId: subscription._id,
+      userId: subscription.userId,
+      branch: subscription.branch,
+      amount: subscription.bundle?.totalAmount ?? subscription.amount,
+      phoneNumber: subscription.phoneNumber,
+      checkoutRequestId,
+      status: "pending"
+    });
+  } catch (err) {
+    // A concurrent callback created it first
+    if (err.code === 11000) return Payment.findOne({ checkoutRequestId });
+    throw err;
+  }
+}
+
+// Atomically move a payment out of "pending". Returns null if another
+// callback or poll already settled it.
+async function settlePayment(paymentId, update) {
+  try {
+    return await Payment.findOneAndUpdate(
+      { _id: paymentId, status: "pending" },
+      { $set: { ...update, processedAt: new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+  } catch (err) {
+    // The receipt number is already recorded on another payment: never
+    // activate twice off the same M-Pesa transaction
+    if (err.code === 11000 && update.receiptNumber) {
+      const { receiptNumber, ...rest } = update;
+      return Payment.findOneAndUpdate(
+        { _id: paymentId, status: "pending" },
+        {
+          $set: {
+            ...rest,
+            status: "flagged",
+            flagReason: `Duplicate receipt number ${receiptNumber}`,
+            processedAt: new Date(),
+            updatedAt: new Date()
+          }
+        },
+        { new: true }
+      );
+    }
+    throw err;
+  }
+}
+
+/**
+ * Whether a renewal or upgrade is still waiting on its payment. withinMs
+ * only counts attempts started that recently.
+ */
+export async function hasPendingTopUp(subscriptionId, { withinMs } = {}) {
+  const pending = await Payment.exists({
+    subscriptionId,
+    purpose: { $ne: "subscription" },
+    status: "pending",
+    ...(withinMs ? { createdAt: { $gt: new Date(Date.now() - withinMs) } } : {})
+  });
+  return !!pending;
+}
+
+// A renewal or upgrade paid for a subscription that can no longer take it
+// (cancelled while the prompt was open). Flag the payment and open a
+// refund for all of it so an admin can send the money back.
+async function refundUnappliedTopUp(payment) {
+  const flagReason = `Paid ${payment.purpose} could not be applied to the subscription`;
+  const flagged = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: "success" },
+    { $set: { status: "flagged", flagReason, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!flagged) return;
+
+  payment.status = flagged.status;
+  payment.flagReason = flagReason;
+
+  const refund = await Refund.create({
+    paymentId: payment._id,
+    subscriptionId: payment.subscriptionId,
+    userId: payment.userId,
+    phoneNumber: payment.phoneNumber,
+    requestedAmount: payment.paidAmount ?? payment.amount,
+    reason: flagReason
+  });
+
+  logger.warn('Top-up refund requested', {
+    paymentId: payment._id.toString(),
+    subscriptionId: payment.subscriptionId.toString(),
+    refundId: refund._id.toString()
+  });
+}
+
+// Extend a subscription by the plan a renewal paid for, stacking on whatever
+// time is left. If it lapsed while the customer was paying, the new term
+// starts now.
+async function applyRenewal(payment, actor) {
+  // A failed or flagged renewal leaves the current term untouched
+  if (payment.status !== "success") return null;
+
+  // Retry if another renewal moved endDate between our read and write
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const subscription = await Subscription.findOne({
+      _id: payment.subscriptionId,
+      status: { $in: ["active", "expired"] }
+    });
+    if (!subscription) {
+      await refundUnappliedTopUp(payment);
+      return null;
+    }
+
+    const now = new Date();
+    const previousEndDate = subscription.endDate;
+    const base = previousEndDate > now ? previousEndDate : now;
+    const newEndDate = addPlanDuration(base, payment.extension);
+
+    const push = {
+      renewals: {
+        paymentId: payment._id,
+        plan: payment.extension.plan,
+        amount: payment.paidAmount ?? payment.amount,
+        receiptNumber: payment.receiptNumber,
+        previousEndDate,
+        newEndDate,
+        renewedAt: now
+      }
+    };
+
+    // This renewal is where a scheduled downgrade takes effect
+    if (subscription.plan !== payment.extension.plan &&
+        subscription.scheduledPlanChange?.plan === payment.extension.plan) {
+      push.planChanges = {
+        type: "downgrade",
+        fromPlan: subscription.plan,
+        toPlan: payment.extension.plan,
+        paymentId: payment._id,
+        charged: payment.paidAmount ?? payment.amount,
+        effectiveAt: base
+      };
+    }
+
+    // Only a lapsed subscription changes status; an active one just extends
+    const revived = subscription.status === "expired";
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: subscription.status, endDate: previousEndDate },
+      {
+        $set: {
+          ...(revived ? { status: "active" } : {}),
+          endDate: newEndDate,
+          plan: payment.extension.plan,
+          amount: payment.extension.amount ?? subscription.amount,
+          updatedAt: now
+        },
+        $unset: { scheduledPlanChange: "" },
+        $push: push
+      },
+      {
+        new: true,
+        audit: { actor, reason: `Renewed with payment ${payment.receiptNumber || payment._id}` }
+      }
+    );
+    if (updated) return updated;
+  }
+
+  logger.error('Failed to apply renewal after retries', {
+    paymentId: payment._id.toString(),
+    subscriptionId: payment.subscriptionId.toString()
+  });
+  return null;
+}
+
+// Switch a subscription to the plan an upgrade paid for. The new term starts
+// now; the unused part of the old one was already credited in the charge.
+async function applyUpgrade(payment, actor) {
+  if (payment.status !== "success") return null;
+
+  const now = new Date();
+  const { proration = {} } = payment;
+
+  const current = await Subscription.findOne(
+    { _id: payment.subscriptionId, status: { $in: ["active", "expired"] } },
+    { status: 1 }
+  ).lean();
+
+  const updated = current && await Subscription.findOneAndUpdate(
+    { _id: payment.subscriptionId, status: current.status },
+    {
+      $set: {
+        ...(current.status === "expired" ? { status: "active" } : {}),
+        plan: payment.extension.plan,
+        amount: payment.extension.amount,
+        startDate: now,
+        endDate: addPlanDuration(now, payment.extension),
+        updatedAt: now
+      },
+      $unset: { scheduledPlanChange: "" },
+      $push: {
+        planChanges: {
+          type: "upgrade",
+          fromPlan: proration.fromPlan,
+          toPlan: payment.extension.plan,
+          paymentId: payment._id,
+          credit: proration.unusedValue,
+          charged: payment.paidAmount ?? payment.amount,
+          effectiveAt: now
+        }
+      }
+    },
+    {
+      new: true,
+      audit: { actor, reason: `Upgraded to ${payment.extension.plan}` }
+    }
+  );
+
+  if (!updated) {
+    logger.error('Paid upgrade could not be applied', {
+      paymentId: payment._id.toString(),
+      subscriptionId: payment.subscriptionId.toString()
+    });
+    await refundUnappliedTopUp(payment);
+  }
+  return updated;
+}
+
+// Apply the same update to the other pending subscriptions of a bundle.
+// Returns the siblings that were updated.
+async function settleBundleSiblings(primary, update, audit) {
+  const siblings = await Subscription.find({
+    "bundle.groupId": primary.bundle.groupId,
+    _id: { $ne: primary._id },
+    status: "pending"
+  }, { _id: 1 }).lean();
+  if (siblings.length === 0) return [];
+
+  const ids = siblings.map(sub => sub._id);
+  const result = await Subscription.updateMany(
+    { _id: { $in: ids }, status: "pending" },
+    { $set: update },
+    { audit }
+  );
+
+  logger.info('Bundle subscriptions updated', {
+    groupId: primary.bundle.groupId.toString(),
+    status: update.status || "pending",
+    count: result.modifiedCount
+  });
+
+  return Subscription.find({ _id: { $in: ids }, updatedAt: update.updatedAt });
+}
+
+// Tell webhook listeners a subscription (and its bundle siblings) settled
+async function emitSettled(subscription, siblings) {
+  const event = {
+    active: "subscription.activated",
+    failed: "subscription.failed"
+  }[subscription.status];
+  if (!event) return;
+
+  await emitSubscriptionEvents(event, [subscription, ...siblings]);
+}
+
+// Reflect a settled payment on its subscription. Only pending subscriptions
+// are touched so a late or replayed result cannot undo an earlier one.
+async function applyToSubscription(payment, actor) {
+  if (payment.purpose === "renewal") return applyRenewal(payment, actor);
+  if (payment.purpose === "upgrade") return applyUpgrade(payment, actor);
+
+  let update;
+
+  if (payment.status === "success") {
+    update = {
+      status: "active",
+      receiptNumber: payment.receiptNumber,
+      paidAmount: payment.paidAmount,
+      phoneNumber: payment.phoneNumber,
+      mpesaTransactionDate: payment.transactionDate,
+      startDate: new Date(),
+      updatedAt: new Date()
+    };
+  } else if (payment.status === "failed") {
+    update = {
+      status: "failed",
+      failedReason: payment.resultDesc,
+      updatedAt: new Date()
+    };
+  } else {
+    // Flagged: leave the subscription pending until someone reviews it
+    update = {
+      "metadata.paymentFlag": {
+        paymentId: payment._id,
+        reason: payment.flagReason,
+        flaggedAt: new Date()
+      },
+      updatedAt: new Date()
+    };
+  }
+
+  const audit = {
+    actor,
+    reason: payment.status === "success"
+      ? `Payment ${payment.receiptNumber || payment._id} confirmed`
+      : payment.resultDesc
+  };
+
+  const subscription = await Subscription.findOneAndUpdate(
+    { _id: payment.subscriptionId, status: "pending" },
+    { $set: update },
+    { new: true, audit }
+  );
+
+  // Bundle siblings follow the primary that carried the payment
+  let siblings = [];
+  if (subscription?.bundle?.groupId) {
+    siblings = await settleBundleSiblings(subscription, update, audit);
+  }
+  if (subscription) {
+    await emitSettled(subscription, siblings);
+  }
+
+  // Settle any coupon held for this checkout
+  if (subscription && payment.status === "success") {
+    await markCouponRedeemed(subscription._id);
+  } else if (subscription && payment.status === "failed") {
+    await releaseCoupon(subscription._id);
+  }
+
+  return subscription;
+}
+
+// Don't hold up the callback response (Safaricom times out) on an SMS send
+function notifyInBackground(payment, subscription) {
+  notifyPaymentResult(payment, subscription).catch(err =>
+    logger.error('Payment notification failed', {
+      paymentId: payment._id.toString(),
+      error: err.message
+    })
+  );
+}
+
+/**
+ * Settle a payment from a provider's callback exactly once. result is a
+ * provider result (see lib/paymentProviders.js).
+ * Returns { outcome, payment, subscription } where outcome is one of
+ * "success", "failed", "flagged", "duplicate" or "not_found".
+ */
+export async function processPaymentCallback(result, { actor = "system:mpesa_callback" } = {}) {
+  const payment = await findOrCreatePayment(result.reference);
+  if (!payment) {
+    logger.warn('No payment found for callback', {
+      checkoutRequestId: result.reference,
+      merchantRequestId: result.merchantReference
+    });
+    return { outcome: "not_found" };
+  }
+
+  if (payment.status !== "pending") {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { duplicateCallbacks: 1 } });
+    logger.warn('Duplicate callback ignored', {
+      paymentId: payment._id.toString(),
+      checkoutRequestId: result.reference,
+      status: payment.status
+    });
+    return { outcome: "duplicate", payment };
+  }
+
+  const update = {
+    ...(result.merchantReference ? { merchantRequestId: result.merchantReference } : {}),
+    resultCode: Number.isFinite(result.resultCode) ? result.resultCode : undefined,
+    resultDesc: result.resultDesc,
+    callbackPayload: result.payload,
+    callbackReceivedAt: new Date()
+  };
+
+  if (result.state === "success") {
+    update.receiptNumber = result.receiptNumber;
+    update.paidAmount = result.paidAmount;
+    update.transactionDate = result.transactionDate;
+    if (result.phone) update.phoneNumber = result.phone;
+
+    if (!result.receiptNumber || !Number.isFinite(result.paidAmount)) {
+      update.status = "flagged";
+      update.flagReason = "Success callback missing receipt or amount";
+    } else if (result.paidAmount !== payment.amount) {
+      update.status = "flagged";
+      update.flagReason = `Paid amount ${result.paidAmount} does not match expected ${payment.amount}`;
+    } else {
+      update.status = "success";
+    }
+  } else {
+    update.status = "failed";
+  }
+
+  const settled = await settlePayment(payment._id, update);
+  if (!settled) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { duplicateCallbacks: 1 } });
+    return { outcome: "duplicate", payment };
+  }
+
+  if (settled.status === "flagged") {
+    logger.warn('Payment flagged for review', {
+      paymentId: settled._id.toString(),
+      subscriptionId: settled.subscriptionId.toString(),
+      reason: settled.flagReason
+    });
+  }
+
+  const subscription = await applyToSubscription(settled, actor);
+
+  logger.info('Callback processed', {
+    paymentId: settled._id.toString(),
+    subscriptionId: settled.subscriptionId.toString(),
+    provider: settled.provider,
+    outcome: settled.status,
+    subscriptionUpdated: !!subscription
+  });
+
+  notifyInBackground(settled, subscription);
+  await recordStkCancellation(settled);
+
+  return { outcome: settled.status, payment: settled, subscription };
+}
+
+/**
+ * Process a Daraja stkCallback body exactly once (see processPaymentCallback).
+ */
+export async function processStkCallback(stkCallback) {
+  return processPaymentCallback(parseStkCallback(stkCallback));
+}
+
+/**
+ * Settle a pending payment from a provider's query() result, for when the
+ * callback never arrived. An M-Pesa query carries no receipt or amount, so
+ * a success without one is recorded against the expected amount.
+ */
+export async function applyPaymentQueryResult(payment, queryResult, { actor = "system:mpesa_query" } = {}) {
+  if (!queryResult || queryResult.state === "pending") {
+    // Still being processed by the provider
+    return { outcome: "pending", payment };
+  }
+
+  if (payment.status !== "pending") return { outcome: "duplicate", payment };
+
+  const succeeded = queryResult.state === "success";
+  const paidAmount = queryResult.paidAmount ?? payment.amount;
+  const mismatch = succeeded && paidAmount !== payment.amount;
+  const settled = await settlePayment(payment._id, {
+    status: mismatch ? "flagged" : (succeeded ? "success" : "failed"),
+    resultCode: Number.isFinite(queryResult.resultCode) ? queryResult.resultCode : undefined,
+    resultDesc: queryResult.resultDesc,
+    ...(succeeded ? { paidAmount } : {}),
+    ...(succeeded && queryResult.receiptNumber ? { receiptNumber: queryResult.receiptNumber } : {}),
+    ...(mismatch ? { flagReason: `Paid amount ${paidAmount} does not match expected ${payment.amount}` } : {})
+  });
+  if (!settled) return { outcome: "duplicate", payment };
+
+  const updated = await applyToSubscription(settled, actor);
+  notifyInBackground(settled, updated);
+  await recordStkCancellation(settled);
+  return { outcome: settled.status, payment: settled, subscription: updated };
+}
+
+/**
+ * The ledger entry for a subscription's initial checkout. Bundle members
+ * share the one their primary carries. Legacy M-Pesa checkouts get one
+ * created on the way.
+ */
+export async function findCheckoutPayment(subscription) {
+  if (subscription.mpesaCheckoutId) {
+    return findOrCreatePayment(subscription.mpesaCheckoutId);
+  }
+
+  let primaryId = subscription._id;
+  if (subscription.bundle?.groupId && subscription.bundle.primary === false) {
+    const primary = await Subscription.findOne(
+      { "bundle.groupId": subscription.bundle.groupId, "bundle.primary": true },
+      { _id: 1 }
+    ).lean();
+    if (!primary) return null;
+    primaryId = primary._id;
+  }
+
+  return Payment.findOne({ subscriptionId: primaryId, purpose: "subscription" }).sort({ createdAt: -1 });
+}
+
+/**
+ * Give up on a pending subscription whose payment will never complete
+ * (no STK push went out, or Safaricom no longer knows the checkout).
+ */
+export async function failPendingPayment(subscription, reason, { actor = "system:reconciler" } = {}) {
+  let payment = await findCheckoutPayment(subscription);
+  if (payment && payment.status === "pending") {
+    payment = await settlePayment(payment._id, { status: "failed", resultDesc: reason });
+  }
+
+  const audit = { actor, reason };
+  const updated = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: "pending" },
+    { $set: { status: "failed", failedReason: reason, updatedAt: new Date() } },
+    { new: true, audit }
+  );
+
+  if (updated) {
+    const siblings = updated.bundle?.groupId
+      ? await settleBundleSiblings(updated, { status: "failed", failedReason: reason, updatedAt: new Date() }, audit)
+      : [];
+    await emitSettled(updated, siblings);
+    await releaseCoupon(updated._id);
+  }
+
+  return { outcome: updated ? "failed" : "duplicate", payment, subscription: updated };
+}
+
+// Give up on a pending top-up payment (renewal, upgrade). The subscription it
+// was meant for is left as it is.
+export async function failPendingTopUp(payment, reason) {
+  const settled = await settlePayment(payment._id, { status: "failed", resultDesc: reason });
+  return { outcome: settled ? "failed" : "duplicate", payment: settled || payment };
+}
@@ -0,0 +1,197 @@
+// lib/pricing.js
+//
+// Peak and off-peak prices. A plan's pricingRules replace its base amount
+// while they apply (Friday nights, weekends, a December promotion, public
+// holidays). Rules are read in the business's local time: PRICING_TIMEZONE,
+// else NOTIFICATION_TIMEZONE, else Africa/Nairobi.
+//
+// When several rules match, a holiday rule beats the rest, then the highest
+// priority wins, then the rule listed first.
+import Holiday from "../models/Holiday.js";
+import { getDefaultBranch } from "./branches.js";
+
+const TIMEZONE = process.env.PRICING_TIMEZONE || process.env.NOTIFICATION_TIMEZONE || "Africa/Nairobi";
+// How far ahead the plan listing looks for the next price change
+const LOOKAHEAD_DAYS = parseInt(process.env.PRICING_LOOKAHEAD_DAYS) || 14;
+
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const localFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  weekday: "short",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23"
+});
+
+// Local calendar date (YYYY-MM-DD), weekday and minute of the day
+function localTime(at) {
+  const parts = Object.fromEntries(localFormat.formatToParts(at).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS[parts.weekday],
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// The instant a local date and time of day happens
+function toInstant(date, minutes) {
+  const wall = Date.parse(`${date}T00:00:00Z`) + minutes * MINUTE_MS;
+  let guess = wall;
+  // Twice, in case the first guess lands across a DST change
+  for (let i = 0; i < 2; i++) {
+    const local = localTime(new Date(guess));
+    guess += wall - (Date.parse(`${local.date}T00:00:00Z`) + local.minutes * MINUTE_MS);
+  }
+  return new Date(guess);
+}
+
+// Day conditions, checked against the day a rule's time window starts on
+function dayMatches(rule, date, holidays) {
+  if (rule.holidays && !holidays.has(date)) return false;
+  if (rule.daysOfWeek?.length && !rule.daysOfWeek.includes(weekdayOf(date))) return false;
+  if (rule.startDate && date < rule.startDate) return false;
+  if (rule.endDate && date > rule.endDate) return false;
+  return true;
+}
+
+function ruleApplies(rule, local, holidays) {
+  if (!rule.startTime || !rule.endTime) return dayMatches(rule, local.date, holidays);
+
+  const start = toMinutes(rule.startTime);
+  const end = toMinutes(rule.endTime);
+  if (start < end) {
+    return local.minutes >= start && local.minutes < end && dayMatches(rule, local.date, holidays);
+  }
+  // Past midnight: this evening, or the small hours after yesterday's start
+  return (local.minutes >= start && dayMatches(rule, local.date, holidays)) ||
+    (local.minutes < end && dayMatches(rule, addDays(local.date, -1), holidays));
+}
+
+function outranks(rule, best) {
+  if (Boolean(rule.holidays) !== Boolean(best.holidays)) return Boolean(rule.holidays);
+  return (rule.priority || 0) > (best.priority || 0);
+}
+
+function selectRule(plan, at, holidays) {
+  const local = localTime(at);
+  let best = null;
+  for (const rule of plan.pricingRules || []) {
+    if (ruleApplies(rule, local, holidays) && (!best || outranks(rule, best))) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+function priceWith(plan, rule) {
+  return { amount: rule ? rule.amount : plan.amount, rule: rule ? rule.name : null };
+}
+
+// First moment within the lookahead at which the price differs. Prices only
+// change at midnight or at a rule's start or end time.
+function findNextChange(plan, at, holidays, current) {
+  const boundaries = new Set([0]);
+  for (const rule of plan.pricingRules) {
+    if (rule.startTime && rule.endTime) {
+      boundaries.add(toMinutes(rule.startTime));
+      boundaries.add(toMinutes(rule.endTime));
+    }
+  }
+  const times = [...boundaries].sort((a, b) => a - b);
+
+  const today = localTime(at).date;
+  for (let day = 0; day <= LOOKAHEAD_DAYS; day++) {
+    const date = addDays(today, day);
+    for (const minutes of times) {
+      const instant = toInstant(date, minutes);
+      if (instant <= at) continue;
+
+      const price = priceWith(plan, selectRule(plan, instant, holidays));
+      if (price.amount !== current.amount) return { at: instant, ...price };
+    }
+  }
+  return null;
+}
+
+// Holiday dates observed at a branch (empty: the default branch)
+async function loadHolidays(branchId, from, to) {
+  const branch = branchId || (await getDefaultBranch())?._id;
+  const holidays = await Holiday.find(
+    { date: { $gte: from, $lte: to }, branch: { $in: branch ? [branch, null] : [null] } },
+    { date: 1 }
+  ).lean();
+  return new Set(holidays.map(h => h.date));
+}
+
+const usesHolidays = plan => (plan.pricingRules || []).some(rule => rule.holidays);
+
+/**
+ * What a plan costs at a moment (default now) at a branch (default the
+ * plan's own). Returns { amount, baseAmount, rule } where rule is the
+ * name of the pricing rule that set the amount, or null for the base price.
+ */
+export async function getPlanPrice(plan, { at = new Date(), branchId = plan.branch } = {}) {
+  // Yesterday too, for a holiday rule that runs past midnight
+  const today = localTime(at).date;
+  const holidays = usesHolidays(plan)
+    ? await loadHolidays(branchId, addDays(today, -1), today)
+    : new Set();
+
+  return { ...priceWith(plan, selectRule(plan, at, holidays)), baseAmount: plan.amount };
+}
+
+/**
+ * Plans with their current price for the public listing:
+ * effectiveAmount, pricingRule (name or null) and nextPriceChange
+ * ({ at, amount, rule } or null if none within PRICING_LOOKAHEAD_DAYS).
+ * amount stays the base price.
+ */
+export async function withCurrentPrices(plans, { at = new Date(), branchId } = {}) {
+  const today = localTime(at).date;
+  const holidaysByBranch = new Map();
+
+  const result = [];
+  for (const plan of plans) {
+    let holidays = new Set();
+    if (usesHolidays(plan)) {
+      const key = String(branchId || plan.branch || "");
+      if (!holidaysByBranch.has(key)) {
+        holidaysByBranch.set(key, await loadHolidays(
+          branchId || plan.branch,
+          addDays(today, -1),
+          addDays(today, LOOKAHEAD_DAYS + 1)
+        ));
+      }
+      holidays = holidaysByBranch.get(key);
+    }
+
+    const current = priceWith(plan, selectRule(plan, at, holidays));
+    result.push({
+      ...plan,
+      effectiveAmount: current.amount,
+      pricingRule: current.rule,
+      nextPriceChange: plan.pricingRules?.length ? findNextChange(plan, at, holidays, current) : null
+    });
+  }
+  return result;
+}
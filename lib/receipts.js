@@ -0,0 +1,215 @@
+// lib/receipts.js
+import PDFDocument from "pdfkit";
+import { addPlanDuration } from "./subscriptions.js";
+
+const BUSINESS = {
+  name: process.env.BUSINESS_NAME || "GameHub",
+  address: process.env.BUSINESS_ADDRESS || "",
+  email: process.env.BUSINESS_EMAIL || "",
+  taxPin: process.env.BUSINESS_TAX_PIN || ""
+};
+const TIMEZONE = process.env.NOTIFICATION_TIMEZONE || "Africa/Nairobi";
+const BRAND_COLOR = process.env.RECEIPT_BRAND_COLOR || "#4f46e5";
+
+// 254712345678 -> 2547****5678
+export function maskPhone(phone) {
+  if (!phone) return "-";
+  const value = phone.toString();
+  if (value.length <= 7) return "***" + value.slice(-3);
+  return value.slice(0, 4) + "*".repeat(value.length - 8) + value.slice(-4);
+}
+
+function formatDate(date) {
+  if (!date) return "-";
+  return new Date(date).toLocaleString("en-KE", {
+    timeZone: TIMEZONE,
+    dateStyle: "medium",
+    timeStyle: "short"
+  });
+}
+
+function formatMoney(amount) {
+  return `KES ${Number(amount || 0).toLocaleString("en-KE", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// Render into memory; receipts are a page or two
+function renderToBuffer(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function drawHeader(doc, title, reference) {
+  doc.rect(0, 0, doc.page.width, 90).fill(BRAND_COLOR);
+  doc.fillColor("#ffffff").fontSize(22).font("Helvetica-Bold").text(BUSINESS.name, 50, 30);
+  doc.fontSize(10).font("Helvetica").text(title.toUpperCase(), 50, 58);
+  doc.fontSize(10).text(reference, 50, 58, { align: "right" });
+
+  doc.fillColor("#333333").fontSize(9).moveDown(0);
+  const details = [BUSINESS.address, BUSINESS.email, BUSINESS.taxPin && `PIN: ${BUSINESS.taxPin}`]
+    .filter(Boolean)
+    .join("  |  ");
+  doc.y = 105;
+  if (details) doc.text(details, 50);
+  doc.moveDown(1.5);
+}
+
+function drawRows(doc, rows) {
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.font("Helvetica").fillColor("#666666").fontSize(10).text(label, 50, y, { width: 170 });
+    doc.font("Helvetica-Bold").fillColor("#111111").text(value ?? "-", 220, y, { width: 325 });
+    doc.moveDown(0.6);
+  }
+}
+
+function drawFooter(doc) {
+  doc.font("Helvetica").fontSize(8).fillColor("#888888").text(
+    `Generated ${formatDate(new Date())}. Payments are processed by M-Pesa; the M-Pesa receipt number can be verified with Safaricom.`,
+    50,
+    doc.page.height - 80,
+    { width: doc.page.width - 100, align: "center" }
+  );
+}
+
+/**
+ * The { start, end } a payment bought, worked out from the subscription's
+ * renewal and plan-change records (endDate alone moves with each renewal).
+ */
+export function getPaymentPeriod(payment, subscription) {
+  const paymentId = payment._id.toString();
+
+  if (payment.purpose === "renewal") {
+    const renewal = subscription.renewals?.find(r => r.paymentId?.toString() === paymentId);
+    if (renewal) {
+      const start = renewal.previousEndDate > renewal.renewedAt ? renewal.previousEndDate : renewal.renewedAt;
+      return { start, end: renewal.newEndDate };
+    }
+  }
+
+  if (payment.purpose === "upgrade") {
+    const change = subscription.planChanges?.find(c => c.paymentId?.toString() === paymentId);
+    if (change) {
+      return { start: change.effectiveAt, end: addPlanDuration(change.effectiveAt, payment.extension || {}) };
+    }
+  }
+
+  // Initial term: until the first renewal or upgrade changed it
+  const start = subscription.usageStartedAt || subscription.startDate;
+  const firstRenewal = subscription.renewals?.[0]?.previousEndDate;
+  const firstUpgrade = subscription.planChanges?.find(c => c.type === "upgrade")?.effectiveAt;
+  const end = [firstRenewal, firstUpgrade].filter(Boolean).sort((a, b) => a - b)[0] || subscription.endDate;
+  return { start, end };
+}
+
+/**
+ * PDF receipt for one successful payment.
+ * period is the { start, end } the payment bought.
+ */
+export function renderReceiptPdf({ payment, subscription, period }) {
+  const purpose = {
+    subscription: "New subscription",
+    renewal: "Renewal",
+    upgrade: "Plan upgrade"
+  }[payment.purpose] || "Payment";
+
+  const planName = payment.extension?.plan || subscription.bundle?.plan || subscription.plan;
+  const rows = [
+    ["Receipt no.", `R-${payment._id.toString().slice(-10).toUpperCase()}`],
+    ["M-Pesa receipt", payment.receiptNumber || "-"],
+    ["Paid on", formatDate(payment.processedAt || payment.createdAt)],
+    ["Paid from", maskPhone(payment.phoneNumber)],
+    ["Customer ID", subscription.userId],
+    ["Item", `${purpose}: ${planName}`],
+    ["Category", subscription.bundle?.groupId ? "Bundle" : subscription.category],
+    ["Valid from", formatDate(period?.start)],
+    ["Valid until", formatDate(period?.end)]
+  ];
+
+  if (payment.purpose === "subscription" && subscription.coupon?.code) {
+    rows.push(["List price", formatMoney(subscription.coupon.originalAmount)]);
+    rows.push([`Discount (${subscription.coupon.code})`, `- ${formatMoney(subscription.coupon.discount)}`]);
+  }
+  if (payment.purpose === "upgrade" && payment.proration?.unusedValue) {
+    rows.push(["Credit for unused time", `- ${formatMoney(payment.proration.unusedValue)}`]);
+  }
+
+  return renderToBuffer(doc => {
+    drawHeader(doc, "Payment receipt", `No. R-${payment._id.toString().slice(-10).toUpperCase()}`);
+    drawRows(doc, rows);
+
+    doc.moveDown(1);
+    doc.moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).strokeColor("#dddddd").stroke();
+    doc.moveDown(0.8);
+    drawRows(doc, [["Amount paid", formatMoney(payment.paidAmount ?? payment.amount)]]);
+
+    if (payment.refundedAmount > 0) {
+      drawRows(doc, [["Refunded", `- ${formatMoney(payment.refundedAmount)}`]]);
+    }
+
+    drawFooter(doc);
+  });
+}
+
+/**
+ * PDF statement of a user's payments and refunds in one month.
+ * lines: [{ date, description, reference, amount }] in date order,
+ * refunds as negative amounts.
+ */
+export function renderStatementPdf({ userId, monthLabel, lines }) {
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  return renderToBuffer(doc => {
+    drawHeader(doc, "Statement", monthLabel);
+    drawRows(doc, [
+      ["Customer ID", userId],
+      ["Period", monthLabel],
+      ["Transactions", String(lines.length)]
+    ]);
+    doc.moveDown(1);
+
+    const columns = [
+      { label: "Date", x: 50, width: 110 },
+      { label: "Description", x: 160, width: 200 },
+      { label: "M-Pesa ref", x: 360, width: 95 },
+      { label: "Amount", x: 455, width: 90, align: "right" }
+    ];
+
+    const drawRow = (values, bold = false) => {
+      if (doc.y > doc.page.height - 120) doc.addPage();
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9).fillColor("#111111");
+      columns.forEach((col, i) => doc.text(values[i], col.x, y, { width: col.width, align: col.align }));
+      doc.moveDown(0.5);
+    };
+
+    drawRow(columns.map(col => col.label), true);
+    doc.moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).strokeColor("#dddddd").stroke();
+    doc.moveDown(0.3);
+
+    if (lines.length === 0) {
+      doc.font("Helvetica").fontSize(10).fillColor("#666666").text("No payments in this period.", 50);
+    }
+    for (const line of lines) {
+      drawRow([formatDate(line.date), line.description, line.reference || "-", formatMoney(line.amount)]);
+    }
+
+    doc.moveDown(0.5);
+    doc.moveTo(50, doc.y).lineTo(doc.page.width - 50, doc.y).strokeColor("#dddddd").stroke();
+    doc.moveDown(0.3);
+    drawRow(["", "Total", "", formatMoney(total)], true);
+
+    drawFooter(doc);
+  });
+}
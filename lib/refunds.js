@@ -0,0 +1,589 @@
+// lib/refunds.js
+import crypto from "crypto";
+import Payment from "../models/Payment.js";
+import Refund from "../models/Refund.js";
+import Subscription from "../models/Subscription.js";
+import { getPaymentProvider, isAmbiguousPayoutError } from "./paymentProviders.js";
+import { hashCallbackToken } from "./callbackVerification.js";
+import { hasPendingTopUp } from "./payments.js";
+import { paidTerms, unusedShareOf } from "./subscriptions.js";
+import { emitSubscriptionEvents } from "./webhooks.js";
+import Logger from './logger.js';
+const logger = new Logger('refunds');
+
+// Refund policy: partial refunds, only within this many hours of purchase
+const REFUND_WINDOW_HOURS = parseInt(process.env.REFUND_WINDOW_HOURS) || 48;
+
+const CANCELLABLE_STATUSES = ["active", "frozen"];
+
+/**
+ * The subscriptions a cancellation covers and the successful payments that
+ * bought their time (purchase, renewals, upgrades), newest first. A bundle
+ * is cancelled as a whole and was paid for through its primary.
+ */
+export async function findRefundBasis(subscription) {
+  let subscriptions = [subscription];
+  let payer = subscription;
+  if (subscription.bundle?.groupId) {
+    subscriptions = await Subscription.find({ "bundle.groupId": subscription.bundle.groupId });
+    payer = subscriptions.find(sub => sub.bundle.primary) || subscription;
+  }
+
+  const payments = await Payment.find({ subscriptionId: payer._id, status: "success" })
+    .sort({ processedAt: -1, createdAt: -1 });
+  return { subscriptions, payments };
+}
+
+// What the time left on the subscriptions is worth. A bundle counts each
+// part by its share of the price and its own remaining time; anything else
+// adds up the unused part of each paid term. A frozen subscription's clock
+// stopped when it froze.
+function unusedValue(subscriptions, payments, now) {
+  const notStarted = sub => sub.startsOn === "first_check_in" && !sub.usageStartedAt;
+  const counts = sub => ["active", "frozen"].includes(sub.status);
+  const clockOf = sub => (sub.status === "frozen" && sub.freeze?.startedAt) || now;
+
+  if (subscriptions.length === 1) {
+    const [sub] = subscriptions;
+    if (!counts(sub)) return 0;
+    return paidTerms(sub).reduce(
+      (sum, term) => sum + term.value * (notStarted(sub) ? 1 : unusedShareOf(term, clockOf(sub))),
+      0
+    );
+  }
+
+  const purchase = payments.find(p => p.purpose === "subscription") || payments[payments.length - 1];
+  const totalWeight = subscriptions.reduce((sum, sub) => sum + (sub.amount || 0), 0) || subscriptions.length;
+  const unusedShare = subscriptions.reduce((sum, sub) => {
+    if (!counts(sub)) return sum;
+    const weight = (sub.amount || 1) / totalWeight;
+    // Not used yet, so none of it is spent
+    if (notStarted(sub)) return sum + weight;
+    const term = {
+      from: new Date(sub.startDate || purchase.processedAt || purchase.createdAt).getTime(),
+      to: new Date(sub.endDate).getTime()
+    };
+    return sum + weight * unusedShareOf(term, clockOf(sub));
+  }, 0);
+  return (purchase.paidAmount ?? purchase.amount) * Math.min(unusedShare, 1);
+}
+
+/**
+ * Work out what a cancellation may refund: the unused value of the time
+ * paid for, taken back from the newest payments first. Only payments made
+ * within the refund window can be refunded. Returns { eligible, amount,
+ * payments: [{ paymentId, amount }] } or { eligible: false, amount: 0, reason }.
+ */
+export function quoteRefund(subscriptions, payments, now = new Date()) {
+  const paid = [].concat(payments || []).filter(payment => payment?.status === "success");
+  if (paid.length === 0) {
+    return { eligible: false, amount: 0, reason: "No completed payment found" };
+  }
+
+  const windowStart = now.getTime() - REFUND_WINDOW_HOURS * 3600000;
+  const recent = paid.filter(payment =>
+    new Date(payment.processedAt || payment.createdAt).getTime() >= windowStart
+  );
+  if (recent.length === 0) {
+    return {
+      eligible: false,
+      amount: 0,
+      reason: `Refunds are only available within ${REFUND_WINDOW_HOURS} hours of purchase`
+    };
+  }
+
+  let remaining = Math.floor(unusedValue([].concat(subscriptions), paid, now));
+  const breakdown = [];
+  for (const payment of recent) {
+    const refundable = (payment.paidAmount ?? payment.amount) - (payment.refundedAmount || 0);
+    const amount = Math.min(refundable, remaining);
+    if (amount >= 1) {
+      breakdown.push({ paymentId: payment._id, amount });
+      remaining -= amount;
+    }
+  }
+
+  const amount = breakdown.reduce((sum, part) => sum + part.amount, 0);
+  if (amount < 1) {
+    return { eligible: false, amount: 0, reason: "Nothing left to refund" };
+  }
+
+  return { eligible: true, amount, payments: breakdown };
+}
+
+/**
+ * Cancel an active or frozen subscription (and the rest of its bundle) and, if asked
+ * and allowed, open a refund request per payment for an admin to review.
+ * Refused while a renewal or upgrade is still being paid for.
+ */
+export async function cancelSubscription(subscription, { reason, requestRefund = false, actor } = {}) {
+  if (!CANCELLABLE_STATUSES.includes(subscription.status)) {
+    return { status: 400, error: `Only active or frozen subscriptions can be cancelled (this one is ${subscription.status})` };
+  }
+  if (await hasPendingTopUp(subscription._id)) {
+    return {
+      status: 409,
+      error: "A renewal or upgrade payment is still in progress. Try again once it completes."
+    };
+  }
+
+  const now = new Date();
+  const { subscriptions, payments } = await findRefundBasis(subscription);
+  const refundQuote = quoteRefund(subscriptions, payments, now);
+
+  const update = {
+    $set: {
+      status: "cancelled",
+      cancelledAt: now,
+      cancellationReason: reason,
+      updatedAt: now
+    },
+    $unset: { scheduledPlanChange: "" }
+  };
+
+  const audit = { actor: actor || `user:${subscription.userId}`, reason: reason || "Cancelled" };
+  // Status updates filter on the one status they move from (see the
+  // Subscription model's audit hook)
+  const cancelled = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: subscription.status },
+    update,
+    { new: true, audit }
+  );
+
+  if (!cancelled) {
+    return { subscription: null };
+  }
+
+  let bundle = null;
+  let siblings = [];
+  if (cancelled.bundle?.groupId) {
+    for (const status of CANCELLABLE_STATUSES) {
+      await Subscription.updateMany(
+        { "bundle.groupId": cancelled.bundle.groupId, status },
+        update,
+        { audit: { ...audit, reason: `Bundle cancelled: ${audit.reason}` } }
+      );
+    }
+    siblings = await Subscription.find({
+      "bundle.groupId": cancelled.bundle.groupId,
+      _id: { $ne: cancelled._id },
+      status: "cancelled",
+      cancelledAt: now
+    });
+    bundle = subscriptions.map(sub => ({ id: sub._id, category: sub.category }));
+  }
+
+  await emitSubscriptionEvents("subscription.cancelled", [cancelled, ...siblings], {
+    reason: reason || null
+  });
+
+  const refunds = [];
+  if (requestRefund && refundQuote.eligible) {
+    for (const part of refundQuote.payments) {
+      const payment = payments.find(p => p._id.equals(part.paymentId));
+      const refund = await Refund.create({
+        paymentId: payment._id,
+        subscriptionId: payment.subscriptionId,
+        userId: subscription.userId,
+        phoneNumber: payment.phoneNumber || subscription.phoneNumber,
+        requestedAmount: part.amount,
+        reason
+      });
+      refunds.push(refund);
+
+      logger.info('Refund requested', {
+        refundId: refund._id.toString(),
+        subscriptionId: subscription._id.toString(),
+        paymentId: payment._id.toString(),
+        amount: part.amount
+      });
+    }
+  }
+
+  return { subscription: cancelled, bundle, refunds, refundQuote };
+}
+
+/**
+ * Approve a requested (or failed) refund and send the money back through
+ * the provider that took it (M-Pesa B2C, Airtel Money payout, card refund).
+ * amount defaults to the requested amount and may not exceed it. A payout
+ * that got no clear answer is left "unknown" rather than "failed" so it
+ * can't be paid twice (see reconcileRefund).
+ */
+export async function approveRefund(refundId, { adminId, amount }) {
+  const existing = await Refund.findById(refundId);
+  if (!existing) return { status: 404, error: "Refund not found" };
+
+  const approvedAmount = amount === undefined ? existing.requestedAmount : Number(amount);
+  if (!Number.isInteger(approvedAmount) || approvedAmount < 1 || approvedAmount > existing.requestedAmount) {
+    return {
+      status: 400,
+      error: `amount must be a whole number between 1 and ${existing.requestedAmount}`
+    };
+  }
+
+  // Claim it so two admins can't pay it out twice. The reference is saved
+  // first so the payout can be looked up even if the request goes unanswered.
+  const reference = crypto.randomBytes(12).toString("hex");
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: { $in: ["requested", "failed"] } },
+    {
+      $set: {
+        status: "processing",
+        approvedAmount,
+        originatorConversationId: reference,
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        updatedAt: new Date()
+      },
+      $unset: { conversationId: "", resultTokenHash: "", statusQuery: "" }
+    },
+    { new: true }
+  );
+
+  if (!refund) {
+    return { status: 409, error: `Refund is already ${existing.status}` };
+  }
+
+  // Paid out from the branch and provider that took the money
+  const payment = await Payment.findById(refund.paymentId).lean();
+  const provider = getPaymentProvider(payment?.provider);
+  if (!provider) {
+    const error = `Payment provider ${payment?.provider} is not available`;
+    const failed = await settleRefund(refund, { succeeded: false, resultDesc: error });
+    return { status: 502, error, refund: failed || refund };
+  }
+
+  let payout;
+  try {
+    payout = await provider.refund({
+      payment,
+      phone: refund.phoneNumber,
+      amount: approvedAmount,
+      remarks: "Subscription refund",
+      occasion: refund.subscriptionId.toString(),
+      reference
+    });
+  } catch (err) {
+    const unknown = isAmbiguousPayoutError(err);
+    const settled = await settleRefund(refund, {
+      succeeded: false,
+      unknown,
+      resultDesc: err.message
+    });
+    logger.error('Refund payout error', {
+      refundId: refund._id.toString(),
+      provider: provider.name,
+      status: settled?.status,
+      error: err.message
+    });
+    return { status: 502, error: err.message, refund: settled || refund };
+  }
+
+  logger.info('Refund payout initiated', {
+    refundId: refund._id.toString(),
+    provider: provider.name,
+    conversationId: payout.conversationId,
+    amount: approvedAmount
+  });
+
+  if (!payout.pending) {
+    const settled = await settleRefund(refund, {
+      succeeded: payout.succeeded,
+      receiptNumber: payout.receiptNumber,
+      resultDesc: payout.resultDesc,
+      payload: payout.response
+    });
+    return { refund: settled || refund };
+  }
+
+  const pending = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: "processing" },
+    {
+      $set: {
+        conversationId: payout.conversationId,
+        originatorConversationId: payout.originatorConversationId || reference,
+        ...(payout.resultToken ? { resultTokenHash: hashCallbackToken(payout.resultToken) } : {}),
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  return { refund: pending || refund };
+}
+
+/**
+ * Ask the provider what became of an "unknown" payout, or one still
+ * "processing" (Airtel payouts and card refunds the provider queued), and
+ * settle it if the answer is clear. M-Pesa answers later (see
+ * processB2CStatusResult). Returns { refund } or { status, error }.
+ */
+export async function reconcileRefund(refundId) {
+  const refund = await Refund.findById(refundId);
+  if (!refund) return { status: 404, error: "Refund not found" };
+  if (!["processing", "unknown"].includes(refund.status)) {
+    return { status: 409, error: `Refund is already ${refund.status}` };
+  }
+
+  const payment = await Payment.findById(refund.paymentId).lean();
+  const provider = getPaymentProvider(payment?.provider);
+  if (!provider?.queryRefund) {
+    return {
+      status: 409,
+      error: `${provider?.label || payment?.provider} payouts can't be checked automatically; resolve this refund by hand`
+    };
+  }
+
+  let result;
+  try {
+    result = await provider.queryRefund({ refund, payment });
+  } catch (err) {
+    return { status: 502, error: err.message, refund };
+  }
+
+  if (result.pending) {
+    const updated = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: refund.status },
+      {
+        $set: {
+          statusQuery: {
+            conversationId: result.conversationId,
+            originatorConversationId: result.originatorConversationId,
+            ...(result.resultToken ? { tokenHash: hashCallbackToken(result.resultToken) } : {}),
+            requestedAt: new Date()
+          },
+          updatedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    return { refund: updated || refund };
+  }
+
+  // Still open at the provider: leave the status as it is
+  if (result.state === "unknown") {
+    const updated = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: refund.status },
+      { $set: { "statusQuery.requestedAt": new Date(), "statusQuery.resultDesc": result.resultDesc, updatedAt: new Date() } },
+      { new: true }
+    );
+    return { refund: updated || refund };
+  }
+
+  const settled = await settleRefund(refund, {
+    succeeded: result.state === "completed",
+    receiptNumber: result.receiptNumber,
+    resultDesc: result.resultDesc,
+    payload: result.response
+  });
+  return { refund: settled || refund };
+}
+
+/**
+ * Settle an "unknown" or stuck "processing" payout by hand, once an admin
+ * has checked the provider's portal. outcome is "completed" or "failed".
+ */
+export async function resolveRefund(refundId, { adminId, outcome, receiptNumber, note }) {
+  const refund = await Refund.findById(refundId);
+  if (!refund) return { status: 404, error: "Refund not found" };
+
+  const settled = await settleRefund(refund, {
+    succeeded: outcome === "completed",
+    receiptNumber,
+    resultDesc: `Resolved by ${adminId}${note ? `: ${note}` : ""}`
+  });
+
+  if (!settled) {
+    return { status: 409, error: `Refund is ${refund.status}; only processing or unknown refunds can be resolved` };
+  }
+  return { refund: settled };
+}
+
+export async function rejectRefund(refundId, { adminId, reason }) {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: "requested" },
+    {
+      $set: {
+        status: "rejected",
+        rejectionReason: reason,
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!refund) {
+    const exists = await Refund.exists({ _id: refundId });
+    return exists
+      ? { status: 409, error: "Only requested refunds can be rejected" }
+      : { status: 404, error: "Refund not found" };
+  }
+
+  return { refund };
+}
+
+function getResultParameter(result, key) {
+  const params = result?.ResultParameters?.ResultParameter || [];
+  const param = (Array.isArray(params) ? params : [params]).find(p => p.Key === key);
+  return param ? param.Value : undefined;
+}
+
+// Check the secret from a result URL against the hash we stored
+function tokenMatches(hash, token) {
+  const expected = Buffer.from(hash || "", "hex");
+  const actual = Buffer.from(token ? hashCallbackToken(token) : "", "hex");
+  return expected.length > 0 && expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Handle a B2C Result (or QueueTimeOut) POST. Idempotent: only refunds
+ * still "processing" or "unknown" are settled. A queue timeout leaves the
+ * payout "unknown". Returns { outcome, refund }.
+ */
+export async function processB2CResult(body, token, { timedOut = false } = {}) {
+  const result = body?.Result;
+  if (!result?.ConversationID && !result?.OriginatorConversationID) {
+    return { outcome: "invalid" };
+  }
+
+  const clauses = [];
+  if (result.ConversationID) clauses.push({ conversationId: result.ConversationID });
+  if (result.OriginatorConversationID) {
+    clauses.push({ originatorConversationId: result.OriginatorConversationID });
+  }
+
+  const refund = await Refund.findOne({ $or: clauses }).select("+resultTokenHash");
+
+  if (!refund) return { outcome: "not_found" };
+
+  if (!tokenMatches(refund.resultTokenHash, token)) {
+    return { outcome: "invalid_token", refund };
+  }
+
+  if (!["processing", "unknown"].includes(refund.status)) return { outcome: "duplicate", refund };
+  // Already unknown: a timeout adds nothing
+  if (timedOut && refund.status === "unknown") return { outcome: "duplicate", refund };
+
+  const resultCode = timedOut ? null : parseInt(result.ResultCode);
+  const settled = await settleRefund(refund, {
+    succeeded: resultCode === 0,
+    unknown: timedOut,
+    receiptNumber: result.TransactionID || getResultParameter(result, "TransactionReceipt"),
+    resultCode,
+    resultDesc: timedOut ? "B2C request timed out in queue" : result.ResultDesc,
+    payload: body
+  });
+
+  if (!settled) return { outcome: "duplicate", refund };
+
+  return { outcome: settled.status, refund: settled };
+}
+
+// TransactionStatus values that say the payout never went through
+const FAILED_B2C_STATUSES = ["Failed", "Cancelled", "Declined", "Expired", "Reversed"];
+
+/**
+ * Handle the Transaction Status result for an "unknown" or "processing"
+ * payout (see reconcileRefund). Settles it when M-Pesa says it completed or
+ * failed; anything else leaves it as it was. Returns { outcome, refund }.
+ */
+export async function processB2CStatusResult(body, token, { timedOut = false } = {}) {
+  const result = body?.Result;
+  if (!result?.ConversationID) return { outcome: "invalid" };
+
+  const refund = await Refund.findOne({ "statusQuery.conversationId": result.ConversationID })
+    .select("+statusQuery.tokenHash");
+  if (!refund) return { outcome: "not_found" };
+
+  if (!tokenMatches(refund.statusQuery.tokenHash, token)) {
+    return { outcome: "invalid_token", refund };
+  }
+  if (!["processing", "unknown"].includes(refund.status)) return { outcome: "duplicate", refund };
+
+  const transactionStatus = getResultParameter(result, "TransactionStatus");
+  const resultCode = parseInt(result.ResultCode);
+  const succeeded = !timedOut && resultCode === 0 && transactionStatus === "Completed";
+  const failed = !timedOut && resultCode === 0 && FAILED_B2C_STATUSES.includes(transactionStatus);
+
+  if (!succeeded && !failed) {
+    const resultDesc = timedOut
+      ? "Status query timed out in queue"
+      : `${result.ResultDesc}${transactionStatus ? ` (${transactionStatus})` : ""}`;
+    const updated = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: refund.status },
+      { $set: { "statusQuery.resultDesc": resultDesc, updatedAt: new Date() } },
+      { new: true }
+    );
+    return { outcome: refund.status, refund: updated || refund };
+  }
+
+  const settled = await settleRefund(refund, {
+    succeeded,
+    receiptNumber: getResultParameter(result, "ReceiptNo"),
+    resultCode,
+    resultDesc: `Status query: ${transactionStatus}`,
+    payload: body
+  });
+  if (!settled) return { outcome: "duplicate", refund };
+
+  return { outcome: settled.status, refund: settled };
+}
+
+// Record the outcome of a payout still "processing" (or "unknown") and, if
+// the money went out, count it against the payment. unknown marks a payout
+// that may or may not have gone out. Returns null if already settled.
+async function settleRefund(refund, { succeeded, unknown = false, receiptNumber, resultCode, resultDesc, payload }) {
+  const now = new Date();
+  let update = { status: "failed" };
+  if (unknown) {
+    update = { status: "unknown" };
+  } else if (succeeded) {
+    update = { status: "completed", receiptNumber, completedAt: now };
+  }
+
+  const settled = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $in: ["processing", "unknown"] } },
+    {
+      $set: {
+        ...update,
+        resultCode: Number.isFinite(resultCode) ? resultCode : undefined,
+        resultDesc,
+        resultPayload: payload,
+        updatedAt: now
+      }
+    },
+    { new: true }
+  );
+
+  if (!settled) return null;
+
+  if (settled.status === "completed") {
+    await Payment.updateOne(
+      { _id: settled.paymentId },
+      {
+        $inc: { refundedAmount: settled.approvedAmount },
+        $push: {
+          refunds: {
+            refundId: settled._id,
+            amount: settled.approvedAmount,
+            receiptNumber: settled.receiptNumber,
+            completedAt: now
+          }
+        },
+        $set: { updatedAt: now }
+      }
+    );
+  }
+
+  logger.info('Refund result processed', {
+    refundId: settled._id.toString(),
+    status: settled.status,
+    resultDesc: settled.resultDesc
+  });
+
+  return settled;
+}
@@ -0,0 +1,102 @@
+// lib/sessions.js
+import Subscription from "../models/Subscription.js";
+import UsageSession from "../models/UsageSession.js";
+import { addPlanDuration } from "./subscriptions.js";
+import Logger from './logger.js';
+const logger = new Logger('sessions');
+
+/**
+ * Start the clock on a "first_check_in" subscription. Atomic, so two doors
+ * scanning at once can't both move endDate. Returns the updated
+ * subscription, or null if usage had already started.
+ */
+export async function startUsage(subscription, now = new Date()) {
+  const started = await Subscription.findOneAndUpdate(
+    {
+      _id: subscription._id,
+      status: "active",
+      startsOn: "first_check_in",
+      usageStartedAt: null
+    },
+    {
+      $set: {
+        usageStartedAt: now,
+        endDate: addPlanDuration(now, subscription.duration || {}),
+        updatedAt: now
+      }
+    },
+    { new: true }
+  );
+
+  if (started) {
+    logger.info('Usage started on first check-in', {
+      subscriptionId: started._id.toString(),
+      endDate: started.endDate
+    });
+  }
+
+  return started;
+}
+
+/**
+ * Open a session for a check-in. A customer is only on one station at a
+ * time, so any session still open for the subscription is closed first.
+ */
+export async function openSession({ subscription, checkIn, station, staffId, now = new Date() }) {
+  await UsageSession.updateMany(
+    { subscriptionId: subscription._id, endedAt: null },
+    { $set: { endedAt: now, endReason: "moved", endedBy: staffId } }
+  );
+
+  return UsageSession.create({
+    subscriptionId: subscription._id,
+    userId: subscription.userId,
+    category: subscription.category,
+    branch: checkIn?.branch ?? subscription.branch,
+    checkInId: checkIn?._id,
+    station,
+    startedAt: now,
+    startedBy: staffId
+  });
+}
+
+// Check-out. Returns the closed session, or null if it was already closed.
+export async function endSession(sessionId, { staffId, now = new Date() } = {}) {
+  return UsageSession.findOneAndUpdate(
+    { _id: sessionId, endedAt: null },
+    { $set: { endedAt: now, endReason: "check_out", endedBy: staffId } },
+    { new: true }
+  );
+}
+
+/**
+ * Close sessions left open on subscriptions that are no longer active.
+ * They are ended at the subscription's endDate, not when this runs.
+ */
+export async function closeEndedSessions(now = new Date()) {
+  const open = await UsageSession.find({ endedAt: null }, { subscriptionId: 1 }).lean();
+  if (open.length === 0) return 0;
+
+  const ended = await Subscription.find(
+    {
+      _id: { $in: [...new Set(open.map(s => s.subscriptionId.toString()))] },
+      $or: [{ status: { $ne: "active" } }, { endDate: { $lte: now } }]
+    },
+    { endDate: 1, cancelledAt: 1 }
+  ).lean();
+
+  let closed = 0;
+  for (const sub of ended) {
+    const endedAt = new Date(Math.min(
+      (sub.cancelledAt || sub.endDate || now).getTime(),
+      now.getTime()
+    ));
+    const result = await UsageSession.updateMany(
+      { subscriptionId: sub._id, endedAt: null },
+      { $set: { endedAt, endReason: "subscription_ended" } }
+    );
+    closed += result.modifiedCount;
+  }
+
+  return closed;
+}
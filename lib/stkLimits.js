@@ -0,0 +1,191 @@
+// lib/stkLimits.js
+//
+// Abuse protection for STK push initiation: every push prompts a real
+// phone, so pushes are capped per user, per phone and per IP over sliding
+// windows, a phone or user that keeps cancelling prompts is cooled down,
+// and a user can only have a few checkouts waiting at once.
+//
+// Limits are "<count>/<window>" strings, e.g. "5/15m" (units m, h, d).
+import crypto from "crypto";
+import RateLimitHit from "../models/RateLimitHit.js";
+import Subscription from "../models/Subscription.js";
+import { formatPhoneNumber } from "./mpesa.js";
+import Logger from './logger.js';
+const logger = new Logger('stk-limits');
+
+// "Request cancelled by user" from Daraja
+export const STK_CANCELLED_CODE = 1032;
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function parseDuration(value) {
+  const match = /^(\d+)([mhd])$/.exec(String(value).trim());
+  return match ? parseInt(match[1]) * UNIT_MS[match[2]] : null;
+}
+
+// "5/15m" -> { max: 5, windowMs }; falls back when unset or malformed
+function parseLimit(value, fallback) {
+  const [max, window] = String(value || "").split("/");
+  const windowMs = parseDuration(window);
+  if (!(parseInt(max) > 0) || !windowMs) {
+    if (value) logger.warn('Ignoring malformed STK limit', { value, using: fallback });
+    return parseLimit(fallback);
+  }
+  return { max: parseInt(max), windowMs };
+}
+
+const LIMITS = {
+  user: parseLimit(process.env.STK_LIMIT_PER_USER, "5/15m"),
+  phone: parseLimit(process.env.STK_LIMIT_PER_PHONE, "3/15m"),
+  ip: parseLimit(process.env.STK_LIMIT_PER_IP, "20/15m")
+};
+// This many cancelled prompts within the window starts a cooldown
+const CANCEL_LIMIT = parseLimit(process.env.STK_CANCEL_LIMIT, "3/30m");
+const CANCEL_COOLDOWN_MS = parseDuration(process.env.STK_CANCEL_COOLDOWN || "") || 30 * UNIT_MS.m;
+// Checkouts still waiting for payment; older ones are left to reconciliation
+const MAX_PENDING_SUBSCRIPTIONS = parseInt(process.env.STK_MAX_PENDING_SUBSCRIPTIONS) || 2;
+const PENDING_WINDOW_MS = 10 * UNIT_MS.m;
+
+// Same number however it was typed; invalid ones are keyed as given and
+// rejected by the STK push itself
+function phoneKey(phone) {
+  try {
+    return formatPhoneNumber(String(phone));
+  } catch {
+    return String(phone).replace(/[^0-9]/g, "");
+  }
+}
+
+function minutesUntil(date, now) {
+  return Math.max(Math.ceil((date.getTime() - now.getTime()) / UNIT_MS.m), 1);
+}
+
+function limited(retryAt, now, error, details) {
+  const retryAfter = Math.max(Math.ceil((retryAt.getTime() - now.getTime()) / 1000), 1);
+  logger.warn('STK push limited', { ...details, retryAfter });
+  return { status: 429, error, retryAfter };
+}
+
+// When a user or phone that cancelled too many prompts may be prompted again
+async function cooldownEndsAt(key, now) {
+  const recent = await RateLimitHit.find(
+    { key, at: { $gt: new Date(now.getTime() - CANCEL_LIMIT.windowMs) } },
+    { at: 1 }
+  )
+    .sort({ at: -1 })
+    .limit(CANCEL_LIMIT.max)
+    .lean();
+
+  if (recent.length < CANCEL_LIMIT.max) return null;
+  const endsAt = new Date(recent[0].at.getTime() + CANCEL_COOLDOWN_MS);
+  return endsAt > now ? endsAt : null;
+}
+
+/**
+ * Check and count an STK push before it is sent. pendingSubscriptions
+ * also caps the user's unpaid checkouts (for new subscriptions). Without
+ * a phone (card checkouts) only the user and IP are counted.
+ * Returns { ok: true } or { status: 429, error, retryAfter } with
+ * retryAfter in seconds.
+ */
+export async function checkStkLimits({ userId, phone, ip, pendingSubscriptions = false, now = new Date() }) {
+  const phoneNumber = phone ? phoneKey(phone) : null;
+  const details = { userId, phone: phoneNumber, ip };
+
+  const cooldownKeys = [`stk-cancel:user:${userId}`, ...(phoneNumber ? [`stk-cancel:phone:${phoneNumber}`] : [])];
+  for (const key of cooldownKeys) {
+    const endsAt = await cooldownEndsAt(key, now);
+    if (endsAt) {
+      return limited(
+        endsAt,
+        now,
+        `Too many M-Pesa prompts were cancelled. Try again in ${minutesUntil(endsAt, now)} minutes.`,
+        { ...details, reason: "cancel_cooldown" }
+      );
+    }
+  }
+
+  if (pendingSubscriptions) {
+    const pending = await Subscription.find({
+      userId,
+      status: "pending",
+      "bundle.primary": { $ne: false },
+      createdAt: { $gt: new Date(now.getTime() - PENDING_WINDOW_MS) }
+    }, { createdAt: 1 })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (pending.length >= MAX_PENDING_SUBSCRIPTIONS) {
+      return limited(
+        new Date(pending[0].createdAt.getTime() + PENDING_WINDOW_MS),
+        now,
+        "You already have payments waiting. Complete or cancel them first.",
+        { ...details, reason: "pending_subscriptions", pending: pending.length }
+      );
+    }
+  }
+
+  // Count this attempt first, then look at the window including it, so
+  // concurrent requests on different instances can't all slip through
+  const attemptId = crypto.randomUUID();
+  const scopes = [
+    { scope: "user", key: `stk:user:${userId}` },
+    ...(phoneNumber ? [{ scope: "phone", key: `stk:phone:${phoneNumber}` }] : []),
+    ...(ip ? [{ scope: "ip", key: `stk:ip:${ip}` }] : [])
+  ];
+
+  await RateLimitHit.insertMany(scopes.map(({ scope, key }) => ({
+    key,
+    attemptId,
+    at: now,
+    expiresAt: new Date(now.getTime() + LIMITS[scope].windowMs)
+  })));
+
+  for (const { scope, key } of scopes) {
+    const { max, windowMs } = LIMITS[scope];
+    const inWindow = await RateLimitHit.find(
+      { key, at: { $gt: new Date(now.getTime() - windowMs) } },
+      { at: 1 }
+    )
+      .sort({ at: -1 })
+      .limit(max + 1)
+      .lean();
+
+    if (inWindow.length > max) {
+      // A refused attempt doesn't use up the allowance
+      await RateLimitHit.deleteMany({ attemptId });
+      const retryAt = new Date(inWindow[max].at.getTime() + windowMs);
+      const subject = { user: "payment requests", phone: "payment prompts to this number", ip: "payment requests from this network" }[scope];
+      return limited(
+        retryAt,
+        now,
+        `Too many ${subject}. Try again in ${minutesUntil(retryAt, now)} minutes.`,
+        { ...details, reason: `${scope}_limit`, max, windowMs }
+      );
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Count a prompt the customer cancelled (1032) towards the cancellation
+ * cooldown for that user and phone. Never throws.
+ */
+export async function recordStkCancellation(payment) {
+  if (payment.resultCode !== STK_CANCELLED_CODE) return;
+
+  try {
+    const at = new Date();
+    const expiresAt = new Date(at.getTime() + CANCEL_LIMIT.windowMs + CANCEL_COOLDOWN_MS);
+    await RateLimitHit.insertMany([
+      { key: `stk-cancel:user:${payment.userId}`, at, expiresAt },
+      ...(payment.phoneNumber ? [{ key: `stk-cancel:phone:${phoneKey(payment.phoneNumber)}`, at, expiresAt }] : [])
+    ]);
+  } catch (err) {
+    logger.error('Failed to record STK cancellation', {
+      paymentId: payment._id?.toString(),
+      error: err.message
+    });
+  }
+}
@@ -0,0 +1,97 @@
+// lib/subscriptions.js
+
+// Add a plan's duration to a date. Plans use either durationHours or
+// durationDays; neither means the 30-day default.
+export function addPlanDuration(from, plan) {
+  const endDate = new Date(from);
+
+  if (plan.durationHours) {
+    endDate.setHours(endDate.getHours() + plan.durationHours);
+  } else if (plan.durationDays) {
+    endDate.setDate(endDate.getDate() + plan.durationDays);
+  } else {
+    endDate.setDate(endDate.getDate() + 30);
+  }
+
+  return endDate;
+}
+
+/**
+ * The paid terms that make up a subscription's time, oldest first: the
+ * purchase (or the latest upgrade, which replaced everything before it)
+ * and each renewal stacked after it. Each is { paymentId, from, to, value }
+ * with times in ms and value what the customer paid for it. Renewals keep
+ * the length they bought, counted back from endDate, so time added by a
+ * freeze lands on the first term. paymentId is null for the purchase.
+ */
+export function paidTerms(subscription) {
+  const upgrade = (subscription.planChanges || []).filter(change => change.type === "upgrade").at(-1);
+  const since = upgrade ? new Date(upgrade.effectiveAt).getTime() : 0;
+  const renewals = (subscription.renewals || [])
+    .filter(renewal => new Date(renewal.renewedAt).getTime() >= since);
+
+  const terms = [];
+  let cursor = new Date(subscription.endDate).getTime();
+  for (const renewal of [...renewals].reverse()) {
+    const from = Math.max(
+      new Date(renewal.previousEndDate).getTime(),
+      new Date(renewal.renewedAt).getTime()
+    );
+    const length = Math.max(new Date(renewal.newEndDate).getTime() - from, 0);
+    terms.unshift({ paymentId: renewal.paymentId, from: cursor - length, to: cursor, value: renewal.amount || 0 });
+    cursor -= length;
+  }
+
+  terms.unshift({
+    paymentId: upgrade?.paymentId || null,
+    from: new Date(subscription.startDate || subscription.createdAt).getTime(),
+    to: cursor,
+    value: upgrade
+      ? (upgrade.credit || 0) + (upgrade.charged || 0)
+      : (subscription.paidAmount ?? subscription.amount ?? 0)
+  });
+  return terms;
+}
+
+// Share (0-1) of a term still to come at now
+export function unusedShareOf(term, now = new Date()) {
+  const totalMs = Math.max(term.to - term.from, 1);
+  const remainingMs = Math.min(Math.max(term.to - now.getTime(), 0), totalMs);
+  return remainingMs / totalMs;
+}
+
+/**
+ * Price of switching an active subscription to a dearer plan now.
+ * The unused share of each paid term (the purchase and any renewals
+ * stacked after it) is credited against price, what the new plan costs
+ * now (see getPlanPrice; defaults to its base amount).
+ * Amounts are whole shillings since STK pushes are rounded anyway; the
+ * charge is never below 1.
+ */
+export function computeUpgradeProration(subscription, newPlan, { price = newPlan.amount, now = new Date() } = {}) {
+  const unusedValue = Math.floor(paidTerms(subscription).reduce(
+    (sum, term) => sum + term.value * unusedShareOf(term, now),
+    0
+  ));
+  const charge = Math.max(Math.ceil(price - unusedValue), 1);
+  const remainingMs = Math.max(new Date(subscription.endDate).getTime() - now.getTime(), 0);
+
+  return {
+    fromPlan: subscription.plan,
+    toPlan: newPlan.plan,
+    currentAmount: subscription.amount,
+    fullPrice: price,
+    remainingHours: Math.round((remainingMs / 3600000) * 100) / 100,
+    unusedValue,
+    charge
+  };
+}
+
+// Split a bundle price across its linked subscriptions in whole shillings;
+// the first (primary) one takes the remainder
+export function splitBundleAmount(total, parts) {
+  const share = Math.floor(total / parts);
+  return Array.from({ length: parts }, (_, i) =>
+    i === 0 ? total - share * (parts - 1) : share
+  );
+}
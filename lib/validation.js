@@ -0,0 +1,92 @@
+// lib/validation.js
+//
+// Request validation from JSON Schemas declared on each route:
+//
+//   router.post("/:id/renew", requireAuth, validate({
+//     summary: "Renew a subscription",
+//     params: { type: "object", properties: { id: objectId }, required: ["id"] },
+//     body: { ... }
+//   }), handler)
+//
+// The same spec feeds the OpenAPI document (lib/openapi.js). Query strings
+// and params are coerced to the declared types and get their defaults.
+import Ajv from "ajv";
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: "array", useDefaults: true, verbose: true });
+
+// Friendlier wording for a property's errors than ajv's own (an x- key so
+// the schema stays valid OpenAPI)
+ajv.addKeyword({ keyword: "x-error-message", schemaType: "string" });
+
+ajv.addFormat("objectid", /^[0-9a-fA-F]{24}$/);
+// A date (2026-01-31) or ISO timestamp (2026-01-31T08:00:00Z)
+ajv.addFormat("timestamp", value =>
+  /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) && !isNaN(Date.parse(value))
+);
+
+// Reusable property schemas
+export const objectId = { type: "string", format: "objectid", "x-error-message": "must be a valid id" };
+export const idParams = { type: "object", properties: { id: objectId }, required: ["id"] };
+export const timestamp = {
+  type: "string",
+  format: "timestamp",
+  "x-error-message": "must be a date (YYYY-MM-DD) or ISO timestamp"
+};
+
+// ajv error -> { in, field, message }
+function describeError(location, err) {
+  let field = err.instancePath.slice(1).replace(/\//g, ".");
+  let message;
+
+  switch (err.keyword) {
+    case "required":
+      field = field ? `${field}.${err.params.missingProperty}` : err.params.missingProperty;
+      message = "is required";
+      break;
+    case "enum":
+      message = `must be one of: ${err.params.allowedValues.join(", ")}`;
+      break;
+    case "type":
+      message = `must be ${err.params.type === "integer" ? "a whole number" : `a ${err.params.type}`}`;
+      break;
+    default:
+      message = err.message;
+  }
+  if (err.keyword !== "required" && err.parentSchema?.["x-error-message"]) {
+    message = err.parentSchema["x-error-message"];
+  }
+
+  return { in: location, field: field || location, message };
+}
+
+/**
+ * Middleware checking req.params, req.query and req.body against a route
+ * spec { summary, description, params, query, body, responses }. Bad
+ * requests get a 400 with every problem listed in details.
+ */
+export function validate(spec) {
+  const checks = ["params", "query", "body"]
+    .filter(location => spec[location])
+    .map(location => ({ location, check: ajv.compile(spec[location]) }));
+
+  const middleware = (req, res, next) => {
+    const details = [];
+    for (const { location, check } of checks) {
+      if (location === "body" && req.body === undefined) req.body = {};
+      if (!check(req[location])) {
+        details.push(...check.errors.map(err => describeError(location, err)));
+      }
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        error: details.map(d => `${d.field} ${d.message}`).join("; "),
+        details
+      });
+    }
+    next();
+  };
+
+  middleware.openapi = spec;
+  return middleware;
+}
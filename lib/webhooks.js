@@ -0,0 +1,231 @@
+// lib/webhooks.js
+import crypto from "crypto";
+import axios from "axios";
+import WebhookEndpoint from "../models/WebhookEndpoint.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import Logger from './logger.js';
+const logger = new Logger('webhooks');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+// Backoff doubles from here: 30s, 1m, 2m, 4m, ... between attempts
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const REQUEST_TIMEOUT_MS = 10000;
+// A delivery stuck "delivering" this long was lost (e.g. a restart mid-send)
+const STALE_DELIVERY_MS = 5 * 60 * 1000;
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Signature header for a body: "t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ * `${t}.${body}`>". Receivers recompute it with their secret and should
+ * reject old timestamps to stop replays.
+ */
+export function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// The subscription fields partners get; no payment references or metadata
+function serializeSubscription(subscription) {
+  return {
+    id: subscription._id.toString(),
+    userId: subscription.userId,
+    category: subscription.category,
+    plan: subscription.plan,
+    amount: subscription.amount,
+    status: subscription.status,
+    startDate: subscription.startDate || null,
+    endDate: subscription.endDate || null,
+    ...(subscription.bundle?.groupId ? {
+      bundle: {
+        groupId: subscription.bundle.groupId.toString(),
+        plan: subscription.bundle.plan
+      }
+    } : {}),
+    ...(subscription.cancelledAt ? { cancelledAt: subscription.cancelledAt } : {})
+  };
+}
+
+async function attemptDelivery(deliveryId) {
+  const now = new Date();
+  // Claim it so the retry sweep and an inline send never both post it
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "delivering", lastAttemptAt: { $lte: new Date(now.getTime() - STALE_DELIVERY_MS) } }
+      ]
+    },
+    { $set: { status: "delivering", lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select("+secret");
+  if (!endpoint || !endpoint.active) {
+    delivery.status = "failed";
+    delivery.lastError = "Endpoint removed or disabled";
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  let statusCode;
+  let error;
+  let responseText;
+
+  try {
+    const response = await axios.post(endpoint.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "GameHub-Webhooks/1.0",
+        "X-Webhook-Id": delivery.eventId,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Signature": signWebhookPayload(endpoint.secret, body)
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      transformRequest: [data => data]
+    });
+    statusCode = response.status;
+    responseText = typeof response.data === "string"
+      ? response.data
+      : JSON.stringify(response.data ?? "");
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `Endpoint responded ${statusCode}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  delivery.lastStatusCode = statusCode;
+  delivery.lastResponse = responseText?.slice(0, 500);
+
+  if (!error) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = "failed";
+    delivery.lastError = error;
+  } else {
+    const delaySeconds = RETRY_BASE_SECONDS * 2 ** (delivery.attempts - 1);
+    delivery.status = "pending";
+    delivery.lastError = error;
+    delivery.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+  }
+  await delivery.save();
+
+  const details = {
+    deliveryId: delivery._id.toString(),
+    endpointId: endpoint._id.toString(),
+    event: delivery.event,
+    attempt: delivery.attempts,
+    statusCode,
+    status: delivery.status
+  };
+  if (error) {
+    logger.warn('Webhook delivery failed', {
+      ...details,
+      error,
+      nextAttemptAt: delivery.status === "pending" ? delivery.nextAttemptAt : undefined
+    });
+  } else {
+    logger.info('Webhook delivered', details);
+  }
+
+  return delivery;
+}
+
+/**
+ * Queue an event for every active endpoint listening for it and try to
+ * send right away. Failed sends are retried by retryDueWebhooks. Never
+ * throws: a partner being down must not fail a payment or a request.
+ */
+export async function emitSubscriptionEvent(event, subscription, data = {}) {
+  try {
+    const endpoints = await WebhookEndpoint.find({
+      active: true,
+      $or: [{ events: event }, { events: { $size: 0 } }]
+    }).lean();
+    if (endpoints.length === 0) return [];
+
+    const eventId = `evt_${crypto.randomBytes(12).toString("hex")}`;
+    const payload = {
+      id: eventId,
+      type: event,
+      createdAt: new Date().toISOString(),
+      data: { subscription: serializeSubscription(subscription), ...data }
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+      endpointId: endpoint._id,
+      eventId,
+      event,
+      subscriptionId: subscription._id,
+      payload
+    })));
+
+    for (const delivery of deliveries) {
+      attemptDelivery(delivery._id).catch(err =>
+        logger.error('Webhook send crashed', { deliveryId: delivery._id.toString(), error: err.message })
+      );
+    }
+    return deliveries;
+  } catch (err) {
+    logger.error('Failed to queue webhook event', {
+      event,
+      subscriptionId: subscription?._id?.toString(),
+      error: err.message
+    });
+    return [];
+  }
+}
+
+// Same event for several subscriptions (e.g. a sweep that expired a batch)
+export async function emitSubscriptionEvents(event, subscriptions, data) {
+  for (const subscription of subscriptions) {
+    await emitSubscriptionEvent(event, subscription, data);
+  }
+}
+
+/**
+ * Send deliveries whose backoff has elapsed. Returns { attempted, delivered }.
+ */
+export async function retryDueWebhooks({ limit = 100 } = {}) {
+  const now = new Date();
+  const due = await WebhookDelivery.find({
+    $or: [
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      { status: "delivering", lastAttemptAt: { $lte: new Date(now.getTime() - STALE_DELIVERY_MS) } }
+    ]
+  }, { _id: 1 })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let delivered = 0;
+  for (const { _id } of due) {
+    const result = await attemptDelivery(_id);
+    if (result?.status === "delivered") delivered++;
+  }
+  return { attempted: due.length, delivered };
+}
+
+// Manual retry from the admin API, including deliveries that gave up
+export async function redeliverWebhook(deliveryId) {
+  const reset = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: { $in: ["failed", "pending"] } },
+    { $set: { status: "pending", nextAttemptAt: new Date(), attempts: 0 } },
+    { new: true }
+  );
+  if (!reset) return null;
+  return attemptDelivery(reset._id);
+}
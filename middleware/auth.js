@@ -54,3 +54,38 @@ export async function requireAuth(req, res, next) {
     return res.status(401).json({ error: "Authentication failed" });
   }
 }
+
+// Resolve the caller's role from the verified Clerk token. Clerk does not
+// put roles in the session token by default, so the claim is configured in
+// the session token template (e.g. { "role": "{{user.public_metadata.role}}" }).
+// AUTH_ROLE_CLAIM may be a dotted path such as "metadata.role".
+export function getUserRole(user) {
+  if (!user) return null;
+
+  const claimPath = process.env.AUTH_ROLE_CLAIM || "role";
+  const role = claimPath
+    .split(".")
+    .reduce((value, key) => (value == null ? value : value[key]), user);
+
+  return typeof role === "string" ? role : null;
+}
+
+// Must run after requireAuth
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    const role = getUserRole(req.user);
+
+    if (!role || !roles.includes(role)) {
+      authLogger.warn("Authorization failed: Insufficient role", {
+        userId: req.user?.sub,
+        role,
+        requiredRoles: roles,
+        path: req.path,
+        method: req.method,
+      });
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// A venue. Plans, subscriptions, payments and check-ins belong to one;
+// records from before branches existed are given the default branch (see
+// assignLegacyRecords in lib/branches.js).
+const branchSchema = new mongoose.Schema(
+  {
+    // Short slug used in URLs and logs, e.g. "westlands"
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z0-9-]+$/
+    },
+    name: { type: String, required: true },
+    address: { type: String },
+    phone: { type: String },
+    // Env prefix for this branch's Daraja credentials: "WESTLANDS" reads
+    // MPESA_WESTLANDS_SHORTCODE, MPESA_WESTLANDS_PASSKEY, ... Secrets stay
+    // in the environment; null uses the unprefixed MPESA_* variables.
+    mpesaKey: {
+      type: String,
+      default: null,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z0-9_]+$/
+    },
+    // Where subscriptions go when the customer doesn't pick a branch
+    isDefault: { type: Boolean, default: false },
+    active: { type: Boolean, default: true },
+    updatedBy: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Branch", branchSchema);
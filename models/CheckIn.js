@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// A customer let in at the door by staff after scanning their access pass
+const checkInSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subscription",
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  // Branch whose door let them in
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    default: null
+  },
+  // Pass id (jti). Unique so the same QR can't let two people in.
+  passId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  staffId: {
+    type: String,
+    required: true
+  },
+  // Free-form door or room name, e.g. "main gym", "gaming room 2"
+  location: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+checkInSchema.index({ category: 1, createdAt: -1 });
+checkInSchema.index({ branch: 1, createdAt: -1 });
+
+export default mongoose.model("CheckIn", checkInSchema);
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    // Stored upper-case; lookups normalise the customer's input
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true
+    },
+    description: { type: String },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true
+    },
+    // Percent (1-100) or shillings off, depending on discountType
+    discountValue: { type: Number, required: true, min: 0 },
+    validFrom: { type: Date, default: null },
+    validUntil: { type: Date, default: null },
+    // Global cap across all customers; null means unlimited
+    maxRedemptions: { type: Number, default: null },
+    perUserLimit: { type: Number, default: 1 },
+    // Reserved + redeemed uses, kept in step with CouponRedemption
+    redemptionCount: { type: Number, default: 0 },
+    // Empty means no restriction
+    categories: [{ type: String, enum: ["gaming", "gym", "movies", "sports", "bundle"] }],
+    planIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Plan" }],
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discounts cannot exceed 100');
+  }
+  next();
+});
+
+export default mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// One use of a coupon. "reserved" while the STK push is outstanding so caps
+// hold under concurrent checkouts; "released" if the payment fails.
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Coupon",
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subscription",
+    required: true,
+    unique: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["reserved", "redeemed", "released"],
+    default: "reserved"
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+
+export default mongoose.model("CouponRedemption", couponRedemptionSchema);
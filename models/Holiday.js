@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// A public holiday or special day on which plans' holiday pricing rules
+// apply (see lib/pricing.js)
+const holidaySchema = new mongoose.Schema(
+  {
+    // Local calendar date, YYYY-MM-DD
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    name: { type: String, required: true },
+    // Observed only at this branch; null means at every branch
+    branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", default: null },
+    updatedBy: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+holidaySchema.index({ date: 1, branch: 1 }, { unique: true });
+
+export default mongoose.model("Holiday", holidaySchema);
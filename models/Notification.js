@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// Every message we try to send, whether it went out or not
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    index: true
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subscription",
+    index: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment"
+  },
+  type: {
+    type: String,
+    enum: ["expiry_reminder", "payment_success", "payment_failed"],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ["sms", "email"],
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["sending", "sent", "failed"],
+    default: "sending"
+  },
+  error: {
+    type: String
+  },
+  providerResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Stops the same reminder going out twice (e.g. from overlapping runs)
+  dedupeKey: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+notificationSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("Notification", notificationSchema);
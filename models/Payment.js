@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+
+// One document per payment attempt (STK push, Airtel Money prompt, card
+// checkout). The subscription only reflects the outcome; this is the ledger
+// of what the payment provider actually told us.
+const paymentSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subscription",
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Payment provider that took the money (see lib/paymentProviders.js)
+  provider: {
+    type: String,
+    default: "mpesa"
+  },
+  // Branch whose shortcode was charged (the subscription's branch)
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    default: null
+  },
+  // What the money buys: the subscription itself, more time on it, or a
+  // switch to a dearer plan
+  purpose: {
+    type: String,
+    enum: ["subscription", "renewal", "upgrade"],
+    default: "subscription"
+  },
+  // Plan terms bought by a renewal or upgrade, applied once paid
+  extension: {
+    plan: { type: String },
+    amount: { type: Number },
+    durationHours: { type: Number, default: null },
+    durationDays: { type: Number, default: null }
+  },
+  // How an upgrade charge was worked out (see computeUpgradeProration)
+  proration: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Amount we asked the customer to pay
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Amount the provider reports as paid
+  paidAmount: {
+    type: Number
+  },
+  phoneNumber: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ["pending", "success", "failed", "flagged"],
+    default: "pending"
+  },
+  // The provider's reference: M-Pesa CheckoutRequestID, Airtel
+  // transaction id or card gateway reference
+  checkoutRequestId: {
+    type: String
+  },
+  merchantRequestId: {
+    type: String
+  },
+  // sha256 of the secret embedded in the STK CallBackURL
+  callbackTokenHash: {
+    type: String,
+    select: false
+  },
+  receiptNumber: {
+    type: String
+  },
+  transactionDate: {
+    type: String
+  },
+  resultCode: {
+    type: Number
+  },
+  resultDesc: {
+    type: String
+  },
+  // Why the payment needs a human to look at it (e.g. amount mismatch)
+  flagReason: {
+    type: String
+  },
+  // The provider's answer when the payment was started
+  stkResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  callbackPayload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  callbackReceivedAt: {
+    type: Date
+  },
+  // Money sent back to the customer against this payment
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    refundId: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+    amount: { type: Number },
+    receiptNumber: { type: String },
+    completedAt: { type: Date }
+  }],
+  duplicateCallbacks: {
+    type: Number,
+    default: 0
+  },
+  processedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+paymentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+paymentSchema.index({ checkoutRequestId: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ receiptNumber: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ callbackTokenHash: 1 }, { sparse: true });
+paymentSchema.index({ status: 1, createdAt: -1 });
+paymentSchema.index({ subscriptionId: 1, purpose: 1, status: 1 });
+
+export default mongoose.model("Payment", paymentSchema);
@@ -1,19 +1,119 @@
 import mongoose from "mongoose";
 
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CALENDAR_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// A price that replaces amount while its conditions hold (see
+// lib/pricing.js). Every condition left empty matches.
+const pricingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Whole shillings, like every price an STK push charges
+  amount: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: { validator: Number.isInteger, message: "Pricing rule amount must be whole shillings" }
+  },
+  // 0 = Sunday ... 6 = Saturday
+  daysOfWeek: [{ type: Number, min: 0, max: 6 }],
+  // Local time window; an endTime before startTime runs past midnight and
+  // belongs to the day it starts on (Friday 18:00-02:00)
+  startTime: { type: String, match: TIME_OF_DAY, default: null },
+  endTime: { type: String, match: TIME_OF_DAY, default: null },
+  // Local calendar dates, inclusive
+  startDate: { type: String, match: CALENDAR_DATE, default: null },
+  endDate: { type: String, match: CALENDAR_DATE, default: null },
+  // Applies only on holidays, where it overrides every other rule
+  holidays: { type: Boolean, default: false },
+  // Highest wins when several rules match; ties go to the earlier rule
+  priority: { type: Number, default: 0 }
+}, { _id: false });
+
 const planSchema = new mongoose.Schema(
   {
+    // "bundle" plans grant the entitlements listed in components instead
     category: { 
       type: String, 
       required: true, 
-      enum: ["gaming", "gym", "movies", "sports"] 
+      enum: ["gaming", "gym", "movies", "sports", "bundle"] 
     },
     plan: { type: String, required: true },
-    amount: { type: Number, required: true },
+    // Offered only at this branch; null means at every branch. A branch's
+    // own plan takes precedence over an everywhere plan with the same name.
+    branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", default: null },
+    // Base price, charged whenever no pricing rule applies; whole shillings
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: { validator: Number.isInteger, message: "Plan amount must be whole shillings" }
+    },
+    pricingRules: [pricingRuleSchema],
     durationHours: { type: Number, default: null },
     durationDays: { type: Number, default: null },
-    description: { type: String, required: true }
+    description: { type: String, required: true },
+    // When the duration starts counting: at payment, or at the customer's
+    // first check-in (so a pass bought at night isn't wasted)
+    startsOn: {
+      type: String,
+      enum: ["payment", "first_check_in"],
+      default: "payment"
+    },
+    // Bundle only: one linked subscription is created per component
+    components: [{
+      _id: false,
+      category: {
+        type: String,
+        required: true,
+        enum: ["gaming", "gym", "movies", "sports"]
+      },
+      durationHours: { type: Number, default: null },
+      durationDays: { type: Number, default: null }
+    }],
+    // Total days a subscription on this plan may be frozen; 0 = no freezing
+    maxFreezeDays: { type: Number, default: 0, min: 0 },
+    // Display order within a category (lowest first)
+    sortOrder: { type: Number, default: 0 },
+    // Archived plans are hidden from the public listing and cannot be bought,
+    // but stay around so existing subscriptions still resolve
+    archived: { type: Boolean, default: false },
+    archivedAt: { type: Date, default: null },
+    updatedBy: { type: String, default: null }
   },
   { timestamps: true }
 );
 
-export default mongoose.model("Plan", planSchema);
\ No newline at end of file
+planSchema.pre('validate', function(next) {
+  if (this.category === 'bundle') {
+    const categories = (this.components || []).map(c => c.category);
+    if (categories.length < 2 || new Set(categories).size !== categories.length) {
+      this.invalidate('components', 'Bundles need at least two components in different categories');
+    }
+  } else if (this.components?.length) {
+    this.invalidate('components', 'Only bundle plans can have components');
+  }
+
+  (this.pricingRules || []).forEach((rule, index) => {
+    if (!rule.startTime !== !rule.endTime) {
+      this.invalidate(`pricingRules.${index}`, 'Set both startTime and endTime, or neither');
+    } else if (rule.startTime && rule.startTime === rule.endTime) {
+      this.invalidate(`pricingRules.${index}`, 'startTime and endTime must differ');
+    }
+    if (rule.startDate && rule.endDate && rule.endDate < rule.startDate) {
+      this.invalidate(`pricingRules.${index}`, 'endDate must not be before startDate');
+    }
+  });
+  next();
+});
+
+planSchema.index({ branch: 1, category: 1, plan: 1 }, { unique: true });
+planSchema.index({ category: 1, sortOrder: 1 });
+
+// Plans that can currently be purchased. Uses $ne so plans seeded before the
+// archived flag existed are still treated as live.
+planSchema.statics.findAvailable = function(filter = {}) {
+  return this.find({ ...filter, archived: { $ne: true } })
+    .sort({ category: 1, sortOrder: 1, amount: 1 });
+};
+
+export default mongoose.model("Plan", planSchema);
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// One document per counted event (e.g. an STK push for a phone number).
+// Kept in Mongo so every server instance sees the same windows; each hit
+// removes itself once its window has passed.
+const rateLimitHitSchema = new mongoose.Schema({
+  // e.g. "stk:user:<id>", "stk:phone:2547...", "stk-cancel:phone:2547..."
+  key: {
+    type: String,
+    required: true
+  },
+  // Groups the hits one request recorded so they can be undone together
+  attemptId: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitHitSchema.index({ key: 1, at: -1 });
+rateLimitHitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RateLimitHit", rateLimitHitSchema);
@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+
+// A refund request against a payment. Requested by the user on cancellation,
+// approved or rejected by an admin, then paid out through M-Pesa B2C.
+const refundSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment",
+    required: true,
+    index: true
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subscription",
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Where mobile money refunds are paid; card refunds go back to the card
+  phoneNumber: {
+    type: String
+  },
+  status: {
+    type: String,
+    // unknown: the payout may or may not have gone out (timed out, or no
+    // clear answer from the provider). It can't be approved again until a
+    // status query or an admin settles it.
+    enum: ["requested", "rejected", "processing", "unknown", "completed", "failed"],
+    default: "requested"
+  },
+  // Amount the refund policy allows, worked out at cancellation
+  requestedAmount: {
+    type: Number,
+    required: true
+  },
+  // Amount an admin approved (may be lower than requested)
+  approvedAmount: {
+    type: Number
+  },
+  reason: {
+    type: String
+  },
+  reviewedBy: {
+    type: String
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String
+  },
+  method: {
+    type: String,
+    default: "b2c"
+  },
+  conversationId: {
+    type: String
+  },
+  originatorConversationId: {
+    type: String
+  },
+  // sha256 of the secret in the B2C ResultURL
+  resultTokenHash: {
+    type: String,
+    select: false
+  },
+  // Latest status query for an "unknown" payout. M-Pesa answers on a
+  // ResultURL carrying its own secret.
+  statusQuery: {
+    conversationId: { type: String },
+    originatorConversationId: { type: String },
+    tokenHash: { type: String, select: false },
+    requestedAt: { type: Date },
+    resultDesc: { type: String }
+  },
+  receiptNumber: {
+    type: String
+  },
+  resultCode: {
+    type: Number
+  },
+  resultDesc: {
+    type: String
+  },
+  resultPayload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  completedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refundSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ conversationId: 1 }, { unique: true, sparse: true });
+refundSchema.index({ "statusQuery.conversationId": 1 }, { sparse: true });
+refundSchema.index({ receiptNumber: 1 }, { unique: true, sparse: true });
+
+export default mongoose.model("Refund", refundSchema);
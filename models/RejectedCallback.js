@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// Payment callbacks that failed verification, kept for manual review
+const rejectedCallbackSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: "mpesa"
+  },
+  reason: {
+    type: String,
+    enum: [
+      "ip_not_allowed",
+      "invalid_signature",
+      "invalid_format",
+      "unknown_checkout",
+      "missing_token",
+      "invalid_token",
+      "not_confirmed",
+      "confirmation_failed"
+    ],
+    required: true
+  },
+  detail: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  // The provider's reference for the payment
+  checkoutRequestId: {
+    type: String,
+    index: true
+  },
+  resultCode: {
+    type: Number
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  userAgent: {
+    type: String
+  },
+  reviewed: {
+    type: Boolean,
+    default: false
+  },
+  reviewedBy: {
+    type: String
+  },
+  reviewedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+rejectedCallbackSchema.index({ reviewed: 1, createdAt: -1 });
+
+export default mongoose.model("RejectedCallback", rejectedCallbackSchema);
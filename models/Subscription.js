@@ -1,4 +1,30 @@
 import mongoose from "mongoose";
+import { emitSubscriptionEvents } from "../lib/webhooks.js";
+
+// Allowed status changes. Anything else is rejected, whichever code path
+// tries it (e.g. a late failure callback can't touch an active subscription).
+export const SUBSCRIPTION_TRANSITIONS = {
+  pending: ["active", "failed"],
+  active: ["expired", "cancelled", "frozen"],
+  frozen: ["active", "cancelled"],
+  // A renewal or upgrade paid for just as the term lapsed brings it back
+  expired: ["active"],
+  failed: [],
+  cancelled: []
+};
+
+export function canTransition(from, to) {
+  return SUBSCRIPTION_TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+export class InvalidStatusTransitionError extends Error {
+  constructor(from, to, message) {
+    super(message || `Subscription cannot go from ${from} to ${to}`);
+    this.name = "InvalidStatusTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
 
 const subscriptionSchema = new mongoose.Schema({
   userId: { 
@@ -11,6 +37,13 @@ const subscriptionSchema = new mongoose.Schema({
     enum: ["gaming", "gym", "movies", "sports"], 
     required: true 
   },
+  // Venue the subscription was bought for (see scripts/migrateBranches.js
+  // for subscriptions from before branches)
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    default: null
+  },
   plan: { 
     type: String, 
     required: true 
@@ -21,7 +54,7 @@ const subscriptionSchema = new mongoose.Schema({
   },
   status: { 
     type: String, 
-    enum: ["pending", "active", "expired", "failed", "cancelled"], 
+    enum: ["pending", "active", "frozen", "expired", "failed", "cancelled"], 
     default: "pending" 
   },
   startDate: { 
@@ -32,15 +65,65 @@ const subscriptionSchema = new mongoose.Schema({
     type: Date, 
     required: true 
   },
+  // "first_check_in" plans don't start at payment: until the first check-in
+  // endDate is only a use-by deadline, then it becomes usageStartedAt plus
+  // the duration captured here
+  startsOn: {
+    type: String,
+    enum: ["payment", "first_check_in"],
+    default: "payment"
+  },
+  usageStartedAt: {
+    type: Date,
+    default: null
+  },
+  duration: {
+    durationHours: { type: Number },
+    durationDays: { type: Number }
+  },
   receiptNumber: { 
     type: String 
   },
   paidAmount: { 
     type: Number 
   },
+  // Set on each of the linked subscriptions a bundle plan creates. The
+  // primary one carries the payment; the others follow its outcome.
+  bundle: {
+    groupId: { type: mongoose.Schema.Types.ObjectId },
+    plan: { type: String },
+    totalAmount: { type: Number },
+    primary: { type: Boolean }
+  },
+  // The plan's price when it was bought: its base amount and the peak or
+  // off-peak rule (see lib/pricing.js) that replaced it, if any. amount
+  // above is what was actually charged.
+  pricing: {
+    baseAmount: { type: Number },
+    effectiveAmount: { type: Number },
+    rule: { type: String, default: null },
+    pricedAt: { type: Date }
+  },
+  // Discount applied at checkout; amount above is already discounted
+  coupon: {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    code: { type: String },
+    discount: { type: Number },
+    originalAmount: { type: Number }
+  },
   phoneNumber: { 
     type: String 
   },
+  // From the auth token when it carries one; used for email notifications
+  email: {
+    type: String
+  },
+  // How the subscription was paid for; renewals default to it
+  paymentMethod: {
+    type: String,
+    default: "mpesa"
+  },
+  // Only set for M-Pesa; other providers' payments are found in the ledger
   mpesaCheckoutId: {
     type: String,
     // REMOVED: index: true - This is the duplicate causing the error
@@ -51,6 +134,63 @@ const subscriptionSchema = new mongoose.Schema({
   failedReason: { 
     type: String 
   },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String
+  },
+  renewals: [{
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    plan: { type: String },
+    amount: { type: Number },
+    receiptNumber: { type: String },
+    previousEndDate: { type: Date },
+    newEndDate: { type: Date },
+    renewedAt: { type: Date, default: Date.now }
+  }],
+  planChanges: [{
+    type: { type: String, enum: ["upgrade", "downgrade"] },
+    fromPlan: { type: String },
+    toPlan: { type: String },
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    credit: { type: Number },
+    charged: { type: Number },
+    effectiveAt: { type: Date, default: Date.now }
+  }],
+  // Current freeze while status is "frozen". endsAt is when the plan's
+  // freeze allowance runs out and it resumes on its own.
+  freeze: {
+    startedAt: { type: Date },
+    endsAt: { type: Date },
+    reason: { type: String }
+  },
+  freezes: [{
+    startedAt: { type: Date },
+    endedAt: { type: Date },
+    days: { type: Number },
+    reason: { type: String },
+    resumedBy: { type: String, enum: ["user", "schedule"] }
+  }],
+  freezeDaysUsed: {
+    type: Number,
+    default: 0
+  },
+  // Downgrade waiting for the next renewal
+  scheduledPlanChange: {
+    plan: { type: String },
+    requestedAt: { type: Date }
+  },
+  // Every status change: who or what made it and why. Appended by the
+  // middleware below, never written directly.
+  statusHistory: [{
+    _id: false,
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    actor: { type: String, default: "system" },
+    reason: { type: String },
+    at: { type: Date, default: Date.now }
+  }],
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -65,9 +205,24 @@ const subscriptionSchema = new mongoose.Schema({
   }
 });
 
+// Remember the stored status so save() can check what it changes from
+subscriptionSchema.post('init', function() {
+  this.$locals.storedStatus = this.status;
+});
+
+// Documents may carry doc.$locals.audit = { actor, reason } for the entry
 subscriptionSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   
+  if (this.isNew || this.isModified('status')) {
+    const from = this.isNew ? null : this.$locals.storedStatus;
+    if (from && !canTransition(from, this.status)) {
+      return next(new InvalidStatusTransitionError(from, this.status));
+    }
+    const { actor = 'system', reason = this.isNew ? 'created' : undefined } = this.$locals.audit || {};
+    this.statusHistory.push({ from, to: this.status, actor, reason, at: new Date() });
+  }
+
   if (this.isModified('status') && this.status === 'active' && !this.startDate) {
     this.startDate = new Date();
   }
@@ -75,11 +230,53 @@ subscriptionSchema.pre('save', function(next) {
   next();
 });
 
+subscriptionSchema.post('save', function() {
+  this.$locals.storedStatus = this.status;
+  delete this.$locals.audit;
+});
+
+// Status updates through queries must filter on the single status they
+// move from, so the change is atomic and its history entry exact. Pass
+// { audit: { actor, reason } } in the query options.
+function auditStatusUpdate(next) {
+  const update = this.getUpdate() || {};
+  const to = update.$set?.status ?? update.status;
+  if (to === undefined) return next();
+
+  const from = this.getFilter().status;
+  if (typeof from !== 'string') {
+    return next(new InvalidStatusTransitionError(
+      from, to, `Setting status to ${to} requires filtering on the current status`
+    ));
+  }
+  if (!canTransition(from, to)) {
+    return next(new InvalidStatusTransitionError(from, to));
+  }
+
+  const { actor = 'system', reason } = this.getOptions().audit || {};
+  this.setUpdate({
+    ...update,
+    $push: {
+      ...update.$push,
+      statusHistory: { from, to, actor, reason, at: new Date() }
+    }
+  });
+  next();
+}
+
+subscriptionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], auditStatusUpdate);
+
 // Keep only the explicit index definitions
 subscriptionSchema.index({ userId: 1, category: 1 });
+// Paging a user's list by each sort option
+subscriptionSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+subscriptionSchema.index({ userId: 1, endDate: -1, _id: -1 });
 subscriptionSchema.index({ status: 1, endDate: 1 });
 subscriptionSchema.index({ createdAt: 1 });
+subscriptionSchema.index({ branch: 1, createdAt: 1 });
 subscriptionSchema.index({ mpesaCheckoutId: 1 }); // This is sufficient
+subscriptionSchema.index({ "bundle.groupId": 1 }, { sparse: true });
+subscriptionSchema.index({ status: 1, "freeze.endsAt": 1 });
 
 subscriptionSchema.statics.findActive = function(userId, category) {
   return this.findOne({
@@ -90,8 +287,43 @@ subscriptionSchema.statics.findActive = function(userId, category) {
   });
 };
 
+// Read-time expiry: the scheduler can lag behind endDate, so anything that
+// returns a status runs its subscriptions through here first. Works on both
+// documents and lean objects; returns them with status corrected.
+subscriptionSchema.statics.expireDue = async function(subscriptions) {
+  const list = Array.isArray(subscriptions) ? subscriptions : [subscriptions];
+  const now = new Date();
+  const due = list.filter(sub =>
+    sub && sub.status === 'active' && sub.endDate && sub.endDate <= now
+  );
+
+  if (due.length > 0) {
+    const ids = due.map(sub => sub._id);
+    await this.updateMany(
+      { _id: { $in: ids }, status: 'active', endDate: { $lte: now } },
+      { $set: { status: 'expired', updatedAt: now } },
+      { audit: { actor: 'system:expiry', reason: 'endDate reached' } }
+    );
+    for (const sub of due) {
+      sub.status = 'expired';
+      sub.updatedAt = now;
+    }
+
+    // Only the ones this call expired, not ones the sweep got to first
+    const expired = await this.find({ _id: { $in: ids }, status: 'expired', updatedAt: now });
+    await emitSubscriptionEvents('subscription.expired', expired);
+  }
+
+  return subscriptions;
+};
+
 subscriptionSchema.methods.isActive = function() {
   return this.status === 'active' && this.endDate > new Date();
 };
 
+// Paid for, but the clock hasn't started yet
+subscriptionSchema.methods.awaitingFirstCheckIn = function() {
+  return this.startsOn === 'first_check_in' && !this.usageStartedAt;
+};
+
 export default mongoose.model("Subscription", subscriptionSchema);
\ No newline at end of file
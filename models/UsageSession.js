@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+// Time a customer spent on a station (gaming seat, gym floor, ...). Opened
+// at check-in, closed by staff at check-out or when the subscription ends.
+const usageSessionSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subscription",
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  // Copied from the check-in that opened the session
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    default: null
+  },
+  checkInId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CheckIn"
+  },
+  station: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  endReason: {
+    type: String,
+    enum: ["check_out", "moved", "subscription_ended"]
+  },
+  startedBy: {
+    type: String
+  },
+  endedBy: {
+    type: String
+  }
+});
+
+usageSessionSchema.index({ endedAt: 1, startedAt: -1 });
+usageSessionSchema.index({ branch: 1, startedAt: -1 });
+
+export default mongoose.model("UsageSession", usageSessionSchema);
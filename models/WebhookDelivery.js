@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// One event sent (or being retried) to one endpoint
+const webhookDeliverySchema = new mongoose.Schema({
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "WebhookEndpoint",
+    required: true,
+    index: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subscription",
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // "failed" means every attempt was used up
+  status: {
+    type: String,
+    enum: ["pending", "delivering", "delivered", "failed"],
+    default: "pending"
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  lastStatusCode: {
+    type: Number
+  },
+  lastError: {
+    type: String
+  },
+  lastResponse: {
+    type: String
+  },
+  deliveredAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ eventId: 1, endpointId: 1 }, { unique: true });
+
+export default mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+export const WEBHOOK_EVENTS = [
+  "subscription.created",
+  "subscription.activated",
+  "subscription.failed",
+  "subscription.expired",
+  "subscription.cancelled"
+];
+
+// A partner URL (console booking, CRM, ...) that receives signed events
+const webhookEndpointSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  // Empty means every event
+  events: [{
+    type: String,
+    enum: WEBHOOK_EVENTS
+  }],
+  // HMAC-SHA256 key shared with the receiver; only shown when created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookEndpointSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+webhookEndpointSchema.index({ active: 1, events: 1 });
+
+export default mongoose.model("WebhookEndpoint", webhookEndpointSchema);
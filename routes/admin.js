@@ -0,0 +1,1380 @@
+import express from "express";
+import Plan from "../models/Plans.js";
+import Branch from "../models/Branch.js";
+import Holiday from "../models/Holiday.js";
+import Subscription from "../models/Subscription.js";
+import Payment from "../models/Payment.js";
+import RejectedCallback from "../models/RejectedCallback.js";
+import Refund from "../models/Refund.js";
+import Coupon from "../models/Coupon.js";
+import CouponRedemption from "../models/CouponRedemption.js";
+import Notification from "../models/Notification.js";
+import WebhookEndpoint, { WEBHOOK_EVENTS } from "../models/WebhookEndpoint.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { validate, idParams, objectId, timestamp } from "../lib/validation.js";
+import { reconcilePendingSubscriptions } from "../scripts/reconcilePending.js";
+import { approveRefund, rejectRefund, reconcileRefund, resolveRefund } from "../lib/refunds.js";
+import { generateWebhookSecret, redeliverWebhook } from "../lib/webhooks.js";
+import { getBranch, clearBranchCache, assignLegacyRecords } from "../lib/branches.js";
+import {
+  REPORT_INTERVALS,
+  parseReportRange,
+  revenueReport,
+  activeMembersReport,
+  conversionReport,
+  failureReport,
+  churnReport,
+  toCsv
+} from "../lib/analytics.js";
+
+const router = express.Router();
+
+// Roles allowed to manage the catalogue (front-desk managers change prices)
+export const ADMIN_ROLES = ["admin", "manager"];
+
+const EDITABLE_PLAN_FIELDS = [
+  "category",
+  "plan",
+  "amount",
+  "durationHours",
+  "durationDays",
+  "description",
+  "sortOrder",
+  "components",
+  "startsOn",
+  "maxFreezeDays",
+  "branch",
+  "pricingRules"
+];
+
+const EDITABLE_BRANCH_FIELDS = [
+  "code",
+  "name",
+  "address",
+  "phone",
+  "mpesaKey",
+  "isDefault",
+  "active"
+];
+
+const EDITABLE_COUPON_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "discountValue",
+  "validFrom",
+  "validUntil",
+  "maxRedemptions",
+  "perUserLimit",
+  "categories",
+  "planIds",
+  "active"
+];
+
+// Request schemas shared by several routes (see lib/validation.js)
+const planCategorySchema = { type: "string", enum: Plan.schema.path("category").enumValues };
+const branchRefSchema = { ...objectId, nullable: true, description: "null: every branch" };
+const positiveOrNull = { type: "number", exclusiveMinimum: 0, nullable: true };
+const calendarDate = {
+  type: "string",
+  pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+  "x-error-message": "must be a calendar date (YYYY-MM-DD)"
+};
+const timeOfDay = {
+  type: "string",
+  pattern: "^([01]\\d|2[0-3]):[0-5]\\d$",
+  nullable: true,
+  "x-error-message": "must be a time of day (HH:MM)"
+};
+const limitSchema = { type: "integer", minimum: 1, default: 50, description: "At most 200" };
+
+const planFieldsSchema = {
+  category: planCategorySchema,
+  plan: { type: "string", minLength: 1 },
+  amount: { type: "integer", minimum: 1, description: "Whole shillings" },
+  durationHours: positiveOrNull,
+  durationDays: positiveOrNull,
+  description: { type: "string", minLength: 1 },
+  sortOrder: { type: "number" },
+  components: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        category: { type: "string", enum: Plan.schema.path("components").schema.path("category").enumValues },
+        durationHours: positiveOrNull,
+        durationDays: positiveOrNull
+      },
+      required: ["category"]
+    }
+  },
+  startsOn: { type: "string", enum: Plan.schema.path("startsOn").enumValues },
+  maxFreezeDays: { type: "number", minimum: 0 },
+  branch: branchRefSchema,
+  pricingRules: {
+    type: "array",
+    description: "Replaces the whole list; [] removes peak pricing",
+    items: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1 },
+        amount: { type: "integer", minimum: 1, description: "Whole shillings" },
+        daysOfWeek: { type: "array", items: { type: "integer", minimum: 0, maximum: 6 } },
+        startTime: timeOfDay,
+        endTime: timeOfDay,
+        startDate: { ...calendarDate, nullable: true },
+        endDate: { ...calendarDate, nullable: true },
+        holidays: { type: "boolean" },
+        priority: { type: "number" }
+      },
+      required: ["name", "amount"]
+    }
+  }
+};
+
+const branchFieldsSchema = {
+  code: { type: "string", pattern: "^[a-zA-Z0-9-]+$", "x-error-message": "must be letters, digits and dashes" },
+  name: { type: "string", minLength: 1 },
+  address: { type: "string" },
+  phone: { type: "string" },
+  mpesaKey: {
+    type: "string",
+    nullable: true,
+    description: "Names the MPESA_<KEY>_* variables holding the branch's Daraja credentials"
+  },
+  isDefault: { type: "boolean" },
+  active: { type: "boolean" }
+};
+
+const couponFieldsSchema = {
+  code: { type: "string", minLength: 1 },
+  description: { type: "string" },
+  discountType: { type: "string", enum: Coupon.schema.path("discountType").enumValues },
+  discountValue: { type: "number", exclusiveMinimum: 0, description: "Percent (1-100) or shillings off" },
+  validFrom: { ...timestamp, nullable: true },
+  validUntil: { ...timestamp, nullable: true },
+  maxRedemptions: { type: "integer", minimum: 1, nullable: true, description: "null: unlimited" },
+  perUserLimit: { type: "integer", minimum: 1 },
+  categories: { type: "array", items: planCategorySchema },
+  planIds: { type: "array", items: objectId },
+  active: { type: "boolean" }
+};
+
+const webhookFieldsSchema = {
+  url: { type: "string", minLength: 1, description: "https (http allowed outside production)" },
+  description: { type: "string" },
+  events: { type: "array", items: { type: "string", enum: WEBHOOK_EVENTS }, description: "Defaults to all" },
+  active: { type: "boolean" }
+};
+
+// Request logging middleware
+router.use((req, res, next) => {
+  console.log(`[${new Date().toISOString()}] [Admin] ${req.method} ${req.path}`);
+  next();
+});
+
+router.use(requireAuth, requireRole(...ADMIN_ROLES));
+
+// Copy only the fields an admin may set. Types and ranges are checked by
+// the route schemas; these are the rules that span fields.
+function pickPlanFields(body) {
+  const fields = {};
+  for (const key of EDITABLE_PLAN_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return { error: "No editable fields provided" };
+  }
+
+  if (fields.durationHours && fields.durationDays) {
+    return { error: "Set either durationHours or durationDays, not both" };
+  }
+
+  const undated = (fields.components || []).find(c => !(c.durationHours > 0) && !(c.durationDays > 0));
+  if (undated) {
+    return { error: "Each bundle component needs durationHours or durationDays" };
+  }
+
+  // Time windows and date ranges of pricing rules are checked by the Plan schema
+  return { fields };
+}
+
+/**
+ * List branches
+ */
+router.get("/branches", validate({ summary: "List branches" }), async (req, res) => {
+  try {
+    const branches = await Branch.find().sort({ isDefault: -1, name: 1 }).lean();
+    res.json(branches);
+  } catch (err) {
+    console.error("Admin fetch branches error:", err.message);
+    res.status(500).json({ error: "Failed to fetch branches" });
+  }
+});
+
+// Copy only the branch fields an admin may set
+function pickBranchFields(body, { partial = false } = {}) {
+  const fields = {};
+  for (const key of EDITABLE_BRANCH_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return { error: "No editable fields provided" };
+  }
+
+  if (partial && fields.isDefault === false) {
+    return { error: "Make another branch the default instead" };
+  }
+
+  return { fields };
+}
+
+// Only one branch is the default: the one just saved takes over
+async function takeOverDefault(branch) {
+  if (branch.isDefault) {
+    await Branch.updateMany({ _id: { $ne: branch._id }, isDefault: true }, { $set: { isDefault: false } });
+  }
+  clearBranchCache();
+}
+
+/**
+ * Create a branch
+ * Body: { code, name, address?, phone?, mpesaKey?, isDefault? } - mpesaKey
+ * names the MPESA_<KEY>_* variables holding its Daraja credentials
+ */
+router.post("/branches", validate({
+  summary: "Create a branch",
+  description: "The first branch becomes the default and takes over records from before branches",
+  body: { type: "object", properties: branchFieldsSchema, required: ["code", "name"] },
+  responses: { 201: "Created", 409: "A branch with this code already exists" }
+}), async (req, res) => {
+  try {
+    const { fields, error } = pickBranchFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // The first branch becomes the default and takes over unassigned records
+    const first = !(await Branch.exists({}));
+    if (first) fields.isDefault = true;
+
+    const branch = await Branch.create({ ...fields, updatedBy: req.user.sub });
+    await takeOverDefault(branch);
+    if (first) await assignLegacyRecords(branch);
+    console.log("Branch created:", { code: branch.code, by: req.user.sub });
+
+    res.status(201).json({ success: true, data: branch });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "A branch with this code already exists" });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Admin create branch error:", err.message);
+    res.status(500).json({ error: "Failed to create branch" });
+  }
+});
+
+/**
+ * Update a branch (set active: false to stop selling at it)
+ */
+router.patch("/branches/:id", validate({
+  summary: "Update a branch",
+  params: idParams,
+  body: { type: "object", properties: branchFieldsSchema },
+  responses: { 409: "A branch with this code already exists" }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { fields, error } = pickBranchFields(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const branch = await Branch.findById(id);
+    if (!branch) {
+      return res.status(404).json({ error: "Branch not found" });
+    }
+
+    branch.set({ ...fields, updatedBy: req.user.sub });
+    if (branch.isDefault && !branch.active) {
+      return res.status(400).json({ error: "The default branch cannot be closed" });
+    }
+    await branch.save();
+    await takeOverDefault(branch);
+
+    console.log("Branch updated:", { code: branch.code, fields: Object.keys(fields), by: req.user.sub });
+    res.json({ success: true, data: branch });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "A branch with this code already exists" });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Admin update branch error:", err.message);
+    res.status(500).json({ error: "Failed to update branch" });
+  }
+});
+
+/**
+ * List holidays, on which plans' holiday pricing rules apply
+ * Query: ?from=&to= (YYYY-MM-DD), ?branch= for one branch's own holidays
+ */
+router.get("/holidays", validate({
+  summary: "List holidays",
+  query: { type: "object", properties: { from: calendarDate, to: calendarDate, branch: objectId } }
+}), async (req, res) => {
+  try {
+    const { from, to, branch } = req.query;
+    const query = {};
+
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+    if (branch) query.branch = branch;
+
+    const holidays = await Holiday.find(query).sort({ date: 1 }).lean();
+    res.json(holidays);
+  } catch (err) {
+    console.error("Admin fetch holidays error:", err.message);
+    res.status(500).json({ error: "Failed to fetch holidays" });
+  }
+});
+
+/**
+ * Add a holiday
+ * Body: { date (YYYY-MM-DD), name, branch? } - branch null or absent means
+ * every branch
+ */
+router.post("/holidays", validate({
+  summary: "Add a holiday",
+  body: {
+    type: "object",
+    properties: { date: calendarDate, name: { type: "string", minLength: 1 }, branch: branchRefSchema },
+    required: ["date", "name"]
+  },
+  responses: { 201: "Created", 409: "This date is already a holiday at this branch" }
+}), async (req, res) => {
+  try {
+    const { date, name, branch = null } = req.body;
+
+    // Round-trips only for real dates (not 2026-02-30)
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (isNaN(parsed) || parsed.toISOString().slice(0, 10) !== date) {
+      return res.status(400).json({ error: "date must be a calendar date (YYYY-MM-DD)" });
+    }
+    if (branch && !(await Branch.exists({ _id: branch }))) {
+      return res.status(400).json({ error: "Unknown branch" });
+    }
+
+    const holiday = await Holiday.create({ date, name, branch, updatedBy: req.user.sub });
+    console.log("Holiday added:", { date, branch, by: req.user.sub });
+
+    res.status(201).json({ success: true, data: holiday });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "This date is already a holiday at this branch" });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Admin create holiday error:", err.message);
+    res.status(500).json({ error: "Failed to create holiday" });
+  }
+});
+
+/**
+ * Remove a holiday
+ */
+router.delete("/holidays/:id", validate({ summary: "Remove a holiday", params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const holiday = await Holiday.findByIdAndDelete(id);
+    if (!holiday) {
+      return res.status(404).json({ error: "Holiday not found" });
+    }
+
+    console.log("Holiday removed:", { date: holiday.date, by: req.user.sub });
+    res.json({ success: true, data: holiday });
+  } catch (err) {
+    console.error("Admin delete holiday error:", err.message);
+    res.status(500).json({ error: "Failed to delete holiday" });
+  }
+});
+
+/**
+ * List plans (?includeArchived=true to include archived ones, ?branch= for
+ * one branch's own plans)
+ */
+router.get("/plans", validate({
+  summary: "List plans",
+  query: {
+    type: "object",
+    properties: {
+      category: planCategorySchema,
+      includeArchived: { type: "boolean", default: false },
+      branch: objectId
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { category, includeArchived, branch } = req.query;
+    const query = {};
+
+    if (category) query.category = category;
+    if (branch) query.branch = branch;
+    if (!includeArchived) query.archived = { $ne: true };
+
+    const plans = await Plan.find(query)
+      .sort({ category: 1, sortOrder: 1, amount: 1 })
+      .lean();
+
+    res.json(plans);
+  } catch (err) {
+    console.error("Admin fetch plans error:", err.message);
+    res.status(500).json({ error: "Failed to fetch plans" });
+  }
+});
+
+/**
+ * Create a plan
+ */
+router.post("/plans", validate({
+  summary: "Create a plan",
+  body: {
+    type: "object",
+    properties: planFieldsSchema,
+    required: ["category", "plan", "amount", "description"]
+  },
+  responses: { 201: "Created", 409: "A plan with this name already exists in this category at this branch" }
+}), async (req, res) => {
+  try {
+    const { fields, error } = pickPlanFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (fields.branch && !(await Branch.exists({ _id: fields.branch }))) {
+      return res.status(400).json({ error: "Unknown branch" });
+    }
+
+    // New plans go to the end of their category unless told otherwise
+    if (fields.sortOrder === undefined) {
+      const last = await Plan.findOne({ category: fields.category })
+        .sort({ sortOrder: -1 })
+        .lean();
+      fields.sortOrder = last ? (last.sortOrder || 0) + 1 : 0;
+    }
+
+    const plan = await Plan.create({ ...fields, updatedBy: req.user.sub });
+    console.log("Plan created:", { id: plan._id, by: req.user.sub });
+
+    res.status(201).json({ success: true, data: plan });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        error: "A plan with this name already exists in this category at this branch"
+      });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Admin create plan error:", err.message);
+    res.status(500).json({ error: "Failed to create plan" });
+  }
+});
+
+/**
+ * Reorder plans within a category
+ * Body: { category, planIds: [id, id, ...] } in the desired order
+ */
+router.put("/plans/order", validate({
+  summary: "Reorder plans",
+  body: {
+    type: "object",
+    properties: {
+      category: planCategorySchema,
+      planIds: { type: "array", items: objectId, minItems: 1 }
+    },
+    required: ["category", "planIds"]
+  }
+}), async (req, res) => {
+  try {
+    const { category, planIds } = req.body;
+
+    const matching = await Plan.countDocuments({ _id: { $in: planIds }, category });
+    if (matching !== new Set(planIds.map(String)).size) {
+      return res.status(400).json({
+        error: `All planIds must be distinct ${category} plans`
+      });
+    }
+
+    await Plan.bulkWrite(planIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { sortOrder: index, updatedBy: req.user.sub } }
+      }
+    })));
+
+    const plans = await Plan.find({ category })
+      .sort({ sortOrder: 1, amount: 1 })
+      .lean();
+
+    console.log("Plans reordered:", { category, by: req.user.sub });
+    res.json({ success: true, data: plans });
+  } catch (err) {
+    console.error("Admin reorder plans error:", err.message);
+    res.status(500).json({ error: "Failed to reorder plans" });
+  }
+});
+
+/**
+ * Update a plan (price, duration, description, pricingRules, ...)
+ * Existing subscriptions keep the amount and endDate they were sold with.
+ * pricingRules replaces the whole list; [] removes peak pricing.
+ */
+router.patch("/plans/:id", validate({
+  summary: "Update a plan",
+  params: idParams,
+  body: { type: "object", properties: planFieldsSchema },
+  responses: { 409: "A plan with this name already exists in this category at this branch" }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { fields, error } = pickPlanFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (fields.branch && !(await Branch.exists({ _id: fields.branch }))) {
+      return res.status(400).json({ error: "Unknown branch" });
+    }
+
+    // Switching duration type clears the other one
+    if (fields.durationHours) fields.durationDays = null;
+    if (fields.durationDays) fields.durationHours = null;
+
+    // Load and save so document validation (bundle components) runs
+    const plan = await Plan.findById(id);
+    if (!plan) {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+
+    plan.set({ ...fields, updatedBy: req.user.sub });
+    await plan.save();
+
+    console.log("Plan updated:", { id, fields: Object.keys(fields), by: req.user.sub });
+    res.json({ success: true, data: plan });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        error: "A plan with this name already exists in this category at this branch"
+      });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Admin update plan error:", err.message);
+    res.status(500).json({ error: "Failed to update plan" });
+  }
+});
+
+/**
+ * Archive a plan (hide it from sale)
+ */
+router.post("/plans/:id/archive", validate({ summary: "Archive a plan", params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const plan = await Plan.findByIdAndUpdate(
+      id,
+      { $set: { archived: true, archivedAt: new Date(), updatedBy: req.user.sub } },
+      { new: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+
+    console.log("Plan archived:", { id, by: req.user.sub });
+    res.json({ success: true, data: plan });
+  } catch (err) {
+    console.error("Admin archive plan error:", err.message);
+    res.status(500).json({ error: "Failed to archive plan" });
+  }
+});
+
+/**
+ * Put an archived plan back on sale
+ */
+router.post("/plans/:id/restore", validate({ summary: "Restore a plan", params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const plan = await Plan.findByIdAndUpdate(
+      id,
+      { $set: { archived: false, archivedAt: null, updatedBy: req.user.sub } },
+      { new: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+
+    console.log("Plan restored:", { id, by: req.user.sub });
+    res.json({ success: true, data: plan });
+  } catch (err) {
+    console.error("Admin restore plan error:", err.message);
+    res.status(500).json({ error: "Failed to restore plan" });
+  }
+});
+
+/**
+ * A subscription's status history, for answering "why did my pass change?"
+ */
+router.get("/subscriptions/:id/history", validate({ summary: "Get a subscription's status history", params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const subscription = await Subscription.findById(id, {
+      userId: 1,
+      category: 1,
+      plan: 1,
+      status: 1,
+      endDate: 1,
+      statusHistory: 1
+    }).lean();
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    res.json(subscription);
+  } catch (err) {
+    console.error("Admin fetch subscription history error:", err.message);
+    res.status(500).json({ error: "Failed to fetch subscription history" });
+  }
+});
+
+/**
+ * Notification log, e.g. ?status=failed&type=expiry_reminder
+ */
+router.get("/notifications", validate({
+  summary: "List notifications",
+  query: {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: Notification.schema.path("status").enumValues },
+      type: { type: "string", enum: Notification.schema.path("type").enumValues },
+      channel: { type: "string", enum: Notification.schema.path("channel").enumValues },
+      userId: { type: "string" },
+      subscriptionId: objectId,
+      limit: limitSchema
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { status, type, channel, userId, subscriptionId } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (channel) query.channel = channel;
+    if (userId) query.userId = userId;
+    if (subscriptionId) query.subscriptionId = subscriptionId;
+
+    const limit = Math.min(req.query.limit, 200);
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(notifications);
+  } catch (err) {
+    console.error("Admin fetch notifications error:", err.message);
+    res.status(500).json({ error: "Failed to fetch notifications" });
+  }
+});
+
+/**
+ * Payment ledger, e.g. ?status=flagged for payments awaiting review
+ */
+router.get("/payments", validate({
+  summary: "List payments",
+  query: {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: Payment.schema.path("status").enumValues },
+      subscriptionId: objectId,
+      userId: { type: "string" },
+      limit: limitSchema
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { status, subscriptionId, userId } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (userId) query.userId = userId;
+    if (subscriptionId) query.subscriptionId = subscriptionId;
+
+    const limit = Math.min(req.query.limit, 200);
+    const payments = await Payment.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(payments);
+  } catch (err) {
+    console.error("Admin fetch payments error:", err.message);
+    res.status(500).json({ error: "Failed to fetch payments" });
+  }
+});
+
+/**
+ * Payment callbacks that failed verification (?reviewed=false for the queue,
+ * ?provider= for one payment provider)
+ */
+router.get("/callbacks/rejected", validate({
+  summary: "List rejected callbacks",
+  query: {
+    type: "object",
+    properties: {
+      reason: { type: "string", enum: RejectedCallback.schema.path("reason").enumValues },
+      reviewed: { type: "boolean" },
+      checkoutRequestId: { type: "string" },
+      provider: { type: "string" },
+      limit: limitSchema
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { reason, reviewed, checkoutRequestId, provider } = req.query;
+    const query = {};
+
+    if (reason) query.reason = reason;
+    // Callbacks recorded before other providers existed have no provider
+    if (provider) query.provider = provider === "mpesa" ? { $in: ["mpesa", null] } : provider;
+    if (checkoutRequestId) query.checkoutRequestId = checkoutRequestId;
+    if (reviewed !== undefined) query.reviewed = reviewed;
+
+    const limit = Math.min(req.query.limit, 200);
+    const callbacks = await RejectedCallback.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(callbacks);
+  } catch (err) {
+    console.error("Admin fetch rejected callbacks error:", err.message);
+    res.status(500).json({ error: "Failed to fetch rejected callbacks" });
+  }
+});
+
+/**
+ * Mark a rejected callback as reviewed
+ */
+router.post("/callbacks/rejected/:id/review", validate({ summary: "Mark a rejected callback reviewed", params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const callback = await RejectedCallback.findByIdAndUpdate(
+      id,
+      { $set: { reviewed: true, reviewedBy: req.user.sub, reviewedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!callback) {
+      return res.status(404).json({ error: "Rejected callback not found" });
+    }
+
+    res.json({ success: true, data: callback });
+  } catch (err) {
+    console.error("Admin review callback error:", err.message);
+    res.status(500).json({ error: "Failed to update rejected callback" });
+  }
+});
+
+/**
+ * Refund requests (?status=requested for the approval queue)
+ */
+router.get("/refunds", validate({
+  summary: "List refunds",
+  query: {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: Refund.schema.path("status").enumValues },
+      userId: { type: "string" },
+      limit: limitSchema
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { status, userId } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (userId) query.userId = userId;
+
+    const limit = Math.min(req.query.limit, 200);
+    const refunds = await Refund.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(refunds);
+  } catch (err) {
+    console.error("Admin fetch refunds error:", err.message);
+    res.status(500).json({ error: "Failed to fetch refunds" });
+  }
+});
+
+/**
+ * Approve a refund and pay it back through the provider that took it
+ * Body: { amount? } - defaults to the requested amount; may only be lower
+ */
+router.post("/refunds/:id/approve", validate({
+  summary: "Approve a refund",
+  params: idParams,
+  body: {
+    type: "object",
+    properties: {
+      amount: { type: "integer", minimum: 1, description: "Whole shillings; defaults to the requested amount and may only be lower" }
+    }
+  },
+  responses: { 409: "Refund is not awaiting approval", 502: "The payout failed or got no clear answer" }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { refund, status, error } = await approveRefund(id, {
+      adminId: req.user.sub,
+      amount: req.body.amount
+    });
+
+    if (error) {
+      return res.status(status).json({ error, ...(refund ? { data: refund } : {}) });
+    }
+
+    console.log("Refund approved:", { id, amount: refund.approvedAmount, by: req.user.sub });
+    res.json({ success: true, data: refund });
+  } catch (err) {
+    console.error("Admin approve refund error:", err.message);
+    res.status(500).json({ error: "Failed to approve refund" });
+  }
+});
+
+/**
+ * Reject a refund request
+ * Body: { reason }
+ */
+router.post("/refunds/:id/reject", validate({
+  summary: "Reject a refund",
+  params: idParams,
+  body: {
+    type: "object",
+    properties: { reason: { type: "string", minLength: 1, maxLength: 500 } },
+    required: ["reason"]
+  },
+  responses: { 409: "Only requested refunds can be rejected" }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { refund, status, error } = await rejectRefund(id, {
+      adminId: req.user.sub,
+      reason: req.body.reason
+    });
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    console.log("Refund rejected:", { id, by: req.user.sub });
+    res.json({ success: true, data: refund });
+  } catch (err) {
+    console.error("Admin reject refund error:", err.message);
+    res.status(500).json({ error: "Failed to reject refund" });
+  }
+});
+
+/**
+ * Ask the provider what became of a refund whose payout is "unknown" or
+ * still "processing". M-Pesa answers later on the status ResultURL.
+ */
+router.post("/refunds/:id/reconcile", validate({
+  summary: "Check a refund payout with the provider",
+  params: idParams,
+  responses: { 409: "Refund is settled, or its provider can't be asked", 502: "The provider could not be reached" }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { refund, status, error } = await reconcileRefund(id);
+    if (error) {
+      return res.status(status).json({ error, ...(refund ? { data: refund } : {}) });
+    }
+
+    console.log("Refund reconciliation requested:", { id, status: refund.status, by: req.user.sub });
+    res.json({ success: true, data: refund });
+  } catch (err) {
+    console.error("Admin reconcile refund error:", err.message);
+    res.status(500).json({ error: "Failed to reconcile refund" });
+  }
+});
+
+/**
+ * Settle an unknown or stuck payout by hand after checking the provider
+ * Body: { outcome: "completed" | "failed", receiptNumber?, note? }
+ */
+router.post("/refunds/:id/resolve", validate({
+  summary: "Resolve a refund by hand",
+  params: idParams,
+  body: {
+    type: "object",
+    properties: {
+      outcome: { type: "string", enum: ["completed", "failed"] },
+      receiptNumber: { type: "string", minLength: 1, description: "Required when outcome is completed" },
+      note: { type: "string", maxLength: 500 }
+    },
+    required: ["outcome"]
+  },
+  responses: { 409: "Only processing or unknown refunds can be resolved" }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { outcome, receiptNumber, note } = req.body;
+    if (outcome === "completed" && !receiptNumber) {
+      return res.status(400).json({ error: "receiptNumber is required for a completed refund" });
+    }
+
+    const { refund, status, error } = await resolveRefund(id, {
+      adminId: req.user.sub,
+      outcome,
+      receiptNumber,
+      note
+    });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    console.log("Refund resolved:", { id, outcome, by: req.user.sub });
+    res.json({ success: true, data: refund });
+  } catch (err) {
+    console.error("Admin resolve refund error:", err.message);
+    res.status(500).json({ error: "Failed to resolve refund" });
+  }
+});
+
+// Copy only the coupon fields an admin may set
+function pickCouponFields(body) {
+  const fields = {};
+  for (const key of EDITABLE_COUPON_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return { error: "No editable fields provided" };
+  }
+
+  if (fields.validFrom && fields.validUntil &&
+      new Date(fields.validFrom) >= new Date(fields.validUntil)) {
+    return { error: "validFrom must be before validUntil" };
+  }
+
+  return { fields };
+}
+
+/**
+ * List coupons (?active=true|false)
+ */
+router.get("/coupons", validate({
+  summary: "List coupons",
+  query: { type: "object", properties: { active: { type: "boolean" } } }
+}), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active !== undefined) query.active = req.query.active;
+
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 }).lean();
+    res.json(coupons);
+  } catch (err) {
+    console.error("Admin fetch coupons error:", err.message);
+    res.status(500).json({ error: "Failed to fetch coupons" });
+  }
+});
+
+/**
+ * Create a coupon
+ */
+router.post("/coupons", validate({
+  summary: "Create a coupon",
+  body: {
+    type: "object",
+    properties: couponFieldsSchema,
+    required: ["code", "discountType", "discountValue"]
+  },
+  responses: { 201: "Created", 409: "A coupon with this code already exists" }
+}), async (req, res) => {
+  try {
+    const { fields, error } = pickCouponFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const coupon = await Coupon.create({ ...fields, createdBy: req.user.sub });
+    console.log("Coupon created:", { code: coupon.code, by: req.user.sub });
+
+    res.status(201).json({ success: true, data: coupon });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "A coupon with this code already exists" });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Admin create coupon error:", err.message);
+    res.status(500).json({ error: "Failed to create coupon" });
+  }
+});
+
+/**
+ * Update a coupon (set active: false to switch it off)
+ */
+router.patch("/coupons/:id", validate({
+  summary: "Update a coupon",
+  params: idParams,
+  body: { type: "object", properties: couponFieldsSchema },
+  responses: { 409: "A coupon with this code already exists" }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { fields, error } = pickCouponFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Load and save so schema-level checks (e.g. percentage <= 100) run
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({ error: "Coupon not found" });
+    }
+
+    coupon.set(fields);
+    await coupon.save();
+
+    console.log("Coupon updated:", { code: coupon.code, fields: Object.keys(fields), by: req.user.sub });
+    res.json({ success: true, data: coupon });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "A coupon with this code already exists" });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Admin update coupon error:", err.message);
+    res.status(500).json({ error: "Failed to update coupon" });
+  }
+});
+
+/**
+ * Uses of a coupon
+ */
+router.get("/coupons/:id/redemptions", validate({ summary: "List a coupon's redemptions", params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const redemptions = await CouponRedemption.find({ couponId: id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(redemptions);
+  } catch (err) {
+    console.error("Admin fetch coupon redemptions error:", err.message);
+    res.status(500).json({ error: "Failed to fetch coupon redemptions" });
+  }
+});
+
+// Validate a webhook registration; url and events are the editable parts
+function pickWebhookFields(body) {
+  const fields = {};
+  for (const key of ["url", "description", "events", "active"]) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+
+  if (fields.url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(fields.url);
+    } catch {
+      return { error: "url must be a valid URL" };
+    }
+    const allowHttp = process.env.NODE_ENV !== "production";
+    if (parsed.protocol !== "https:" && !(allowHttp && parsed.protocol === "http:")) {
+      return { error: "url must use https" };
+    }
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return { error: "No editable fields provided" };
+  }
+
+  return { fields };
+}
+
+/**
+ * List webhook endpoints
+ */
+router.get("/webhooks", validate({ summary: "List webhook endpoints" }), async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find().sort({ createdAt: -1 }).lean();
+    res.json(endpoints);
+  } catch (err) {
+    console.error("Admin fetch webhooks error:", err.message);
+    res.status(500).json({ error: "Failed to fetch webhooks" });
+  }
+});
+
+/**
+ * Register a webhook endpoint
+ * Body: { url, events?, description? } - events defaults to all. The
+ * signing secret is only returned here.
+ */
+router.post("/webhooks", validate({
+  summary: "Register a webhook endpoint",
+  description: "The signing secret is only returned here",
+  body: { type: "object", properties: webhookFieldsSchema, required: ["url"] },
+  responses: { 201: "Created" }
+}), async (req, res) => {
+  try {
+    const { fields, error } = pickWebhookFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const endpoint = await WebhookEndpoint.create({
+      ...fields,
+      secret: generateWebhookSecret(),
+      createdBy: req.user.sub
+    });
+
+    console.log("Webhook registered:", { id: endpoint._id, url: endpoint.url, by: req.user.sub });
+
+    // Documents from create() still carry the secret; later reads never do
+    res.status(201).json({ success: true, data: endpoint });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Admin create webhook error:", err.message);
+    res.status(500).json({ error: "Failed to create webhook" });
+  }
+});
+
+/**
+ * Update a webhook endpoint (url, events, description, active)
+ */
+router.patch("/webhooks/:id", validate({
+  summary: "Update a webhook endpoint",
+  params: idParams,
+  body: { type: "object", properties: webhookFieldsSchema }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { fields, error } = pickWebhookFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const endpoint = await WebhookEndpoint.findByIdAndUpdate(
+      id,
+      { $set: { ...fields, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+
+    if (!endpoint) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    res.json({ success: true, data: endpoint });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Admin update webhook error:", err.message);
+    res.status(500).json({ error: "Failed to update webhook" });
+  }
+});
+
+/**
+ * Delivery log for an endpoint (?status=failed)
+ */
+router.get("/webhooks/:id/deliveries", validate({
+  summary: "List a webhook endpoint's deliveries",
+  params: idParams,
+  query: {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: WebhookDelivery.schema.path("status").enumValues },
+      limit: limitSchema
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const query = { endpointId: id };
+    if (req.query.status) query.status = req.query.status;
+
+    const limit = Math.min(req.query.limit, 200);
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(deliveries);
+  } catch (err) {
+    console.error("Admin fetch webhook deliveries error:", err.message);
+    res.status(500).json({ error: "Failed to fetch webhook deliveries" });
+  }
+});
+
+/**
+ * Send a failed or pending delivery again now
+ */
+router.post("/webhooks/deliveries/:id/retry", validate({
+  summary: "Retry a webhook delivery",
+  params: idParams,
+  responses: { 409: "Delivery is already delivered or in flight" }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const delivery = await redeliverWebhook(id);
+    if (!delivery) {
+      const exists = await WebhookDelivery.exists({ _id: id });
+      return exists
+        ? res.status(409).json({ error: "Delivery is already delivered or in flight" })
+        : res.status(404).json({ error: "Delivery not found" });
+    }
+
+    res.json({ success: true, data: delivery });
+  } catch (err) {
+    console.error("Admin retry webhook error:", err.message);
+    res.status(500).json({ error: "Failed to retry webhook" });
+  }
+});
+
+const REPORTS = {
+  revenue: revenueReport,
+  members: activeMembersReport,
+  conversion: conversionReport,
+  failures: failureReport,
+  churn: churnReport
+};
+
+/**
+ * Reports: revenue, members, conversion, failures, churn
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=day|week|month&branch=&format=csv
+ * (defaults: last 30 days, by day, all branches, JSON)
+ */
+router.get("/analytics/:report", validate({
+  summary: "Build a report",
+  params: {
+    type: "object",
+    properties: { report: { type: "string", description: Object.keys(REPORTS).join(", ") } },
+    required: ["report"]
+  },
+  query: {
+    type: "object",
+    properties: {
+      from: calendarDate,
+      to: calendarDate,
+      interval: { type: "string", enum: REPORT_INTERVALS, default: "day" },
+      branch: objectId,
+      format: { type: "string", enum: ["json", "csv"], default: "json" }
+    }
+  },
+  responses: { 404: "Unknown report" }
+}), async (req, res) => {
+  try {
+    // Own keys only: /analytics/constructor is not a report
+    const build = Object.hasOwn(REPORTS, req.params.report) && REPORTS[req.params.report];
+    if (!build) {
+      return res.status(404).json({ error: `Unknown report. Available: ${Object.keys(REPORTS).join(", ")}` });
+    }
+
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(range.status).json({ error: range.error });
+    }
+
+    if (req.query.branch) {
+      range.branch = await getBranch(req.query.branch);
+      if (!range.branch) {
+        return res.status(400).json({ error: "Unknown branch" });
+      }
+    }
+
+    const report = await build(range);
+
+    if (req.query.format === "csv") {
+      const scope = range.branch ? `${range.branch.code}-` : "";
+      const filename = `${req.params.report}-${scope}${range.firstDay}-to-${range.lastDay}.csv`;
+      res.set({
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename}"`
+      });
+      return res.send(toCsv(report));
+    }
+
+    res.json({
+      report: req.params.report,
+      from: range.firstDay,
+      to: range.lastDay,
+      interval: range.interval,
+      branch: range.branch?.code ?? null,
+      columns: report.columns,
+      rows: report.rows
+    });
+  } catch (err) {
+    console.error("Admin analytics error:", err.message);
+    res.status(500).json({ error: "Failed to build report" });
+  }
+});
+
+/**
+ * Run the pending-subscription reconciliation now and return its report
+ */
+router.post("/reconcile/pending", validate({
+  summary: "Reconcile pending payments now",
+  responses: { 409: "Reconciliation is already running" }
+}), async (req, res) => {
+  try {
+    const report = await reconcilePendingSubscriptions();
+
+    if (!report) {
+      return res.status(409).json({ error: "Reconciliation is already running" });
+    }
+
+    res.json({ success: true, data: report });
+  } catch (err) {
+    console.error("Admin reconcile error:", err.message);
+    res.status(500).json({ error: "Failed to reconcile pending subscriptions" });
+  }
+});
+
+export default router;
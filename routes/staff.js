@@ -0,0 +1,266 @@
+import express from "express";
+import Subscription from "../models/Subscription.js";
+import CheckIn from "../models/CheckIn.js";
+import UsageSession from "../models/UsageSession.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { verifyAccessPass } from "../lib/accessPasses.js";
+import { startUsage, openSession, endSession } from "../lib/sessions.js";
+import { getBranch, branchCondition, belongsToBranch } from "../lib/branches.js";
+import { validate, idParams, objectId } from "../lib/validation.js";
+import { ADMIN_ROLES } from "./admin.js";
+
+const router = express.Router();
+
+// Door staff, plus anyone who can manage the venue
+export const STAFF_ROLES = ["staff", ...ADMIN_ROLES];
+
+// Request logging middleware
+router.use((req, res, next) => {
+  console.log(`[${new Date().toISOString()}] [Staff] ${req.method} ${req.path}`);
+  next();
+});
+
+router.use(requireAuth, requireRole(...STAFF_ROLES));
+
+const categorySchema = { type: "string", enum: Subscription.schema.path("category").enumValues };
+const limitSchema = { type: "integer", minimum: 1, default: 50, description: "At most 200" };
+
+/**
+ * Check a customer in by scanning their access pass
+ * Body: { token, branch?, category?, location?, station? } - branch and
+ * category are the door being staffed; when given the pass must be for them.
+ * The first check-in starts the clock on "first_check_in" plans.
+ */
+router.post("/check-in", validate({
+  summary: "Check in with an access pass",
+  body: {
+    type: "object",
+    properties: {
+      token: { type: "string", minLength: 1 },
+      branch: objectId,
+      category: categorySchema,
+      location: { type: "string" },
+      station: { type: "string" }
+    },
+    required: ["token"]
+  },
+  responses: { 201: "Checked in" }
+}), async (req, res) => {
+  try {
+    const { token, category, location, station } = req.body;
+
+    const branch = req.body.branch ? await getBranch(req.body.branch) : null;
+    if (req.body.branch && !branch) {
+      return res.status(400).json({ error: "Unknown branch" });
+    }
+
+    const pass = await verifyAccessPass(token);
+    if (!pass.ok) {
+      return res.status(401).json({ error: pass.error });
+    }
+
+    let subscription = await Subscription.findOne({
+      _id: pass.subscriptionId,
+      userId: pass.userId
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    await Subscription.expireDue(subscription);
+    if (!subscription.isActive()) {
+      return res.status(403).json({
+        error: `Subscription is not active (${subscription.status})`,
+        data: { status: subscription.status, endDate: subscription.endDate }
+      });
+    }
+
+    if (category && category !== subscription.category) {
+      return res.status(403).json({
+        error: `This pass is for ${subscription.category}, not ${category}`
+      });
+    }
+
+    if (branch && !belongsToBranch(subscription, branch)) {
+      const home = await getBranch(subscription.branch);
+      return res.status(403).json({
+        error: `This pass is for ${home?.name || "another branch"}, not ${branch.name}`
+      });
+    }
+
+    let checkIn;
+    try {
+      checkIn = await CheckIn.create({
+        subscriptionId: subscription._id,
+        userId: subscription.userId,
+        category: subscription.category,
+        branch: branch?._id ?? subscription.branch,
+        passId: pass.passId,
+        staffId: req.user.sub,
+        location
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ error: "This pass has already been used" });
+      }
+      throw err;
+    }
+
+    if (subscription.awaitingFirstCheckIn()) {
+      const started = await startUsage(subscription, checkIn.createdAt);
+      // null means another door started it first: reload for the real endDate
+      subscription = started || await Subscription.findById(subscription._id);
+    }
+
+    const session = await openSession({
+      subscription,
+      checkIn,
+      station: station || location,
+      staffId: req.user.sub,
+      now: checkIn.createdAt
+    });
+
+    console.log("Check-in recorded:", {
+      checkInId: checkIn._id,
+      subscriptionId: subscription._id,
+      category: subscription.category,
+      branch: branch?.code,
+      staffId: req.user.sub
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        checkIn: {
+          id: checkIn._id,
+          branch: checkIn.branch,
+          location: checkIn.location,
+          createdAt: checkIn.createdAt
+        },
+        session: {
+          id: session._id,
+          station: session.station,
+          startedAt: session.startedAt
+        },
+        subscription: {
+          id: subscription._id,
+          userId: subscription.userId,
+          category: subscription.category,
+          plan: subscription.plan,
+          usageStartedAt: subscription.usageStartedAt,
+          endDate: subscription.endDate
+        }
+      }
+    });
+  } catch (err) {
+    console.error("Check-in error:", err.message);
+    res.status(500).json({ error: "Failed to check in" });
+  }
+});
+
+/**
+ * List recent check-ins
+ * Query: ?branch=...&category=gym&subscriptionId=...&limit=50
+ */
+router.get("/check-ins", validate({
+  summary: "List check-ins",
+  query: {
+    type: "object",
+    properties: { branch: objectId, category: categorySchema, subscriptionId: objectId, limit: limitSchema }
+  }
+}), async (req, res) => {
+  try {
+    const { category, subscriptionId, limit } = req.query;
+    const filter = {};
+    if (req.query.branch) {
+      const branch = await getBranch(req.query.branch);
+      if (!branch) {
+        return res.status(400).json({ error: "Unknown branch" });
+      }
+      filter.branch = branchCondition(branch);
+    }
+    if (category) filter.category = category;
+    if (subscriptionId) filter.subscriptionId = subscriptionId;
+
+    const checkIns = await CheckIn.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(limit, 200))
+      .lean();
+
+    res.json({ success: true, data: checkIns });
+  } catch (err) {
+    console.error("List check-ins error:", err.message);
+    res.status(500).json({ error: "Failed to fetch check-ins" });
+  }
+});
+
+/**
+ * Check a customer out of their station
+ */
+router.post("/sessions/:id/end", validate({
+  summary: "End a usage session",
+  params: idParams
+}), async (req, res) => {
+  try {
+    const session = await endSession(req.params.id, { staffId: req.user.sub });
+
+    if (!session) {
+      const exists = await UsageSession.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ error: "Session has already ended" })
+        : res.status(404).json({ error: "Session not found" });
+    }
+
+    res.json({ success: true, data: session });
+  } catch (err) {
+    console.error("End session error:", err.message);
+    res.status(500).json({ error: "Failed to end session" });
+  }
+});
+
+/**
+ * List usage sessions
+ * Query: ?open=true&branch=...&category=gaming&station=PS5-3&limit=50
+ */
+router.get("/sessions", validate({
+  summary: "List usage sessions",
+  operationId: "listStaffSessions",
+  query: {
+    type: "object",
+    properties: {
+      open: { type: "boolean", description: "Only sessions still in progress" },
+      branch: objectId,
+      category: categorySchema,
+      station: { type: "string" },
+      limit: limitSchema
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { open, category, station, limit } = req.query;
+    const filter = {};
+    if (open) filter.endedAt = null;
+    if (req.query.branch) {
+      const branch = await getBranch(req.query.branch);
+      if (!branch) {
+        return res.status(400).json({ error: "Unknown branch" });
+      }
+      filter.branch = branchCondition(branch);
+    }
+    if (category) filter.category = category;
+    if (station) filter.station = station;
+
+    const sessions = await UsageSession.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(Math.min(limit, 200))
+      .lean();
+
+    res.json({ success: true, data: sessions });
+  } catch (err) {
+    console.error("List sessions error:", err.message);
+    res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+});
+
+export default router;
@@ -1,24 +1,222 @@
 import express from "express";
+import mongoose from "mongoose";
 import Subscription from "../models/Subscription.js";
 import Plan from "../models/Plans.js"; 
+import Payment from "../models/Payment.js";
+import Branch from "../models/Branch.js";
+import UsageSession from "../models/UsageSession.js";
 import { requireAuth } from "../middleware/auth.js";
-import { initiateStkPush, queryTransactionStatus } from "../lib/mpesa.js";
+import {
+  PAYMENT_METHODS,
+  getCheckoutProvider,
+  getEnabledPaymentMethods,
+  getPaymentProvider,
+  queryPayment
+} from "../lib/paymentProviders.js";
+import {
+  quoteRefund,
+  findRefundBasis,
+  cancelSubscription,
+  processB2CResult,
+  processB2CStatusResult
+} from "../lib/refunds.js";
+import { evaluateCoupon, reserveCoupon, releaseCoupon } from "../lib/coupons.js";
+import { issueAccessPass } from "../lib/accessPasses.js";
+import { freezeSubscription, unfreezeSubscription } from "../lib/freezes.js";
+import { emitSubscriptionEvents } from "../lib/webhooks.js";
+import { renderReceiptPdf, renderStatementPdf, getPaymentPeriod } from "../lib/receipts.js";
+import { validate, idParams, objectId, timestamp } from "../lib/validation.js";
+import { checkStkLimits } from "../lib/stkLimits.js";
+import {
+  resolveCheckoutBranch,
+  findPlanAtBranch,
+  listPlansAtBranch,
+  branchCondition
+} from "../lib/branches.js";
+import { addPlanDuration, computeUpgradeProration, splitBundleAmount } from "../lib/subscriptions.js";
+import { getPlanPrice, withCurrentPrices } from "../lib/pricing.js";
+import {
+  openPaymentAttempt,
+  recordPaymentAttempt,
+  processStkCallback,
+  applyPaymentQueryResult,
+  findCheckoutPayment,
+  hasPendingTopUp
+} from "../lib/payments.js";
+import {
+  isAllowedCallbackIp,
+  verifyCallbackToken,
+  confirmSuccessfulCallback,
+  recordRejectedCallback
+} from "../lib/callbackVerification.js";
 
 const router = express.Router();
 
+// How long a "first_check_in" pass may sit unused before it expires
+const FIRST_CHECK_IN_WINDOW_DAYS = parseInt(process.env.FIRST_CHECK_IN_WINDOW_DAYS) || 30;
+
+// Request schemas shared by several routes (see lib/validation.js)
+const planCategorySchema = { type: "string", enum: Plan.schema.path("category").enumValues };
+const planNameSchema = { type: "string", minLength: 1 };
+const phoneSchema = {
+  type: "string",
+  minLength: 9,
+  description: "Number to prompt for M-Pesa or Airtel Money, e.g. 0712345678 or 254712345678"
+};
+const paymentMethodSchema = {
+  type: "string",
+  enum: PAYMENT_METHODS,
+  description: "Defaults to the first method in PAYMENT_PROVIDERS"
+};
+const emailSchema = {
+  type: "string",
+  pattern: "^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$",
+  "x-error-message": "must be an email address",
+  description: "Receipt address for card payments; defaults to the account email"
+};
+const stkLimitedResponse = "Too many payment requests; retry after the Retry-After header";
+const pdfResponse = {
+  description: "PDF document",
+  content: { "application/pdf": { schema: { type: "string", format: "binary" } } }
+};
+
+// Map payment initiation errors to a client-facing status and message
+function sendPaymentError(res, err) {
+  let statusCode = 500;
+  let errorMessage = err.message;
+  
+  if (err.message.includes("Invalid phone number") || err.message.includes("email address is required")) {
+    statusCode = 400;
+  } else if (err.message.includes("credentials not configured")) {
+    statusCode = 503;
+    errorMessage = "Payment service temporarily unavailable";
+  }
+  
+  res.status(statusCode).json({ error: errorMessage });
+}
+
+// Pick the provider for a checkout and check it has what it needs.
+// Top-ups pass the subscription's own method as a fallback, used while it
+// is still offered. Returns { provider } or { status, error }.
+function resolvePaymentMethod(method, phone, fallback) {
+  const offered = fallback && getEnabledPaymentMethods().includes(fallback);
+  const checkout = getCheckoutProvider(method || (offered ? fallback : undefined));
+  if (checkout.provider?.needsPhone && !phone) {
+    return { status: 400, error: `phone is required for ${checkout.provider.label} payments` };
+  }
+  return checkout;
+}
+
+// What a client needs to finish a payment it just started
+function paymentDetails(provider, payment, checkout) {
+  return {
+    method: provider.name,
+    reference: payment.checkoutRequestId,
+    ...(checkout.checkoutUrl ? { checkoutUrl: checkout.checkoutUrl } : {})
+  };
+}
+
+// 429 for an STK push refused by checkStkLimits
+function sendStkLimited(res, limit) {
+  res.set("Retry-After", String(limit.retryAfter));
+  res.status(limit.status).json({ error: limit.error, retryAfter: limit.retryAfter });
+}
+
+// One renewal/upgrade prompt at a time per subscription. Older pending
+// attempts are left to the reconciliation job.
+const TOP_UP_PROMPT_MS = 5 * 60 * 1000;
+
+// Charge against an existing subscription (renewal, upgrade), recorded in
+// the ledger whether or not the provider accepts it. planAmount is what
+// the subscription is worth afterwards (the plan's current price).
+async function chargeTopUp({
+  subscription,
+  provider,
+  phone,
+  email,
+  amount,
+  purpose,
+  plan,
+  planAmount = plan.amount,
+  proration,
+  transactionDesc
+}) {
+  const extension = {
+    plan: plan.plan,
+    amount: planAmount,
+    durationHours: plan.durationHours,
+    durationDays: plan.durationDays
+  };
+
+  const attempt = await openPaymentAttempt({
+    subscription,
+    provider: provider.name,
+    phone,
+    amount,
+    purpose,
+    extension,
+    proration
+  });
+
+  let checkout;
+  try {
+    checkout = await provider.initiate({
+      phone,
+      email,
+      amount,
+      accountRef: subscription._id.toString(),
+      description: transactionDesc,
+      branchId: subscription.branch,
+      callbackToken: attempt.callbackToken
+    });
+  } catch (initError) {
+    await recordPaymentAttempt(attempt.payment, { error: initError });
+    throw initError;
+  }
+
+  const payment = await recordPaymentAttempt(attempt.payment, { checkout });
+
+  return { payment, checkout };
+}
+
 // Request logging middleware
 router.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] [Subscription] ${req.method} ${req.path}`);
   next();
 });
 
+/**
+ * List open branches (public)
+ */
+router.get("/branches", validate({ summary: "List branches" }), async (req, res) => {
+  try {
+    const branches = await Branch.find({ active: true })
+      .sort({ isDefault: -1, name: 1 })
+      .select("code name address phone isDefault")
+      .lean();
+
+    res.json({ success: true, data: branches });
+  } catch (err) {
+    console.error("Error fetching branches:", err.message);
+    res.status(500).json({ error: "Failed to fetch branches" });
+  }
+});
+
 /**
  * Get all available plans (public)
+ * Query: ?branch= - only plans offered at that branch
+ * Each plan carries its base amount, effectiveAmount (the price right now),
+ * pricingRule and nextPriceChange
  */
-router.get("/plans", async (req, res) => {
+router.get("/plans", validate({
+  summary: "List available plans",
+  query: { type: "object", properties: { branch: objectId } }
+}), async (req, res) => {
   try {
     console.log("Fetching all plans...");
-    const plans = await Plan.find().lean();
+    const plans = req.query.branch
+      ? await listPlansAtBranch({}, req.query.branch)
+      : await Plan.findAvailable().lean();
     
     if (!plans || plans.length === 0) {
       console.warn("No plans found in database");
@@ -26,7 +224,8 @@ router.get("/plans", async (req, res) => {
     }
     
     console.log(`Found ${plans.length} plans`);
-    res.json(plans); // Return array directly for frontend compatibility
+    // Return array directly for frontend compatibility
+    res.json(await withCurrentPrices(plans, { branchId: req.query.branch }));
   } catch (err) {
     console.error("Error fetching plans:", err.message);
     res.status(500).json({ error: "Failed to fetch plans" });
@@ -34,14 +233,21 @@ router.get("/plans", async (req, res) => {
 });
 
 /**
- * Get plans by category
+ * Get plans by category, priced as in GET /plans
+ * Query: ?branch= - only plans offered at that branch
  */
-router.get("/plans/:category", async (req, res) => {
+router.get("/plans/:category", validate({
+  summary: "List plans in a category",
+  params: { type: "object", properties: { category: planCategorySchema }, required: ["category"] },
+  query: { type: "object", properties: { branch: objectId } }
+}), async (req, res) => {
   try {
     const { category } = req.params;
     console.log(`Fetching ${category} plans...`);
     
-    const plans = await Plan.find({ category }).lean();
+    const plans = req.query.branch
+      ? await listPlansAtBranch({ category }, req.query.branch)
+      : await Plan.findAvailable({ category }).lean();
     
     if (!plans || plans.length === 0) {
       console.warn(`No ${category} plans found`);
@@ -49,7 +255,7 @@ router.get("/plans/:category", async (req, res) => {
     }
     
     console.log(`Found ${plans.length} ${category} plans`);
-    res.json(plans); // Return array directly
+    res.json(await withCurrentPrices(plans, { branchId: req.query.branch })); // Return array directly
   } catch (err) {
     console.error(`Error fetching ${category} plans:`, err.message);
     res.status(500).json({ error: "Failed to fetch plans" });
@@ -57,102 +263,336 @@ router.get("/plans/:category", async (req, res) => {
 });
 
 /**
- * Subscribe + Pay with M-Pesa
+ * Preview a coupon against a plan before subscribing
+ * Query: ?category=&plan=&code=&branch=
  */
-router.post("/subscribe", requireAuth, async (req, res) => {
+router.get("/coupons/preview", requireAuth, validate({
+  summary: "Preview a coupon",
+  query: {
+    type: "object",
+    properties: {
+      category: planCategorySchema,
+      plan: planNameSchema,
+      code: { type: "string", minLength: 1 },
+      branch: objectId
+    },
+    required: ["category", "plan", "code"]
+  }
+}), async (req, res) => {
   try {
-    const { category, plan: planName, phone } = req.body;
+    const { category, plan: planName, code, branch } = req.query;
 
-    // Validate input
-    if (!category || !planName || !phone) {
-      console.warn("Missing required fields:", { category, planName, phone });
-      return res.status(400).json({ 
-        error: "Missing required fields: category, plan, or phone" 
-      });
+    const chosenPlan = await findPlanAtBranch({ category, plan: planName }, branch);
+    if (!chosenPlan) {
+      return res.status(400).json({ error: "Invalid category or plan" });
+    }
+
+    // Discounts the price the plan would be charged at right now
+    const price = await getPlanPrice(chosenPlan, { branchId: branch || chosenPlan.branch });
+    const pricing = await evaluateCoupon({
+      code,
+      userId: req.user.sub,
+      plan: chosenPlan,
+      amount: price.amount
+    });
+    if (!pricing.ok) {
+      return res.status(400).json({ error: pricing.error, valid: false });
     }
 
+    res.json({
+      success: true,
+      data: {
+        valid: true,
+        code: pricing.coupon.code,
+        description: pricing.coupon.description,
+        originalAmount: pricing.originalAmount,
+        pricingRule: price.rule,
+        discount: pricing.discount,
+        finalAmount: pricing.finalAmount
+      }
+    });
+  } catch (err) {
+    console.error("Coupon preview error:", err.message);
+    res.status(500).json({ error: "Failed to preview coupon" });
+  }
+});
+
+/**
+ * Subscribe + Pay with M-Pesa, Airtel Money or card
+ * Body: { category, plan, phone?, paymentMethod?, email?, couponCode?, branch? }
+ * - phone is needed for mobile money; card payments return a checkoutUrl
+ * - branch defaults to the plan's own branch, then the default branch
+ */
+router.post("/subscribe", requireAuth, validate({
+  summary: "Subscribe and pay",
+  body: {
+    type: "object",
+    properties: {
+      category: planCategorySchema,
+      plan: planNameSchema,
+      phone: phoneSchema,
+      paymentMethod: paymentMethodSchema,
+      email: emailSchema,
+      couponCode: { type: "string" },
+      branch: objectId
+    },
+    required: ["category", "plan"]
+  },
+  responses: {
+    201: "Subscription created and payment started",
+    429: stkLimitedResponse
+  }
+}), async (req, res) => {
+  try {
+    const { category, plan: planName, phone, paymentMethod, couponCode, branch: branchId } = req.body;
+
     console.log("Subscription request received:", { 
       userId: req.user.sub, 
       category, 
       planName, 
-      phone 
+      phone,
+      paymentMethod,
+      branchId
     });
 
+    const checkoutProvider = resolvePaymentMethod(paymentMethod, phone);
+    if (checkoutProvider.error) {
+      return res.status(checkoutProvider.status).json({ error: checkoutProvider.error });
+    }
+    const { provider } = checkoutProvider;
+
     // Fetch plan from DB
-    const chosenPlan = await Plan.findOne({ category, plan: planName }).lean();
+    const chosenPlan = await findPlanAtBranch({ category, plan: planName }, branchId);
     if (!chosenPlan) {
-      console.warn("Invalid plan requested:", { category, planName });
+      console.warn("Invalid plan requested:", { category, planName, branchId });
       return res.status(400).json({ error: "Invalid category or plan" });
     }
 
-    // Check if user already has an active subscription for this category
+    const checkoutBranch = await resolveCheckoutBranch(branchId, chosenPlan);
+    if (checkoutBranch.error) {
+      return res.status(checkoutBranch.status).json({ error: checkoutBranch.error });
+    }
+    const { branch } = checkoutBranch;
+
+    // A bundle grants several categories, a normal plan just its own
+    const isBundle = chosenPlan.category === "bundle";
+    const entitlements = isBundle
+      ? chosenPlan.components
+      : [{
+          category,
+          durationHours: chosenPlan.durationHours,
+          durationDays: chosenPlan.durationDays
+        }];
+
+    // Check if user already has an active (or frozen) subscription for any
+    // of them at this branch
     const existingActiveSub = await Subscription.findOne({
       userId: req.user.sub,
-      category,
-      status: "active",
+      category: { $in: entitlements.map(e => e.category) },
+      ...(branch ? { branch: branchCondition(branch) } : {}),
+      status: { $in: ["active", "frozen"] },
       endDate: { $gt: new Date() }
     });
 
     if (existingActiveSub) {
       console.warn("User already has active subscription:", { 
         userId: req.user.sub, 
-        category,
+        category: existingActiveSub.category,
         existingSub: existingActiveSub._id 
       });
       return res.status(400).json({ 
-        error: `You already have an active ${category} subscription` 
+        error: `You already have an ${existingActiveSub.status} ${existingActiveSub.category} subscription` 
       });
     }
 
-    // Compute endDate
-    let endDate = new Date();
-    if (chosenPlan.durationHours) {
-      endDate.setHours(endDate.getHours() + chosenPlan.durationHours);
-    } else if (chosenPlan.durationDays) {
-      endDate.setDate(endDate.getDate() + chosenPlan.durationDays);
-    } else {
-      // Default to 30 days if no duration specified
-      endDate.setDate(endDate.getDate() + 30);
+    // Price the plan for this moment (peak / off-peak rules), then apply
+    // the coupon, if any, to that price
+    const pricedAt = new Date();
+    const price = await getPlanPrice(chosenPlan, { at: pricedAt, branchId: branch?._id });
+    let pricing = { finalAmount: price.amount };
+    if (couponCode) {
+      pricing = await evaluateCoupon({
+        code: couponCode,
+        userId: req.user.sub,
+        plan: chosenPlan,
+        amount: price.amount,
+        now: pricedAt
+      });
+      if (!pricing.ok) {
+        return res.status(400).json({ error: pricing.error });
+      }
     }
+    const amount = pricing.finalAmount;
 
-    // Create subscription
-    const subscription = new Subscription({
+    const limit = await checkStkLimits({
       userId: req.user.sub,
-      category,
+      phone,
+      ip: req.ip,
+      pendingSubscriptions: true
+    });
+    if (!limit.ok) {
+      return sendStkLimited(res, limit);
+    }
+
+    // Create one subscription per entitlement. For bundles they are linked
+    // and the first (primary) one carries the payment.
+    const now = new Date();
+    const bundleGroupId = isBundle ? new mongoose.Types.ObjectId() : null;
+    const shares = splitBundleAmount(amount, entitlements.length);
+    const coupon = pricing.coupon
+      ? {
+          couponId: pricing.coupon._id,
+          code: pricing.coupon.code,
+          discount: pricing.discount,
+          originalAmount: pricing.originalAmount
+        }
+      : null;
+
+    // Plans that start on first check-in get a use-by deadline instead
+    const startsOnCheckIn = chosenPlan.startsOn === "first_check_in";
+    const useBy = new Date(now.getTime() + FIRST_CHECK_IN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const subscriptions = entitlements.map((entitlement, index) => new Subscription({
+      userId: req.user.sub,
+      category: entitlement.category,
+      branch: branch?._id ?? null,
       plan: chosenPlan.plan,
-      amount: chosenPlan.amount,
-      endDate,
+      amount: shares[index],
+      email: typeof req.user.email === "string" ? req.user.email : undefined,
+      paymentMethod: provider.name,
+      endDate: startsOnCheckIn ? useBy : addPlanDuration(now, entitlement),
       status: "pending",
-    });
+      ...(startsOnCheckIn ? {
+        startsOn: "first_check_in",
+        duration: {
+          durationHours: entitlement.durationHours,
+          durationDays: entitlement.durationDays
+        }
+      } : {}),
+      pricing: {
+        baseAmount: price.baseAmount,
+        effectiveAmount: price.amount,
+        rule: price.rule,
+        pricedAt
+      },
+      ...(coupon && index === 0 ? { coupon } : {}),
+      ...(bundleGroupId ? {
+        bundle: {
+          groupId: bundleGroupId,
+          plan: chosenPlan.plan,
+          totalAmount: amount,
+          primary: index === 0
+        }
+      } : {})
+    }));
+    const [subscription] = subscriptions;
 
-    await subscription.save();
-    console.log("Pending subscription saved:", subscription._id);
+    if (pricing.coupon) {
+      const reserved = await reserveCoupon(pricing.coupon, {
+        userId: req.user.sub,
+        subscriptionId: subscription._id,
+        discount: pricing.discount
+      });
+      if (!reserved) {
+        return res.status(400).json({ error: "This coupon has been fully redeemed" });
+      }
+    }
 
-    // Trigger STK Push
-    const mpesaResp = await initiateStkPush({
-      phone: phone,
-      amount: chosenPlan.amount,
-      accountRef: subscription._id.toString(),
-      transactionDesc: `${category} subscription - ${chosenPlan.plan}`
-    });
+    // Until the provider has the checkout, a failure leaves nobody to
+    // settle it, so the reserved coupon use has to be handed back here
+    let attempt;
+    let checkout;
+    try {
+      for (const sub of subscriptions) {
+        sub.$locals.audit = { actor: `user:${req.user.sub}`, reason: `Checkout for ${chosenPlan.plan}` };
+        await sub.save();
+      }
+      console.log("Pending subscription saved:", subscriptions.map(sub => sub._id));
+      await emitSubscriptionEvents("subscription.created", subscriptions);
 
-    // Update subscription with M-Pesa reference
-    subscription.mpesaCheckoutId = mpesaResp.checkoutRequestId;
-    await subscription.save();
+      // Start the payment. The ledger entry comes first so a fast callback
+      // finds it (and its token) before initiate() has returned.
+      attempt = await openPaymentAttempt({
+        subscription,
+        provider: provider.name,
+        phone,
+        amount
+      });
+
+      try {
+        checkout = await provider.initiate({
+          phone,
+          email: req.body.email || subscription.email,
+          amount,
+          accountRef: subscription._id.toString(),
+          description: `${category} subscription - ${chosenPlan.plan}`,
+          branchId: subscription.branch,
+          callbackToken: attempt.callbackToken
+        });
+      } catch (initError) {
+        await recordPaymentAttempt(attempt.payment, { error: initError });
+        throw initError;
+      }
+    } catch (checkoutError) {
+      if (pricing.coupon) await releaseCoupon(subscription._id);
+      throw checkoutError;
+    }
+
+    const payment = await recordPaymentAttempt(attempt.payment, { checkout });
+
+    // Other providers' payments are found through the ledger
+    if (provider.name === "mpesa") {
+      subscription.mpesaCheckoutId = checkout.reference;
+      await subscription.save();
+      if (bundleGroupId) {
+        // Lets a status poll on any linked subscription find the payment
+        await Subscription.updateMany(
+          { "bundle.groupId": bundleGroupId, _id: { $ne: subscription._id } },
+          { $set: { mpesaCheckoutId: checkout.reference } }
+        );
+      }
+    }
 
     res.status(201).json({
       success: true,
-      message: "STK Push initiated. Enter M-Pesa PIN to complete.",
+      message: checkout.message,
       data: {
         subscription: {
           id: subscription._id,
           category: subscription.category,
           plan: subscription.plan,
+          branch: subscription.branch,
           amount: subscription.amount,
+          pricing: {
+            baseAmount: price.baseAmount,
+            effectiveAmount: price.amount,
+            rule: price.rule
+          },
+          ...(pricing.coupon ? {
+            coupon: {
+              code: pricing.coupon.code,
+              discount: pricing.discount,
+              originalAmount: pricing.originalAmount
+            }
+          } : {}),
           endDate: subscription.endDate,
+          startsOn: subscription.startsOn,
           status: subscription.status
         },
-        mpesa: mpesaResp.data,
+        ...(bundleGroupId ? {
+          bundle: {
+            groupId: bundleGroupId,
+            plan: chosenPlan.plan,
+            totalAmount: amount,
+            subscriptions: subscriptions.map(sub => ({
+              id: sub._id,
+              category: sub.category,
+              endDate: sub.endDate
+            }))
+          }
+        } : {}),
+        payment: paymentDetails(provider, payment, checkout),
+        ...(provider.name === "mpesa" ? { mpesa: checkout.response } : {})
       }
     });
   } catch (err) {
@@ -162,213 +602,1364 @@ router.post("/subscribe", requireAuth, async (req, res) => {
       body: req.body
     });
     
-    // Provide more specific error messages
-    let statusCode = 500;
-    let errorMessage = err.message;
-    
-    if (err.message.includes("Invalid phone number")) {
-      statusCode = 400;
-    } else if (err.message.includes("M-Pesa credentials")) {
-      statusCode = 503;
-      errorMessage = "Payment service temporarily unavailable";
-    }
-    
-    res.status(statusCode).json({ error: errorMessage });
+    sendPaymentError(res, err);
   }
 });
 
 /**
- * M-Pesa callback (Safaricom will POST here)
+ * Renew / extend an active subscription
+ * Charges the plan's current price (peak pricing applies); once paid, the
+ * plan's duration is added to the current endDate rather than to now.
+ * Body: { phone?, plan?, paymentMethod?, email? } - plan defaults to the
+ * current one, same category; paymentMethod to the one the subscription
+ * was bought with
  */
-router.post("/mpesa/callback", async (req, res) => {
+router.post("/:id/renew", requireAuth, validate({
+  summary: "Renew a subscription",
+  description: "phone is required for mobile money payments",
+  params: idParams,
+  body: {
+    type: "object",
+    properties: {
+      phone: phoneSchema,
+      plan: planNameSchema,
+      paymentMethod: paymentMethodSchema,
+      email: emailSchema
+    }
+  },
+  responses: { 429: stkLimitedResponse }
+}), async (req, res) => {
   try {
-    console.log("M-Pesa callback received:", JSON.stringify(req.body, null, 2));
+    const { id } = req.params;
+    const { phone, plan: planName, paymentMethod } = req.body;
 
-    if (!req.body.Body || !req.body.Body.stkCallback) {
-      console.error("Invalid callback format:", req.body);
-      return res.status(400).json({ ResultCode: 1, ResultDesc: "Invalid callback format" });
+    const subscription = await Subscription.findOne({
+      _id: id,
+      userId: req.user.sub
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
     }
 
-    const { Body } = req.body;
-    const { 
-      MerchantRequestID, 
-      CheckoutRequestID, 
-      ResultCode, 
-      CallbackMetadata, 
-      ResultDesc 
-    } = Body.stkCallback;
+    await Subscription.expireDue(subscription);
 
-    console.log("Processing callback:", {
-      MerchantRequestID,
-      CheckoutRequestID,
-      ResultCode,
-      ResultDesc
-    });
+    if (!subscription.isActive()) {
+      return res.status(400).json({
+        error: "Only active subscriptions can be renewed. Start a new subscription instead."
+      });
+    }
 
-    let subscriptionUpdate;
-    
-    if (parseInt(ResultCode) === 0) {
-      // Success case
-      const metadata = CallbackMetadata?.Item || [];
-      const receiptItem = metadata.find(i => i.Name === "MpesaReceiptNumber");
-      const amountItem = metadata.find(i => i.Name === "Amount");
-      const accountRefItem = metadata.find(i => i.Name === "AccountReference");
-      const phoneItem = metadata.find(i => i.Name === "PhoneNumber");
-      const dateItem = metadata.find(i => i.Name === "TransactionDate");
-
-      if (!receiptItem || !amountItem || !accountRefItem) {
-        console.error("Missing required metadata in callback:", metadata);
-        return res.status(400).json({ ResultCode: 1, ResultDesc: "Missing metadata" });
-      }
+    if (subscription.bundle?.groupId) {
+      return res.status(400).json({
+        error: "Bundle subscriptions cannot be renewed individually. Buy the bundle again once it ends."
+      });
+    }
 
-      const receipt = receiptItem.Value;
-      const amount = amountItem.Value;
-      const accountRef = accountRefItem.Value;
-      const phone = phoneItem ? phoneItem.Value : null;
-      const transactionDate = dateItem ? dateItem.Value : null;
-
-      // Update subscription to active
-      subscriptionUpdate = {
-        status: "active",
-        receiptNumber: receipt,
-        paidAmount: amount,
-        phoneNumber: phone,
-        mpesaTransactionDate: transactionDate,
-        startDate: new Date(),
-        updatedAt: new Date()
-      };
+    if (subscription.awaitingFirstCheckIn()) {
+      return res.status(400).json({
+        error: "This pass hasn't been used yet. Renew it after your first check-in."
+      });
+    }
 
-      console.log("Payment successful, updating subscription:", accountRef);
+    // A scheduled downgrade becomes the default plan for the next renewal
+    const chosenPlan = await findPlanAtBranch({
+      category: subscription.category,
+      plan: planName || subscription.scheduledPlanChange?.plan || subscription.plan
+    }, subscription.branch);
 
-    } else {
-      // Failure case
-      subscriptionUpdate = {
-        status: "failed",
-        failedReason: ResultDesc,
-        updatedAt: new Date()
-      };
-      
-      console.log("Payment failed:", ResultDesc);
+    if (!chosenPlan) {
+      return res.status(400).json({ error: "Invalid or unavailable plan for renewal" });
     }
 
-    // Find and update subscription by CheckoutRequestID or AccountReference
-    let subscription;
-    if (CheckoutRequestID) {
-      subscription = await Subscription.findOneAndUpdate(
-        { mpesaCheckoutId: CheckoutRequestID },
-        subscriptionUpdate,
-        { new: true }
-      );
+    const checkoutProvider = resolvePaymentMethod(paymentMethod, phone, subscription.paymentMethod);
+    if (checkoutProvider.error) {
+      return res.status(checkoutProvider.status).json({ error: checkoutProvider.error });
     }
+    const { provider } = checkoutProvider;
 
-    // Fallback: Try to find by ID if not found by CheckoutRequestID
-    if (!subscription && Body.stkCallback.CheckoutRequestID) {
-      const accountRef = Body.stkCallback.CheckoutRequestID;
-      subscription = await Subscription.findByIdAndUpdate(
-        accountRef,
-        subscriptionUpdate,
-        { new: true }
-      );
+    if (await hasPendingTopUp(subscription._id, { withinMs: TOP_UP_PROMPT_MS })) {
+      return res.status(409).json({
+        error: "A payment is already in progress for this subscription"
+      });
     }
 
-    if (!subscription) {
-      console.error("Subscription not found for callback:", {
-        CheckoutRequestID,
-        MerchantRequestID
-      });
-      // Still respond successfully to M-Pesa to prevent retries
-    } else {
-      console.log("Subscription updated successfully:", subscription._id);
+    const limit = await checkStkLimits({ userId: req.user.sub, phone, ip: req.ip });
+    if (!limit.ok) {
+      return sendStkLimited(res, limit);
     }
 
-    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+    // Renewals are priced when they are bought, like new subscriptions
+    const price = await getPlanPrice(chosenPlan, { branchId: subscription.branch });
+
+    console.log("Renewal request received:", {
+      userId: req.user.sub,
+      subscriptionId: subscription._id,
+      plan: chosenPlan.plan,
+      amount: price.amount,
+      pricingRule: price.rule
+    });
+
+    const { payment, checkout } = await chargeTopUp({
+      subscription,
+      provider,
+      phone,
+      email: req.body.email || subscription.email,
+      amount: price.amount,
+      purpose: "renewal",
+      plan: chosenPlan,
+      planAmount: price.amount,
+      transactionDesc: `${subscription.category} renewal - ${chosenPlan.plan}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: checkout.message,
+      data: {
+        renewal: {
+          paymentId: payment._id,
+          subscriptionId: subscription._id,
+          plan: chosenPlan.plan,
+          amount: price.amount,
+          pricingRule: price.rule,
+          currentEndDate: subscription.endDate,
+          newEndDate: addPlanDuration(subscription.endDate, chosenPlan),
+          status: payment.status
+        },
+        payment: paymentDetails(provider, payment, checkout),
+        ...(provider.name === "mpesa" ? { mpesa: checkout.response } : {})
+      }
+    });
   } catch (err) {
-    console.error("Callback processing error:", err.message);
-    // Still respond successfully to prevent M-Pesa retries
-    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+    console.error("Renewal error:", {
+      error: err.message,
+      userId: req.user?.sub,
+      subscriptionId: req.params.id
+    });
+    sendPaymentError(res, err);
   }
 });
 
+// Shared lookup for the plan-change routes. Upgrades are moves to a dearer
+// plan in the same category; anything else is a downgrade.
+async function resolvePlanChange(userId, subscriptionId, planName) {
+  const subscription = await Subscription.findOne({ _id: subscriptionId, userId });
+  if (!subscription) {
+    return { status: 404, error: "Subscription not found" };
+  }
+
+  await Subscription.expireDue(subscription);
+  if (!subscription.isActive()) {
+    return { status: 400, error: "Only active subscriptions can change plan" };
+  }
+
+  if (subscription.bundle?.groupId) {
+    return { status: 400, error: "Bundle subscriptions cannot change plan" };
+  }
+
+  if (subscription.awaitingFirstCheckIn()) {
+    return { status: 400, error: "This pass hasn't been used yet, so its plan can't change" };
+  }
+
+  if (planName === subscription.plan) {
+    return { status: 400, error: `You are already on ${planName}` };
+  }
+
+  const targetPlan = await findPlanAtBranch({
+    category: subscription.category,
+    plan: planName
+  }, subscription.branch);
+
+  if (!targetPlan) {
+    return { status: 400, error: "Invalid or unavailable plan" };
+  }
+
+  // List price against list price: what the subscription was charged may
+  // carry a coupon or a peak rate
+  const currentPlan = await findPlanAtBranch({
+    category: subscription.category,
+    plan: subscription.plan
+  }, subscription.branch, { includeArchived: true });
+  const currentPrice = currentPlan?.amount ?? subscription.pricing?.baseAmount ?? subscription.amount;
+
+  const direction = targetPlan.amount > currentPrice ? "upgrade" : "downgrade";
+  return { subscription, targetPlan, direction };
+}
+
 /**
- * Check payment status
+ * Preview a plan change
+ * Upgrades return the prorated charge; downgrades when they would apply.
  */
-router.get("/:id/status", requireAuth, async (req, res) => {
+router.get("/:id/plan-change/quote", requireAuth, validate({
+  summary: "Quote a plan change",
+  params: idParams,
+  query: { type: "object", properties: { plan: planNameSchema }, required: ["plan"] }
+}), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const subscription = await Subscription.findOne({ 
-      _id: id, 
-      userId: req.user.sub 
-    });
-    
-    if (!subscription) {
-      return res.status(404).json({ error: "Subscription not found" });
+    const { subscription, targetPlan, direction, status, error } =
+      await resolvePlanChange(req.user.sub, req.params.id, req.query.plan);
+
+    if (error) {
+      return res.status(status).json({ error });
     }
-    
-    // If pending and has M-Pesa checkout ID, query status
-    if (subscription.status === "pending" && subscription.mpesaCheckoutId) {
-      try {
-        const status = await queryTransactionStatus(subscription.mpesaCheckoutId);
-        console.log("M-Pesa query result:", status);
-        
-        // Update subscription based on query result
-        if (status.ResultCode === "0") {
-          subscription.status = "active";
-          await subscription.save();
+
+    // Priced like a purchase at the subscription's branch, peak rates included
+    const price = await getPlanPrice(targetPlan, { branchId: subscription.branch });
+
+    if (direction === "downgrade") {
+      return res.json({
+        success: true,
+        data: {
+          direction,
+          fromPlan: subscription.plan,
+          toPlan: targetPlan.plan,
+          charge: 0,
+          effectiveAt: subscription.endDate,
+          renewalPrice: price.amount,
+          pricingRule: price.rule
         }
-      } catch (queryError) {
-        console.error("Error querying transaction status:", queryError.message);
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        direction,
+        ...computeUpgradeProration(subscription, targetPlan, { price: price.amount }),
+        pricingRule: price.rule,
+        newEndDate: addPlanDuration(new Date(), targetPlan)
       }
+    });
+  } catch (err) {
+    console.error("Plan change quote error:", err.message);
+    res.status(500).json({ error: "Failed to quote plan change" });
+  }
+});
+
+/**
+ * Change plan
+ * Upgrade: charges the prorated difference, plan switches once paid.
+ * Downgrade: scheduled for the next renewal, nothing is charged now.
+ * Body: { plan, phone?, paymentMethod?, email? }
+ */
+router.post("/:id/plan-change", requireAuth, validate({
+  summary: "Change plan",
+  description: "Upgrades are charged now; phone is required when paying by mobile money",
+  params: idParams,
+  body: {
+    type: "object",
+    properties: {
+      plan: planNameSchema,
+      phone: phoneSchema,
+      paymentMethod: paymentMethodSchema,
+      email: emailSchema
+    },
+    required: ["plan"]
+  },
+  responses: { 429: stkLimitedResponse }
+}), async (req, res) => {
+  try {
+    const { plan: planName, phone, paymentMethod } = req.body;
+    const { subscription, targetPlan, direction, status, error } =
+      await resolvePlanChange(req.user.sub, req.params.id, planName);
+
+    if (error) {
+      return res.status(status).json({ error });
     }
-    
-    res.json({ 
-      success: true, 
+
+    if (direction === "downgrade") {
+      subscription.scheduledPlanChange = {
+        plan: targetPlan.plan,
+        requestedAt: new Date()
+      };
+      await subscription.save();
+
+      console.log("Downgrade scheduled:", {
+        subscriptionId: subscription._id,
+        fromPlan: subscription.plan,
+        toPlan: targetPlan.plan
+      });
+
+      return res.json({
+        success: true,
+        message: `${targetPlan.plan} will apply from your next renewal.`,
+        data: {
+          direction,
+          fromPlan: subscription.plan,
+          toPlan: targetPlan.plan,
+          effectiveAt: subscription.endDate
+        }
+      });
+    }
+
+    const checkoutProvider = resolvePaymentMethod(paymentMethod, phone, subscription.paymentMethod);
+    if (checkoutProvider.error) {
+      return res.status(checkoutProvider.status).json({ error: checkoutProvider.error });
+    }
+    const { provider } = checkoutProvider;
+
+    if (await hasPendingTopUp(subscription._id, { withinMs: TOP_UP_PROMPT_MS })) {
+      return res.status(409).json({
+        error: "A payment is already in progress for this subscription"
+      });
+    }
+
+    const limit = await checkStkLimits({ userId: req.user.sub, phone, ip: req.ip });
+    if (!limit.ok) {
+      return sendStkLimited(res, limit);
+    }
+
+    // The new plan is priced now, like a purchase; the subscription is
+    // worth that price once the upgrade is paid
+    const price = await getPlanPrice(targetPlan, { branchId: subscription.branch });
+    const proration = computeUpgradeProration(subscription, targetPlan, { price: price.amount });
+
+    console.log("Upgrade request received:", {
+      userId: req.user.sub,
+      subscriptionId: subscription._id,
+      ...proration,
+      pricingRule: price.rule
+    });
+
+    const { payment, checkout } = await chargeTopUp({
+      subscription,
+      provider,
+      phone,
+      email: req.body.email || subscription.email,
+      amount: proration.charge,
+      purpose: "upgrade",
+      plan: targetPlan,
+      planAmount: price.amount,
+      proration,
+      transactionDesc: `${subscription.category} upgrade - ${targetPlan.plan}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: checkout.message,
       data: {
-        status: subscription.status,
-        receiptNumber: subscription.receiptNumber,
-        updatedAt: subscription.updatedAt
+        upgrade: {
+          paymentId: payment._id,
+          subscriptionId: subscription._id,
+          ...proration,
+          status: payment.status
+        },
+        payment: paymentDetails(provider, payment, checkout),
+        ...(provider.name === "mpesa" ? { mpesa: checkout.response } : {})
       }
     });
   } catch (err) {
-    console.error("Status check error:", err.message);
-    res.status(500).json({ error: "Failed to check status" });
+    console.error("Plan change error:", {
+      error: err.message,
+      userId: req.user?.sub,
+      subscriptionId: req.params.id
+    });
+    sendPaymentError(res, err);
   }
 });
 
 /**
- * Get user's subscriptions
+ * Cancel a scheduled downgrade
  */
-router.get("/", requireAuth, async (req, res) => {
+router.delete("/:id/plan-change", requireAuth, validate({
+  summary: "Cancel a scheduled downgrade",
+  params: idParams
+}), async (req, res) => {
   try {
-    const { category, status } = req.query;
-    let query = { userId: req.user.sub };
-    
-    if (category) query.category = category;
-    if (status) query.status = status;
-    
-    const subs = await Subscription.find(query).sort({ createdAt: -1 });
-    
-    res.json(subs); // Return array directly
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.sub },
+      { $unset: { scheduledPlanChange: "" }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    res.json({ success: true, data: { plan: subscription.plan } });
   } catch (err) {
-    console.error("Fetch subscriptions error:", err.message);
-    res.status(500).json({ error: "Failed to fetch subscriptions" });
+    console.error("Cancel plan change error:", err.message);
+    res.status(500).json({ error: "Failed to cancel plan change" });
   }
 });
 
 /**
- * Get subscription by ID
+ * Preview what cancelling now would refund
  */
-router.get("/:id", requireAuth, async (req, res) => {
+router.get("/:id/refund-quote", requireAuth, validate({
+  summary: "Quote a cancellation refund",
+  params: idParams
+}), async (req, res) => {
   try {
-    const { id } = req.params;
-    const subscription = await Subscription.findOne({ 
-      _id: id, 
-      userId: req.user.sub 
+    const subscription = await Subscription.findOne({
+      _id: req.params.id,
+      userId: req.user.sub
     });
-    
+
     if (!subscription) {
       return res.status(404).json({ error: "Subscription not found" });
     }
+
+    // A frozen subscription's time stopped when it froze, so it still counts
+    await Subscription.expireDue(subscription);
+    if (!subscription.isActive() && subscription.status !== "frozen") {
+      return res.json({
+        success: true,
+        data: { eligible: false, amount: 0, reason: "Subscription is not active" }
+      });
+    }
+
+    const { subscriptions, payments } = await findRefundBasis(subscription);
+
+    res.json({ success: true, data: quoteRefund(subscriptions, payments) });
+  } catch (err) {
+    console.error("Refund quote error:", err.message);
+    res.status(500).json({ error: "Failed to quote refund" });
+  }
+});
+
+/**
+ * Cancel an active or frozen subscription
+ * Body: { reason?, requestRefund? } - a refund request goes to an admin
+ */
+router.post("/:id/cancel", requireAuth, validate({
+  summary: "Cancel a subscription",
+  params: idParams,
+  body: {
+    type: "object",
+    properties: {
+      reason: { type: "string", maxLength: 500 },
+      requestRefund: { type: "boolean", default: false }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { reason, requestRefund } = req.body;
+
+    const subscription = await Subscription.findOne({
+      _id: req.params.id,
+      userId: req.user.sub
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    await Subscription.expireDue(subscription);
+    if (!subscription.isActive() && subscription.status !== "frozen") {
+      return res.status(400).json({
+        error: `Only active or frozen subscriptions can be cancelled (this one is ${subscription.status})`
+      });
+    }
+
+    const result = await cancelSubscription(subscription, {
+      reason,
+      requestRefund: requestRefund === true
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (!result.subscription) {
+      return res.status(409).json({ error: "Subscription changed, please try again" });
+    }
+
+    console.log("Subscription cancelled:", {
+      subscriptionId: subscription._id,
+      userId: req.user.sub,
+      refundIds: result.refunds.map(refund => refund._id)
+    });
+
+    res.json({
+      success: true,
+      message: result.refunds.length
+        ? "Subscription cancelled. Your refund request is awaiting approval."
+        : "Subscription cancelled.",
+      data: {
+        subscription: {
+          id: result.subscription._id,
+          status: result.subscription.status,
+          cancelledAt: result.subscription.cancelledAt
+        },
+        ...(result.bundle ? { bundle: result.bundle } : {}),
+        refunds: result.refunds.map(refund => ({
+          id: refund._id,
+          status: refund.status,
+          requestedAmount: refund.requestedAmount
+        })),
+        refundQuote: result.refundQuote
+      }
+    });
+  } catch (err) {
+    console.error("Cancel subscription error:", err.message);
+    res.status(500).json({ error: "Failed to cancel subscription" });
+  }
+});
+
+/**
+ * M-Pesa B2C result / queue timeout for refund payouts, and the same for
+ * Transaction Status queries about payouts whose outcome is unknown
+ */
+const handleB2CResult = (timedOut, processResult = processB2CResult) => async (req, res) => {
+  try {
+    console.log(`M-Pesa B2C ${timedOut ? "timeout" : "result"} received:`, JSON.stringify(req.body));
+
+    if (!isAllowedCallbackIp(req.ip)) {
+      await recordRejectedCallback({ reason: "ip_not_allowed", req });
+      return res.status(403).json({ ResultCode: 1, ResultDesc: "Rejected" });
+    }
+
+    const { outcome } = await processResult(req.body, req.params.token, { timedOut });
+
+    if (outcome === "invalid") {
+      await recordRejectedCallback({ reason: "invalid_format", req });
+      return res.status(400).json({ ResultCode: 1, ResultDesc: "Invalid result format" });
+    }
+    if (outcome === "invalid_token") {
+      await recordRejectedCallback({ reason: "invalid_token", req });
+      return res.status(403).json({ ResultCode: 1, ResultDesc: "Rejected" });
+    }
+    if (outcome === "not_found") {
+      await recordRejectedCallback({ reason: "unknown_checkout", detail: "Unknown B2C conversation", req });
+    }
+
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+  } catch (err) {
+    console.error("B2C result processing error:", err.message);
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+  }
+};
+
+router.post("/mpesa/b2c/result/:token?", handleB2CResult(false));
+router.post("/mpesa/b2c/timeout/:token?", handleB2CResult(true));
+router.post("/mpesa/b2c/status/result/:token?", handleB2CResult(false, processB2CStatusResult));
+router.post("/mpesa/b2c/status/timeout/:token?", handleB2CResult(true, processB2CStatusResult));
+
+/**
+ * M-Pesa callback (Safaricom will POST here)
+ * The trailing :token is the per-request secret initiateStkPush put in the
+ * CallBackURL.
+ */
+router.post("/mpesa/callback/:token?", async (req, res) => {
+  try {
+    console.log("M-Pesa callback received:", JSON.stringify(req.body, null, 2));
+
+    if (!isAllowedCallbackIp(req.ip)) {
+      await recordRejectedCallback({
+        reason: "ip_not_allowed",
+        req,
+        stkCallback: req.body?.Body?.stkCallback
+      });
+      return res.status(403).json({ ResultCode: 1, ResultDesc: "Rejected" });
+    }
+
+    if (!req.body.Body || !req.body.Body.stkCallback) {
+      console.error("Invalid callback format:", req.body);
+      await recordRejectedCallback({ reason: "invalid_format", req });
+      return res.status(400).json({ ResultCode: 1, ResultDesc: "Invalid callback format" });
+    }
+
+    const { Body } = req.body;
+    const { 
+      MerchantRequestID, 
+      CheckoutRequestID, 
+      ResultCode, 
+      ResultDesc 
+    } = Body.stkCallback;
+
+    console.log("Processing callback:", {
+      MerchantRequestID,
+      CheckoutRequestID,
+      ResultCode,
+      ResultDesc
+    });
+
+    if (!CheckoutRequestID) {
+      console.error("Callback missing CheckoutRequestID:", Body.stkCallback);
+      await recordRejectedCallback({
+        reason: "invalid_format",
+        detail: "Missing CheckoutRequestID",
+        req,
+        stkCallback: Body.stkCallback
+      });
+      return res.status(400).json({ ResultCode: 1, ResultDesc: "Missing CheckoutRequestID" });
+    }
+
+    const tokenCheck = await verifyCallbackToken(CheckoutRequestID, req.params.token);
+    if (!tokenCheck.ok) {
+      await recordRejectedCallback({
+        reason: tokenCheck.reason,
+        detail: tokenCheck.detail,
+        req,
+        stkCallback: Body.stkCallback
+      });
+      return res.status(403).json({ ResultCode: 1, ResultDesc: "Rejected" });
+    }
+
+    // Never activate on the callback's word alone
+    if (parseInt(ResultCode) === 0) {
+      const confirmation = await confirmSuccessfulCallback(CheckoutRequestID);
+      if (!confirmation.ok) {
+        await recordRejectedCallback({
+          reason: confirmation.reason,
+          detail: confirmation.detail,
+          req,
+          stkCallback: Body.stkCallback
+        });
+        // The payment stays pending; the status poll can still settle it
+        return res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+      }
+    }
+
+    // The ledger makes this idempotent: duplicates and amount mismatches
+    // never (re)activate the subscription
+    const { outcome, subscription } = await processStkCallback(Body.stkCallback);
+
+    if (outcome === "not_found") {
+      console.error("Subscription not found for callback:", {
+        CheckoutRequestID,
+        MerchantRequestID
+      });
+      await recordRejectedCallback({
+        reason: "unknown_checkout",
+        req,
+        stkCallback: Body.stkCallback
+      });
+      // Still respond successfully to M-Pesa to prevent retries
+    } else {
+      console.log("Callback outcome:", {
+        outcome,
+        subscriptionId: subscription?._id
+      });
+    }
+
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+  } catch (err) {
+    console.error("Callback processing error:", err.message);
+    // Still respond successfully to prevent M-Pesa retries
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+  }
+});
+
+/**
+ * Airtel Money and card gateway callbacks
+ * A callback only says "look at this payment": the result is always
+ * fetched from the provider before anything is settled.
+ */
+router.post("/payments/:method/callback", async (req, res) => {
+  const { method } = req.params;
+  try {
+    const provider = method === "mpesa" ? null : getPaymentProvider(method);
+    if (!provider) {
+      return res.status(404).json({ error: "Unknown payment provider" });
+    }
+
+    if (provider.verifyCallback && !provider.verifyCallback(req)) {
+      await recordRejectedCallback({ reason: "invalid_signature", req, provider: method });
+      return res.status(403).json({ error: "Rejected" });
+    }
+
+    const callback = provider.parseCallback(req);
+    if (!callback) {
+      console.error("Invalid callback format:", { provider: method, body: req.body });
+      await recordRejectedCallback({ reason: "invalid_format", req, provider: method });
+      return res.status(400).json({ error: "Invalid callback format" });
+    }
+
+    // Events we don't act on are acknowledged so they aren't retried
+    if (!callback.reference) {
+      return res.json({ received: true });
+    }
+
+    console.log("Payment callback received:", {
+      provider: method,
+      reference: callback.reference,
+      state: callback.state
+    });
+
+    const payment = await Payment.findOne({
+      checkoutRequestId: callback.reference,
+      provider: method
+    });
+    if (!payment) {
+      await recordRejectedCallback({
+        reason: "unknown_checkout",
+        req,
+        provider: method,
+        reference: callback.reference
+      });
+      return res.json({ received: true });
+    }
+
+    if (payment.status === "pending") {
+      await Payment.updateOne({ _id: payment._id }, { $set: { callbackPayload: callback.payload } });
+
+      const result = await queryPayment(payment);
+      const { outcome, subscription } = await applyPaymentQueryResult(payment, result, {
+        actor: `system:${method}_callback`
+      });
+      console.log("Callback outcome:", {
+        provider: method,
+        outcome,
+        subscriptionId: subscription?._id
+      });
+    }
+
+    res.json({ received: true });
+  } catch (err) {
+    console.error("Payment callback error:", { provider: method, error: err.message });
+    // Let the provider retry; the status poll and reconciler also settle it
+    res.status(500).json({ error: "Callback processing failed" });
+  }
+});
+
+/**
+ * Check payment status
+ */
+router.get("/:id/status", requireAuth, validate({
+  summary: "Check payment status",
+  params: idParams
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    let subscription = await Subscription.findOne({ 
+      _id: id, 
+      userId: req.user.sub 
+    });
+    
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+    
+    await Subscription.expireDue(subscription);
+    
+    // If pending and the payment went out, ask the provider
+    const checkoutPayment = subscription.status === "pending"
+      ? await findCheckoutPayment(subscription)
+      : null;
+    if (checkoutPayment?.checkoutRequestId) {
+      try {
+        const status = await queryPayment(checkoutPayment);
+        console.log("Payment query result:", {
+          provider: checkoutPayment.provider,
+          state: status.state,
+          resultDesc: status.resultDesc
+        });
+        
+        // Settle through the payment ledger so a callback arriving later
+        // is treated as a duplicate
+        const result = await applyPaymentQueryResult(checkoutPayment, status, { actor: "system:status_poll" });
+        if (result.subscription) {
+          // For a bundle the settled subscription is the primary, which may
+          // not be the one being polled
+          subscription = result.subscription._id.equals(subscription._id)
+            ? result.subscription
+            : await Subscription.findById(subscription._id);
+        }
+      } catch (queryError) {
+        console.error("Error querying transaction status:", queryError.message);
+      }
+    }
+    
+    // Same for a renewal or upgrade whose callback hasn't arrived yet
+    let topUp = await Payment.findOne({
+      subscriptionId: subscription._id,
+      purpose: { $ne: "subscription" },
+      checkoutRequestId: { $exists: true }
+    }).sort({ createdAt: -1 });
+    
+    if (topUp && topUp.status === "pending") {
+      try {
+        const status = await queryPayment(topUp);
+        const result = await applyPaymentQueryResult(topUp, status, { actor: "system:status_poll" });
+        topUp = result.payment;
+        if (result.subscription) {
+          subscription = result.subscription;
+        }
+      } catch (queryError) {
+        console.error("Error querying top-up status:", queryError.message);
+      }
+    }
+    
+    res.json({ 
+      success: true, 
+      data: {
+        status: subscription.status,
+        paymentMethod: subscription.paymentMethod,
+        receiptNumber: subscription.receiptNumber,
+        endDate: subscription.endDate,
+        updatedAt: subscription.updatedAt,
+        ...(topUp ? {
+          topUp: {
+            paymentId: topUp._id,
+            purpose: topUp.purpose,
+            plan: topUp.extension?.plan,
+            status: topUp.status
+          }
+        } : {})
+      }
+    });
+  } catch (err) {
+    console.error("Status check error:", err.message);
+    res.status(500).json({ error: "Failed to check status" });
+  }
+});
+
+/**
+ * Freeze (pause) an active subscription
+ * Body: { days?, reason? } - days defaults to the rest of the plan's
+ * freeze allowance; the subscription resumes by itself after that
+ */
+router.post("/:id/freeze", requireAuth, validate({
+  summary: "Freeze a subscription",
+  params: idParams,
+  body: {
+    type: "object",
+    properties: {
+      days: { type: "integer", minimum: 1 },
+      reason: { type: "string", maxLength: 500 }
+    }
+  }
+}), async (req, res) => {
+  try {
+    const { days, reason } = req.body;
+
+    const subscription = await Subscription.findOne({
+      _id: req.params.id,
+      userId: req.user.sub
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    await Subscription.expireDue(subscription);
+    if (!subscription.isActive()) {
+      return res.status(400).json({
+        error: `Only active subscriptions can be frozen (this one is ${subscription.status})`
+      });
+    }
+
+    if (subscription.awaitingFirstCheckIn()) {
+      return res.status(400).json({
+        error: "This pass hasn't been used yet, so there is nothing to freeze"
+      });
+    }
+
+    // Any renewal or upgrade still being paid for, however old: it could
+    // not be applied once the subscription is frozen
+    if (await hasPendingTopUp(subscription._id)) {
+      return res.status(409).json({
+        error: "A payment is in progress for this subscription"
+      });
+    }
+
+    const result = await freezeSubscription(subscription, { days, reason });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log("Subscription frozen:", {
+      subscriptionId: subscription._id,
+      userId: req.user.sub,
+      until: result.subscription.freeze.endsAt
+    });
+
+    res.json({
+      success: true,
+      message: "Subscription frozen. Unfreeze it any time; unused days are kept.",
+      data: {
+        status: result.subscription.status,
+        frozenAt: result.subscription.freeze.startedAt,
+        resumesAt: result.subscription.freeze.endsAt,
+        endDate: result.subscription.endDate,
+        freezeDaysUsed: result.allowance.used,
+        maxFreezeDays: result.allowance.maxFreezeDays
+      }
+    });
+  } catch (err) {
+    console.error("Freeze subscription error:", err.message);
+    res.status(500).json({ error: "Failed to freeze subscription" });
+  }
+});
+
+/**
+ * Resume a frozen subscription; endDate moves out by the time spent frozen
+ */
+router.post("/:id/unfreeze", requireAuth, validate({
+  summary: "Unfreeze a subscription",
+  params: idParams
+}), async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({
+      _id: req.params.id,
+      userId: req.user.sub
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    if (subscription.status !== "frozen") {
+      return res.status(400).json({
+        error: `Only frozen subscriptions can be unfrozen (this one is ${subscription.status})`
+      });
+    }
+
+    const resumed = await unfreezeSubscription(subscription);
+    if (!resumed) {
+      return res.status(409).json({ error: "Subscription changed, please try again" });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: resumed.status,
+        endDate: resumed.endDate,
+        freezeDaysUsed: resumed.freezeDaysUsed
+      }
+    });
+  } catch (err) {
+    console.error("Unfreeze subscription error:", err.message);
+    res.status(500).json({ error: "Failed to unfreeze subscription" });
+  }
+});
+
+/**
+ * Get a short-lived signed access pass to show as a QR code at the door
+ */
+router.get("/:id/pass", requireAuth, validate({
+  summary: "Get an access pass",
+  params: idParams
+}), async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({
+      _id: req.params.id,
+      userId: req.user.sub
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    await Subscription.expireDue(subscription);
+    if (!subscription.isActive()) {
+      return res.status(400).json({
+        error: `Only active subscriptions have an access pass (this one is ${subscription.status})`
+      });
+    }
+
+    const pass = await issueAccessPass(subscription);
+
+    res.json({
+      success: true,
+      data: {
+        token: pass.token,
+        expiresAt: pass.expiresAt,
+        category: subscription.category,
+        plan: subscription.plan
+      }
+    });
+  } catch (err) {
+    console.error("Access pass error:", err.message);
+    res.status(500).json({ error: "Failed to issue access pass" });
+  }
+});
+
+/**
+ * Monthly statement PDF of the user's payments and refunds
+ * Params: month as YYYY-MM (East Africa Time)
+ */
+router.get("/statements/:month", requireAuth, validate({
+  summary: "Download a monthly statement",
+  params: {
+    type: "object",
+    properties: {
+      month: {
+        type: "string",
+        pattern: "^\\d{4}-(0[1-9]|1[0-2])$",
+        "x-error-message": "must be in YYYY-MM format"
+      }
+    },
+    required: ["month"]
+  },
+  responses: { 200: pdfResponse }
+}), async (req, res) => {
+  try {
+    const [year, month] = req.params.month.split("-").map(Number);
+    const monthIndex = month - 1;
+
+    // Nairobi is UTC+3 all year
+    const from = new Date(Date.UTC(year, monthIndex, 1, -3));
+    const to = new Date(Date.UTC(year, monthIndex + 1, 1, -3));
+
+    const payments = await Payment.find({
+      userId: req.user.sub,
+      status: "success",
+      $or: [
+        { processedAt: { $gte: from, $lt: to } },
+        { "refunds.completedAt": { $gte: from, $lt: to } }
+      ]
+    }).lean();
+
+    const subscriptionIds = [...new Set(payments.map(p => p.subscriptionId.toString()))];
+    const subscriptions = await Subscription.find(
+      { _id: { $in: subscriptionIds } },
+      { category: 1, plan: 1, bundle: 1 }
+    ).lean();
+    const byId = new Map(subscriptions.map(sub => [sub._id.toString(), sub]));
+
+    const lines = [];
+    for (const payment of payments) {
+      const sub = byId.get(payment.subscriptionId.toString());
+      const plan = payment.extension?.plan || sub?.bundle?.plan || sub?.plan || "Subscription";
+      const paidAt = payment.processedAt || payment.createdAt;
+
+      if (paidAt >= from && paidAt < to) {
+        const kind = { renewal: "Renewal", upgrade: "Upgrade" }[payment.purpose] || "Subscription";
+        lines.push({
+          date: paidAt,
+          description: `${kind}: ${plan}`,
+          reference: payment.receiptNumber,
+          amount: payment.paidAmount ?? payment.amount
+        });
+      }
+      for (const refund of payment.refunds || []) {
+        if (refund.completedAt >= from && refund.completedAt < to) {
+          lines.push({
+            date: refund.completedAt,
+            description: `Refund: ${plan}`,
+            reference: refund.receiptNumber,
+            amount: -refund.amount
+          });
+        }
+      }
+    }
+    lines.sort((a, b) => a.date - b.date);
+
+    const monthLabel = from.toLocaleString("en-KE", { timeZone: "Africa/Nairobi", month: "long", year: "numeric" });
+    const pdf = await renderStatementPdf({ userId: req.user.sub, monthLabel, lines });
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="statement-${req.params.month}.pdf"`,
+      "Content-Length": pdf.length
+    });
+    res.send(pdf);
+  } catch (err) {
+    console.error("Statement error:", err.message);
+    res.status(500).json({ error: "Failed to generate statement" });
+  }
+});
+
+/**
+ * PDF receipt for a paid subscription
+ * Query: ?paymentId= for a specific renewal/upgrade; defaults to the latest
+ */
+router.get("/:id/receipt", requireAuth, validate({
+  summary: "Download a payment receipt",
+  params: idParams,
+  query: { type: "object", properties: { paymentId: objectId } },
+  responses: { 200: pdfResponse }
+}), async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({
+      _id: req.params.id,
+      userId: req.user.sub
+    }).lean();
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    // A bundle's payment is recorded against its primary subscription
+    let paymentSubscriptionId = subscription._id;
+    if (subscription.bundle?.groupId && !subscription.bundle.primary) {
+      const primary = await Subscription.findOne(
+        { "bundle.groupId": subscription.bundle.groupId, "bundle.primary": true },
+        { _id: 1 }
+      ).lean();
+      if (primary) paymentSubscriptionId = primary._id;
+    }
+
+    const query = { subscriptionId: paymentSubscriptionId, status: "success" };
+    if (req.query.paymentId) query._id = req.query.paymentId;
+
+    const payment = await Payment.findOne(query).sort({ processedAt: -1 }).lean();
+    if (!payment) {
+      return res.status(404).json({ error: "No completed payment found for this subscription" });
+    }
+
+    const pdf = await renderReceiptPdf({
+      payment,
+      subscription,
+      period: getPaymentPeriod(payment, subscription)
+    });
+
+    const filename = `receipt-${payment.receiptNumber || payment._id}.pdf`;
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Content-Length": pdf.length
+    });
+    res.send(pdf);
+  } catch (err) {
+    console.error("Receipt error:", err.message);
+    res.status(500).json({ error: "Failed to generate receipt" });
+  }
+});
+
+/**
+ * Status history: every status change with who/what made it and why
+ */
+router.get("/:id/history", requireAuth, validate({
+  summary: "Get status history",
+  params: idParams
+}), async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne(
+      { _id: req.params.id, userId: req.user.sub },
+      { status: 1, statusHistory: 1 }
+    ).lean();
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    res.json({
+      success: true,
+      data: { status: subscription.status, history: subscription.statusHistory || [] }
+    });
+  } catch (err) {
+    console.error("Fetch history error:", err.message);
+    res.status(500).json({ error: "Failed to fetch subscription history" });
+  }
+});
+
+/**
+ * List usage sessions (check-ins and the station used) for a subscription
+ */
+router.get("/:id/sessions", requireAuth, validate({
+  summary: "List usage sessions",
+  params: idParams
+}), async (req, res) => {
+  try {
+    const subscription = await Subscription.exists({
+      _id: req.params.id,
+      userId: req.user.sub
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    const sessions = await UsageSession.find({ subscriptionId: req.params.id })
+      .sort({ startedAt: -1 })
+      .select("station startedAt endedAt endReason")
+      .lean();
+
+    res.json({ success: true, data: sessions });
+  } catch (err) {
+    console.error("Fetch sessions error:", err.message);
+    res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+});
+
+const LIST_SORT_FIELDS = ["createdAt", "endDate", "amount"];
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 100;
+
+// Opaque cursor: the last item's sort value and id, plus the sort it was
+// issued for so it can't be replayed against a different ordering
+function encodeListCursor(sort, order, subscription) {
+  const value = subscription[sort];
+  return Buffer.from(JSON.stringify({
+    s: sort,
+    o: order,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: subscription._id.toString()
+  })).toString("base64url");
+}
+
+function decodeListCursor(cursor, sort, order) {
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (s !== sort || o !== order || !mongoose.isValidObjectId(id)) return null;
+    const value = sort === "amount" ? Number(v) : new Date(v);
+    if (sort === "amount" ? !Number.isFinite(value) : isNaN(value)) return null;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+// "a,b" or ?x=a&x=b -> ["a", "b"]
+function listParam(values = []) {
+  return values.flatMap(v => v.split(",")).map(v => v.trim()).filter(Boolean);
+}
+
+// One or more of values, repeated (?x=a&x=b) or comma-separated (?x=a,b)
+function listQuerySchema(values) {
+  return {
+    type: "array",
+    items: {
+      type: "string",
+      pattern: `^(${values.join("|")})(,(${values.join("|")}))*$`,
+      "x-error-message": `must be one or more of: ${values.join(", ")}`
+    }
+  };
+}
+
+const listQuery = {
+  type: "object",
+  properties: {
+    status: listQuerySchema(Subscription.schema.path("status").enumValues),
+    category: listQuerySchema(Subscription.schema.path("category").enumValues),
+    createdFrom: timestamp,
+    createdTo: timestamp,
+    endFrom: timestamp,
+    endTo: timestamp,
+    sort: { type: "string", enum: LIST_SORT_FIELDS, default: "createdAt" },
+    order: { type: "string", enum: ["asc", "desc"], default: "desc" },
+    limit: {
+      type: "integer",
+      minimum: 1,
+      maximum: LIST_MAX_LIMIT,
+      description: `Page size (default ${LIST_DEFAULT_LIMIT}). With limit or cursor the response is { data, pagination }; without either it is the whole list as an array`
+    },
+    cursor: { type: "string", description: "pagination.nextCursor from the previous page" }
+  }
+};
+
+// Turn the (already validated) list query into Mongo filters and paging
+function parseListQuery(query) {
+  const { sort, order } = query;
+  // Paged only when asked for; older app versions expect the bare array
+  const paged = query.limit !== undefined || query.cursor !== undefined;
+  const limit = paged ? query.limit ?? LIST_DEFAULT_LIMIT : null;
+  const filters = [];
+
+  const statuses = listParam(query.status);
+  if (statuses.length > 0) {
+    filters.push({ status: { $in: statuses } });
+    // Don't list passes as active once endDate has passed, even before the
+    // expiry job catches them (unless expired ones were asked for too)
+    if (statuses.includes("active") && !statuses.includes("expired")) {
+      filters.push({ $or: [{ status: { $ne: "active" } }, { endDate: { $gt: new Date() } }] });
+    }
+  }
+
+  const categories = listParam(query.category);
+  if (categories.length > 0) filters.push({ category: { $in: categories } });
+
+  for (const [field, fromKey, toKey] of [
+    ["createdAt", "createdFrom", "createdTo"],
+    ["endDate", "endFrom", "endTo"]
+  ]) {
+    const range = {};
+    if (query[fromKey]) range.$gte = new Date(query[fromKey]);
+    if (query[toKey]) range.$lt = new Date(query[toKey]);
+    if (Object.keys(range).length > 0) filters.push({ [field]: range });
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeListCursor(query.cursor, sort, order);
+    if (!cursor) {
+      return { error: "Invalid cursor for this sort order" };
+    }
+  }
+
+  return { filters, sort, order, paged, limit, cursor };
+}
+
+/**
+ * Get user's subscriptions, newest first
+ * Query: status and category (comma-separated), createdFrom/createdTo,
+ * endFrom/endTo, sort=createdAt|endDate|amount, order=asc|desc, limit,
+ * cursor (pagination.nextCursor from the previous page). Without limit or
+ * cursor the whole list comes back as an array (for frontend compatibility);
+ * with them, a page as { data, pagination }.
+ */
+router.get("/", requireAuth, validate({
+  summary: "List subscriptions",
+  query: listQuery
+}), async (req, res) => {
+  try {
+    const listing = parseListQuery(req.query);
+    if (listing.error) {
+      return res.status(400).json({ error: listing.error });
+    }
+
+    const { filters, sort, order, paged, limit, cursor } = listing;
+    const conditions = [{ userId: req.user.sub }, ...filters];
+
+    // Keyset on (sort field, _id) so pages stay stable while new
+    // subscriptions are created
+    if (cursor) {
+      const op = order === "asc" ? "$gt" : "$lt";
+      conditions.push({
+        $or: [
+          { [sort]: { [op]: cursor.value } },
+          { [sort]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+      });
+    }
+
+    const direction = order === "asc" ? 1 : -1;
+    const found = Subscription.find({ $and: conditions })
+      .sort({ [sort]: direction, _id: direction });
+
+    if (!paged) {
+      const subs = await found;
+      await Subscription.expireDue(subs);
+      return res.json(subs); // Return array directly
+    }
+
+    const subs = await found.limit(limit + 1);
+
+    const hasMore = subs.length > limit;
+    if (hasMore) subs.pop();
+    await Subscription.expireDue(subs);
+
+    const last = subs[subs.length - 1];
+    res.json({
+      data: subs,
+      pagination: {
+        limit,
+        count: subs.length,
+        hasMore,
+        nextCursor: hasMore ? encodeListCursor(sort, order, last) : null,
+        sort,
+        order
+      }
+    });
+  } catch (err) {
+    console.error("Fetch subscriptions error:", err.message);
+    res.status(500).json({ error: "Failed to fetch subscriptions" });
+  }
+});
+
+/**
+ * Get subscription by ID
+ */
+router.get("/:id", requireAuth, validate({
+  summary: "Get a subscription",
+  params: idParams
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const subscription = await Subscription.findOne({ 
+      _id: id, 
+      userId: req.user.sub 
+    });
+    
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+    
+    await Subscription.expireDue(subscription);
     
     res.json(subscription); // Return object directly
   } catch (err) {
@@ -1,14 +1,28 @@
 import mongoose from "mongoose";
 import Subscription from "../models/Subscription.js";
+import { closeEndedSessions } from "../lib/sessions.js";
+import { resumeDueFreezes } from "../lib/freezes.js";
+import { emitSubscriptionEvent, emitSubscriptionEvents } from "../lib/webhooks.js";
 import { schedule } from "node-cron";
 
+// Subscriptions ending within this window of a sweep get their own timer so
+// hourly passes flip to "expired" at endDate rather than on the next sweep
+const PRECISE_WINDOW_MS = 60 * 1000;
+const expiryTimers = new Map();
+
 export const checkExpiredSubscriptions = async () => {
   try {
-    console.log("🔄 Checking for expired subscriptions...");
-    
     const now = new Date();
+    const due = await Subscription.find(
+      { status: "active", endDate: { $lte: now } },
+      { _id: 1 }
+    ).lean();
+    if (due.length === 0) return 0;
+
+    const ids = due.map(sub => sub._id);
     const result = await Subscription.updateMany(
       {
+        _id: { $in: ids },
         status: "active",
         endDate: { $lte: now }
       },
@@ -17,13 +31,17 @@ export const checkExpiredSubscriptions = async () => {
           status: "expired",
           updatedAt: now
         }
-      }
+      },
+      { audit: { actor: "system:expiry", reason: "endDate reached" } }
     );
 
+    // Re-read so only subscriptions this sweep expired get an event
+    const expired = await Subscription.find({ _id: { $in: ids }, status: "expired", updatedAt: now });
+    await emitSubscriptionEvents("subscription.expired", expired);
+
+    // Runs every minute, so only log when something changed
     if (result.modifiedCount > 0) {
       console.log(`✅ Updated ${result.modifiedCount} expired subscriptions`);
-    } else {
-      console.log("✅ No expired subscriptions found");
     }
     
     return result.modifiedCount;
@@ -33,14 +51,67 @@ export const checkExpiredSubscriptions = async () => {
   }
 };
 
+const expireSubscription = async (id) => {
+  expiryTimers.delete(id);
+  try {
+    const now = new Date();
+    const expired = await Subscription.findOneAndUpdate(
+      { _id: id, status: "active", endDate: { $lte: now } },
+      { $set: { status: "expired", updatedAt: now } },
+      { new: true, audit: { actor: "system:expiry", reason: "endDate reached" } }
+    );
+    if (expired) {
+      console.log(`⏰ Subscription ${id} expired on time`);
+      await emitSubscriptionEvent("subscription.expired", expired);
+    }
+  } catch (error) {
+    console.error(`❌ Error expiring subscription ${id}:`, error);
+  }
+};
+
+// Arm a timer for each active subscription ending before the next sweep
+export const scheduleUpcomingExpiries = async (windowMs = PRECISE_WINDOW_MS) => {
+  const now = Date.now();
+  const upcoming = await Subscription.find(
+    {
+      status: "active",
+      endDate: { $gt: new Date(now), $lte: new Date(now + windowMs) }
+    },
+    { _id: 1, endDate: 1 }
+  ).lean();
+
+  for (const sub of upcoming) {
+    const id = sub._id.toString();
+    if (expiryTimers.has(id)) continue;
+
+    const timer = setTimeout(() => expireSubscription(id), sub.endDate.getTime() - now);
+    // Don't hold the process open during shutdown
+    timer.unref?.();
+    expiryTimers.set(id, timer);
+  }
+
+  return upcoming.length;
+};
+
 export const scheduleSubscriptionExpiryCheck = () => {
-  schedule('0 2 * * *', async () => {
+  schedule(process.env.EXPIRY_CHECK_CRON || '* * * * *', async () => {
     try {
+      // Resume lapsed freezes first so their pushed-out endDate is what
+      // the expiry sweep sees. Frozen subscriptions are never expired.
+      const resumed = await resumeDueFreezes();
+      if (resumed > 0) {
+        console.log(`✅ Resumed ${resumed} frozen subscriptions`);
+      }
       await checkExpiredSubscriptions();
+      await scheduleUpcomingExpiries();
+      const closed = await closeEndedSessions();
+      if (closed > 0) {
+        console.log(`✅ Closed ${closed} sessions on ended subscriptions`);
+      }
     } catch (error) {
       console.error("Scheduled expiry check failed:", error);
     }
   });
   
   console.log("✅ Subscription expiry checker scheduled");
-};
\ No newline at end of file
+};
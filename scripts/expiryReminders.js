@@ -0,0 +1,35 @@
+import { schedule } from "node-cron";
+import { sendExpiryReminders } from "../lib/notifications.js";
+
+let running = false;
+
+// Send "your pass ends soon" reminders at the REMINDER_OFFSETS before endDate
+export const checkExpiryReminders = async () => {
+  if (running) return 0;
+
+  running = true;
+  try {
+    const sent = await sendExpiryReminders();
+    if (sent > 0) {
+      console.log(`✅ Sent ${sent} expiry reminders`);
+    }
+    return sent;
+  } catch (error) {
+    console.error("❌ Error sending expiry reminders:", error);
+    throw error;
+  } finally {
+    running = false;
+  }
+};
+
+export const scheduleExpiryReminders = () => {
+  schedule(process.env.REMINDER_CRON || '*/5 * * * *', async () => {
+    try {
+      await checkExpiryReminders();
+    } catch (error) {
+      console.error("Scheduled expiry reminders failed:", error);
+    }
+  });
+
+  console.log("✅ Expiry reminders scheduled");
+};
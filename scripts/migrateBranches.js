@@ -0,0 +1,59 @@
+// One-off setup for multi-branch: creates the default branch, moves the
+// plans, subscriptions, payments, check-ins and usage sessions from before
+// branches (which have no branch) onto it, and replaces the old
+// one-plan-name-per-category index with a per-branch one. Safe to re-run:
+// only records older than the default branch are moved, so plans added
+// later for every branch stay that way.
+//
+//   node scripts/migrateBranches.js [code] [name]
+//
+// The default branch keeps using the unprefixed MPESA_* credentials.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Branch from "../models/Branch.js";
+import Plan from "../models/Plans.js";
+import Subscription from "../models/Subscription.js";
+import Payment from "../models/Payment.js";
+import CheckIn from "../models/CheckIn.js";
+import UsageSession from "../models/UsageSession.js";
+import { assignLegacyRecords } from "../lib/branches.js";
+
+dotenv.config();
+
+const migrateBranches = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    const [code = "main", name = process.env.BUSINESS_NAME || "Main branch"] = process.argv.slice(2);
+
+    let branch = await Branch.findOne({ isDefault: true });
+    if (branch) {
+      console.log(`ℹ️ Default branch already exists: ${branch.code} (${branch.name})`);
+    } else {
+      branch = await Branch.create({ code, name, isDefault: true });
+      console.log(`✅ Created default branch: ${branch.code} (${branch.name})`);
+    }
+
+    // Drops category_1_plan_1 so branches can reuse plan names
+    const dropped = await Plan.syncIndexes();
+    console.log("✅ Plan indexes synced", dropped.length ? `(dropped ${dropped.join(", ")})` : "");
+
+    for (const model of [Subscription, Payment, CheckIn, UsageSession]) {
+      await model.syncIndexes();
+    }
+    console.log("✅ Branch indexes created");
+
+    const moved = await assignLegacyRecords(branch);
+    for (const [name, count] of Object.entries(moved)) {
+      console.log(`✅ ${name} moved to ${branch.code}: ${count}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error migrating to branches:", error);
+    process.exit(1);
+  }
+};
+
+migrateBranches();
@@ -0,0 +1,274 @@
+// scripts/mockAirtel.js
+//
+// Local stand-in for the Airtel Money Open API so Airtel checkouts can be
+// exercised offline. Point the backend at it with
+//   AIRTEL_BASE_URL=http://localhost:5056
+// (any AIRTEL_CLIENT_ID / AIRTEL_CLIENT_SECRET / AIRTEL_DISBURSEMENT_PIN will
+// do) and start it with `npm run mock:airtel`. Airtel sends results to the
+// callback URL registered on the merchant app; here that is
+// MOCK_AIRTEL_CALLBACK_URL, by default the backend on port 5000.
+//
+// The outcome of each collection is picked from the subscriber's number
+// (Airtel numbers arrive without the 254 prefix):
+//   7xxxx1032  customer declined the prompt (TF)
+//   7xxxx0001  insufficient funds (TF)
+//   7xxxx9999  paid, but the callback is never delivered
+//   7xxxx5555  still in progress, never completes (TIP)
+//   anything else success (TS)
+// Disbursements (refunds) fail for the failing numbers, stay in progress for
+// 7xxxx5555 until POST /mock/disbursements/:id/complete, and succeed otherwise.
+// Add numbers at runtime with POST /mock/scenarios { msisdn, scenario }.
+import express from "express";
+import axios from "axios";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { pathToFileURL } from "url";
+
+dotenv.config();
+
+export const SCENARIOS = {
+  success: { status: "TS", message: "Transaction is successful" },
+  declined: { status: "TF", message: "Transaction declined by the customer" },
+  insufficient_funds: { status: "TF", message: "Insufficient funds in the wallet" },
+  no_callback: { status: "TS", message: "Transaction is successful", skipCallback: true },
+  stuck: { status: "TIP", message: "Transaction in progress", neverCompletes: true }
+};
+
+// Last four digits of the msisdn -> scenario
+const SUFFIX_SCENARIOS = {
+  "1032": "declined",
+  "0001": "insufficient_funds",
+  "9999": "no_callback",
+  "5555": "stuck"
+};
+
+function airtelMoneyId() {
+  return `MP${Date.now().toString().slice(-8)}.${crypto.randomInt(1000, 10000)}.L${crypto.randomInt(10000, 100000)}`;
+}
+
+function airtelResponse(res, status, success, message, data) {
+  return res.status(status).json({
+    ...(data ? { data } : {}),
+    status: {
+      code: String(status),
+      message,
+      result_code: success ? "ESB000010" : "ESB000001",
+      response_code: success ? "DP00800001001" : "DP00800001000",
+      success
+    }
+  });
+}
+
+export function createMockAirtelApp({
+  callbackDelayMs = parseInt(process.env.MOCK_AIRTEL_CALLBACK_DELAY_MS) || 3000,
+  callbackUrl = process.env.MOCK_AIRTEL_CALLBACK_URL ||
+    "http://localhost:5000/api/subscriptions/payments/airtel/callback"
+} = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const tokens = new Set();
+  const transactions = new Map();
+  const disbursements = new Map();
+  const scenarios = {};
+
+  function scenarioFor(msisdn) {
+    const name = scenarios[msisdn] || SUFFIX_SCENARIOS[msisdn.slice(-4)] || "success";
+    return { name, ...SCENARIOS[name] };
+  }
+
+  function toTransaction(txn) {
+    return {
+      id: txn.id,
+      status: txn.state === "completed" ? txn.scenario.status : "TIP",
+      message: txn.state === "completed" ? txn.scenario.message : "Transaction in progress",
+      airtel_money_id: txn.airtelMoneyId
+    };
+  }
+
+  async function deliverCallback(txn) {
+    const transaction = toTransaction(txn);
+    try {
+      const response = await axios.post(callbackUrl, {
+        transaction: {
+          id: transaction.id,
+          message: transaction.message,
+          status_code: transaction.status,
+          airtel_money_id: transaction.airtel_money_id
+        }
+      }, { timeout: 10000, validateStatus: () => true });
+      txn.callbackAttempts.push({ at: new Date(), status: response.status });
+      console.log(`📨 Callback for ${txn.id} (${txn.scenario.name}) -> ${response.status}`);
+    } catch (err) {
+      txn.callbackAttempts.push({ at: new Date(), error: err.message });
+      console.error(`❌ Callback for ${txn.id} failed:`, err.message);
+    }
+  }
+
+  function requireBearer(req, res, next) {
+    const token = req.headers.authorization?.replace(/^Bearer\s+/, "");
+    if (!token || !tokens.has(token)) {
+      return airtelResponse(res, 401, false, "Invalid access token");
+    }
+    next();
+  }
+
+  app.post("/auth/oauth2/token", (req, res) => {
+    const { client_id, client_secret, grant_type } = req.body || {};
+    if (grant_type !== "client_credentials" || !client_id || !client_secret) {
+      return res.status(400).json({ error: "invalid_request", error_description: "Invalid client credentials" });
+    }
+
+    const token = crypto.randomBytes(16).toString("hex");
+    tokens.add(token);
+    res.json({ access_token: token, expires_in: "180", token_type: "bearer" });
+  });
+
+  app.post("/merchant/v1/payments/", requireBearer, (req, res) => {
+    const { subscriber, transaction, reference } = req.body || {};
+
+    if (!/^\d{9}$/.test(String(subscriber?.msisdn || ""))) {
+      return airtelResponse(res, 400, false, "Invalid msisdn");
+    }
+    if (!(Number(transaction?.amount) >= 1) || !transaction?.id) {
+      return airtelResponse(res, 400, false, "Invalid transaction");
+    }
+    if (transactions.has(transaction.id)) {
+      return airtelResponse(res, 400, false, "Duplicate transaction id");
+    }
+
+    const msisdn = String(subscriber.msisdn);
+    const txn = {
+      id: String(transaction.id),
+      amount: Number(transaction.amount),
+      msisdn,
+      reference,
+      scenario: scenarioFor(msisdn),
+      state: "processing",
+      airtelMoneyId: null,
+      createdAt: new Date(),
+      callbackAttempts: []
+    };
+    transactions.set(txn.id, txn);
+
+    console.log(`📲 Airtel collection ${txn.id}: KES ${txn.amount} from ***${msisdn.slice(-3)} -> ${txn.scenario.name}`);
+
+    if (!txn.scenario.neverCompletes) {
+      setTimeout(() => {
+        txn.state = "completed";
+        if (txn.scenario.status === "TS") txn.airtelMoneyId = airtelMoneyId();
+        if (!txn.scenario.skipCallback) deliverCallback(txn);
+      }, callbackDelayMs);
+    }
+
+    airtelResponse(res, 200, true, "SUCCESS", {
+      transaction: { id: txn.id, status: "Success." }
+    });
+  });
+
+  app.get("/standard/v1/payments/:id", requireBearer, (req, res) => {
+    const txn = transactions.get(req.params.id);
+    if (!txn) {
+      return airtelResponse(res, 404, false, "Transaction not found");
+    }
+    airtelResponse(res, 200, true, "SUCCESS", { transaction: toTransaction(txn) });
+  });
+
+  app.post("/standard/v1/disbursements/", requireBearer, (req, res) => {
+    const { payee, transaction, pin } = req.body || {};
+
+    if (!pin) {
+      return airtelResponse(res, 400, false, "Invalid PIN");
+    }
+    if (!/^\d{9}$/.test(String(payee?.msisdn || "")) || !(Number(transaction?.amount) >= 1)) {
+      return airtelResponse(res, 400, false, "Invalid payee or amount");
+    }
+
+    const msisdn = String(payee.msisdn);
+    const scenario = scenarioFor(msisdn);
+    const succeeded = scenario.status === "TS";
+    const moneyId = succeeded ? airtelMoneyId() : undefined;
+
+    console.log(`💸 Airtel disbursement ${transaction.id}: KES ${transaction.amount} to ***${msisdn.slice(-3)} -> ${scenario.name}`);
+
+    const payout = {
+      id: transaction.id,
+      reference_id: moneyId,
+      airtel_money_id: moneyId,
+      status: scenario.neverCompletes ? "TIP" : (succeeded ? "TS" : "TF"),
+      message: succeeded ? "Disbursement successful" : scenario.message
+    };
+    disbursements.set(String(transaction.id), payout);
+
+    airtelResponse(res, 200, true, "SUCCESS", { transaction: payout });
+  });
+
+  app.get("/standard/v1/disbursements/:id", requireBearer, (req, res) => {
+    const payout = disbursements.get(req.params.id);
+    if (!payout) {
+      return airtelResponse(res, 404, false, "Transaction not found");
+    }
+    airtelResponse(res, 200, true, "SUCCESS", { transaction: payout });
+  });
+
+  // Simulator controls (not part of Airtel's API)
+  app.get("/mock/disbursements", (req, res) => {
+    res.json([...disbursements.values()]);
+  });
+
+  // Finish a "stuck" payout: { "status": "TS" } or { "status": "TF" }
+  app.post("/mock/disbursements/:id/complete", (req, res) => {
+    const payout = disbursements.get(req.params.id);
+    if (!payout) return res.status(404).json({ error: "Disbursement not found" });
+    if (payout.status !== "TIP") {
+      return res.status(409).json({ error: `Disbursement already ${payout.status}` });
+    }
+
+    const succeeded = req.body?.status !== "TF";
+    payout.status = succeeded ? "TS" : "TF";
+    payout.message = succeeded ? "Disbursement successful" : "Transaction failed";
+    if (succeeded) payout.airtel_money_id = payout.reference_id = airtelMoneyId();
+    res.json({ success: true, transaction: payout });
+  });
+
+  app.get("/mock/transactions", (req, res) => {
+    res.json([...transactions.values()]);
+  });
+
+  app.post("/mock/transactions/:id/callback", async (req, res) => {
+    const txn = transactions.get(req.params.id);
+    if (!txn) return res.status(404).json({ error: "Transaction not found" });
+    if (txn.state !== "completed") {
+      return res.status(409).json({ error: "Transaction still processing" });
+    }
+
+    await deliverCallback(txn);
+    res.json({ success: true, callbackAttempts: txn.callbackAttempts });
+  });
+
+  app.get("/mock/scenarios", (req, res) => {
+    res.json({ scenarios: SCENARIOS, suffixes: SUFFIX_SCENARIOS, overrides: scenarios });
+  });
+
+  app.post("/mock/scenarios", (req, res) => {
+    const { msisdn, scenario } = req.body;
+    if (!msisdn || !SCENARIOS[scenario]) {
+      return res.status(400).json({
+        error: `msisdn and scenario (${Object.keys(SCENARIOS).join(", ")}) are required`
+      });
+    }
+    scenarios[msisdn] = scenario;
+    res.json({ success: true, overrides: scenarios });
+  });
+
+  return app;
+}
+
+// Run directly: node scripts/mockAirtel.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const PORT = process.env.MOCK_AIRTEL_PORT || 5056;
+  createMockAirtelApp().listen(PORT, () => {
+    console.log(`🧪 Mock Airtel Money running on http://localhost:${PORT}`);
+    console.log(`   Set AIRTEL_BASE_URL=http://localhost:${PORT} in the backend's .env`);
+  });
+}
@@ -0,0 +1,268 @@
+// scripts/mockCardGateway.js
+//
+// Local stand-in for the card gateway (Paystack-compatible API) so card
+// checkouts can be exercised offline. Point the backend at it with
+//   CARD_GATEWAY_URL=http://localhost:5057
+// and start it with `npm run mock:card`. Both sides must share the same
+// CARD_SECRET_KEY: it authenticates API calls and signs the webhooks,
+// which go to MOCK_CARD_WEBHOOK_URL (by default the backend on port 5000).
+//
+// There is no real checkout page: opening the checkoutUrl (or
+// POST /mock/transactions/:reference/pay) "pays". The outcome is picked
+// from the customer's email:
+//   declined@...      card declined
+//   insufficient@...  insufficient funds
+//   nowebhook@...     paid, but the webhook is never delivered
+//   anything else     success
+// Refunds are queued as "pending" and become "processed" after
+// MOCK_CARD_REFUND_DELAY_MS (5s by default).
+import express from "express";
+import axios from "axios";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { pathToFileURL } from "url";
+
+dotenv.config();
+
+export const SCENARIOS = {
+  success: { status: "success", gatewayResponse: "Approved" },
+  declined: { status: "failed", gatewayResponse: "Declined" },
+  insufficient: { status: "failed", gatewayResponse: "Insufficient Funds" },
+  nowebhook: { status: "success", gatewayResponse: "Approved", skipWebhook: true }
+};
+
+function gatewayError(res, status, message) {
+  return res.status(status).json({ status: false, message });
+}
+
+export function createMockCardGatewayApp({
+  secretKey = process.env.CARD_SECRET_KEY,
+  webhookUrl = process.env.MOCK_CARD_WEBHOOK_URL ||
+    "http://localhost:5000/api/subscriptions/payments/card/callback",
+  publicUrl = `http://localhost:${process.env.MOCK_CARD_PORT || 5057}`,
+  refundDelayMs = parseInt(process.env.MOCK_CARD_REFUND_DELAY_MS) || 5000
+} = {}) {
+  if (!secretKey) {
+    throw new Error("CARD_SECRET_KEY is required to sign mock webhooks");
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  const transactions = new Map();
+  const refunds = new Map();
+  let nextId = 4000000000;
+
+  function scenarioFor(email) {
+    const name = email.split("@")[0].toLowerCase();
+    return SCENARIOS[name] ? { name, ...SCENARIOS[name] } : { name: "success", ...SCENARIOS.success };
+  }
+
+  function toTransaction(txn) {
+    return {
+      id: txn.id,
+      reference: txn.reference,
+      amount: txn.amount,
+      currency: txn.currency,
+      status: txn.status,
+      gateway_response: txn.gatewayResponse,
+      paid_at: txn.paidAt,
+      customer: { email: txn.email },
+      metadata: txn.metadata
+    };
+  }
+
+  async function deliverWebhook(txn) {
+    const body = JSON.stringify({
+      event: txn.status === "success" ? "charge.success" : "charge.failed",
+      data: toTransaction(txn)
+    });
+    const signature = crypto.createHmac("sha512", secretKey).update(body).digest("hex");
+
+    try {
+      const response = await axios.post(webhookUrl, body, {
+        headers: { "Content-Type": "application/json", "x-paystack-signature": signature },
+        timeout: 10000,
+        validateStatus: () => true
+      });
+      txn.webhookAttempts.push({ at: new Date(), status: response.status });
+      console.log(`📨 Webhook for ${txn.reference} (${txn.scenario.name}) -> ${response.status}`);
+    } catch (err) {
+      txn.webhookAttempts.push({ at: new Date(), error: err.message });
+      console.error(`❌ Webhook for ${txn.reference} failed:`, err.message);
+    }
+  }
+
+  function requireSecret(req, res, next) {
+    if (req.headers.authorization !== `Bearer ${secretKey}`) {
+      return gatewayError(res, 401, "Invalid key");
+    }
+    next();
+  }
+
+  // The customer completes (or fails) the payment on the checkout page
+  function pay(txn) {
+    if (txn.status !== "ongoing") return false;
+
+    txn.status = txn.scenario.status;
+    txn.gatewayResponse = txn.scenario.gatewayResponse;
+    if (txn.status === "success") txn.paidAt = new Date().toISOString();
+    console.log(`💳 Card payment ${txn.reference}: KES ${txn.amount / 100} -> ${txn.scenario.name}`);
+
+    if (!txn.scenario.skipWebhook) deliverWebhook(txn);
+    return true;
+  }
+
+  app.post("/transaction/initialize", requireSecret, (req, res) => {
+    const { email, amount, reference, currency, callback_url, metadata } = req.body || {};
+
+    if (!email || !email.includes("@")) {
+      return gatewayError(res, 400, "Invalid Email Address Passed");
+    }
+    if (!(Number(amount) >= 100)) {
+      return gatewayError(res, 400, "Invalid Amount Sent");
+    }
+    if (reference && transactions.has(reference)) {
+      return gatewayError(res, 400, "Duplicate Transaction Reference");
+    }
+
+    const txn = {
+      id: nextId++,
+      reference: reference || crypto.randomBytes(8).toString("hex"),
+      accessCode: crypto.randomBytes(8).toString("hex"),
+      amount: Number(amount),
+      currency: currency || "KES",
+      email,
+      metadata,
+      callbackUrl: callback_url,
+      scenario: scenarioFor(email),
+      status: "ongoing",
+      gatewayResponse: "The transaction is in progress",
+      paidAt: null,
+      createdAt: new Date(),
+      webhookAttempts: []
+    };
+    transactions.set(txn.reference, txn);
+
+    res.json({
+      status: true,
+      message: "Authorization URL created",
+      data: {
+        authorization_url: `${publicUrl}/checkout/${txn.accessCode}`,
+        access_code: txn.accessCode,
+        reference: txn.reference
+      }
+    });
+  });
+
+  app.get("/transaction/verify/:reference", requireSecret, (req, res) => {
+    const txn = transactions.get(req.params.reference);
+    if (!txn) {
+      return gatewayError(res, 400, "Transaction reference not found");
+    }
+    res.json({ status: true, message: "Verification successful", data: toTransaction(txn) });
+  });
+
+  app.post("/refund", requireSecret, (req, res) => {
+    const { transaction, amount } = req.body || {};
+    const txn = transactions.get(String(transaction)) ||
+      [...transactions.values()].find(t => String(t.id) === String(transaction));
+
+    if (!txn || txn.status !== "success") {
+      return gatewayError(res, 400, "Transaction has not been paid");
+    }
+    const refundAmount = amount === undefined ? txn.amount : Number(amount);
+    if (!(refundAmount > 0) || refundAmount > txn.amount) {
+      return gatewayError(res, 400, "Refund amount cannot be more than the transaction amount");
+    }
+
+    const refund = {
+      id: nextId++,
+      transaction: { id: txn.id, reference: txn.reference },
+      amount: refundAmount,
+      currency: txn.currency,
+      status: "pending",
+      createdAt: new Date().toISOString()
+    };
+    refunds.set(String(refund.id), refund);
+    // Queued refunds are processed a little later
+    setTimeout(() => {
+      if (refund.status === "pending") refund.status = "processed";
+    }, refundDelayMs).unref();
+
+    console.log(`💸 Card refund on ${txn.reference}: KES ${refundAmount / 100}`);
+    res.json({ status: true, message: "Refund has been queued for processing", data: refund });
+  });
+
+  app.get("/refund/:id", requireSecret, (req, res) => {
+    const refund = refunds.get(req.params.id);
+    if (!refund) {
+      return gatewayError(res, 404, "Refund not found");
+    }
+    res.json({ status: true, message: "Refund retrieved", data: refund });
+  });
+
+  // Newest first, optionally for one transaction (id or reference)
+  app.get("/refund", requireSecret, (req, res) => {
+    const transaction = req.query.transaction && String(req.query.transaction);
+    const data = [...refunds.values()]
+      .filter(r => !transaction || String(r.transaction.id) === transaction || r.transaction.reference === transaction)
+      .reverse();
+    res.json({ status: true, message: "Refunds retrieved", data });
+  });
+
+  // Stand-in for the hosted checkout page
+  app.get("/checkout/:accessCode", (req, res) => {
+    const txn = [...transactions.values()].find(t => t.accessCode === req.params.accessCode);
+    if (!txn) return res.status(404).send("Checkout not found");
+
+    pay(txn);
+    if (txn.callbackUrl) {
+      const url = new URL(txn.callbackUrl);
+      url.searchParams.set("reference", txn.reference);
+      return res.redirect(url.toString());
+    }
+    res.send(`Payment ${txn.status}: ${txn.gatewayResponse}`);
+  });
+
+  // Simulator controls (not part of the gateway's API)
+  app.get("/mock/transactions", (req, res) => {
+    res.json([...transactions.values()]);
+  });
+
+  app.get("/mock/refunds", (req, res) => {
+    res.json([...refunds.values()]);
+  });
+
+  app.post("/mock/transactions/:reference/pay", (req, res) => {
+    const txn = transactions.get(req.params.reference);
+    if (!txn) return res.status(404).json({ error: "Transaction not found" });
+    if (!pay(txn)) {
+      return res.status(409).json({ error: `Transaction already ${txn.status}` });
+    }
+    res.json({ success: true, transaction: toTransaction(txn) });
+  });
+
+  app.post("/mock/transactions/:reference/webhook", async (req, res) => {
+    const txn = transactions.get(req.params.reference);
+    if (!txn) return res.status(404).json({ error: "Transaction not found" });
+    if (txn.status === "ongoing") {
+      return res.status(409).json({ error: "Transaction not paid yet" });
+    }
+
+    // Re-sending is how duplicate webhooks are reproduced
+    await deliverWebhook(txn);
+    res.json({ success: true, webhookAttempts: txn.webhookAttempts });
+  });
+
+  return app;
+}
+
+// Run directly: node scripts/mockCardGateway.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const PORT = process.env.MOCK_CARD_PORT || 5057;
+  createMockCardGatewayApp().listen(PORT, () => {
+    console.log(`🧪 Mock card gateway running on http://localhost:${PORT}`);
+    console.log(`   Set CARD_GATEWAY_URL=http://localhost:${PORT} in the backend's .env`);
+  });
+}
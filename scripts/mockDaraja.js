@@ -0,0 +1,383 @@
+// scripts/mockDaraja.js
+//
+// Local stand-in for Safaricom's Daraja API so the subscribe -> callback flow
+// can be exercised offline. Point the backend at it with
+//   MPESA_BASE_URL=http://localhost:5055
+// and start it with `npm run mock:mpesa`. Besides STK push it answers B2C
+// payment requests, which refunds use.
+//
+// The outcome of each STK push is picked from the payer's phone number.
+// Built-in numbers (any format formatPhoneNumber accepts):
+//   2547xxxx1032  user cancelled (1032)
+//   2547xxxx1037  phone unreachable / timeout (1037)
+//   2547xxxx0001  insufficient funds (1)
+//   2547xxxx2001  wrong PIN (2001)
+//   2547xxxx9999  paid, but the callback is never delivered
+//   2547xxxx7777  paid, but the callback reports a different Amount
+//   anything else success
+// Override or add numbers with MOCK_DARAJA_SCENARIOS="254712345678:cancel,..."
+// or at runtime with POST /mock/scenarios { phone, scenario }.
+import express from "express";
+import axios from "axios";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { pathToFileURL } from "url";
+
+dotenv.config();
+
+export const SCENARIOS = {
+  success: {
+    resultCode: 0,
+    resultDesc: "The service request is processed successfully."
+  },
+  cancel: {
+    resultCode: 1032,
+    resultDesc: "Request cancelled by user"
+  },
+  timeout: {
+    resultCode: 1037,
+    resultDesc: "DS timeout user cannot be reached"
+  },
+  insufficient_funds: {
+    resultCode: 1,
+    resultDesc: "The balance is insufficient for the transaction"
+  },
+  wrong_pin: {
+    resultCode: 2001,
+    resultDesc: "The initiator information is invalid."
+  },
+  no_callback: {
+    resultCode: 0,
+    resultDesc: "The service request is processed successfully.",
+    skipCallback: true
+  },
+  amount_mismatch: {
+    resultCode: 0,
+    resultDesc: "The service request is processed successfully.",
+    amountDelta: -1
+  }
+};
+
+// Last four digits of the phone number -> scenario
+const SUFFIX_SCENARIOS = {
+  "1032": "cancel",
+  "1037": "timeout",
+  "0001": "insufficient_funds",
+  "2001": "wrong_pin",
+  "9999": "no_callback",
+  "7777": "amount_mismatch"
+};
+
+function parseScenarioOverrides(raw) {
+  const overrides = {};
+  if (!raw) return overrides;
+
+  for (const pair of raw.split(",")) {
+    const [phone, scenario] = pair.split(":").map(s => s && s.trim());
+    if (phone && SCENARIOS[scenario]) {
+      overrides[phone] = scenario;
+    } else if (pair.trim()) {
+      console.warn(`⚠️ Ignoring invalid mock scenario override: ${pair}`);
+    }
+  }
+  return overrides;
+}
+
+function darajaTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[^0-9]/g, "").slice(0, 14);
+}
+
+function randomDigits(length) {
+  let out = "";
+  while (out.length < length) out += crypto.randomInt(0, 10);
+  return out;
+}
+
+// Receipt numbers look like "SJK4HB7Q2X"
+function generateReceiptNumber() {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+  let receipt = "S";
+  for (let i = 0; i < 9; i++) receipt += alphabet[crypto.randomInt(0, alphabet.length)];
+  return receipt;
+}
+
+function darajaError(res, status, errorCode, errorMessage) {
+  return res.status(status).json({
+    requestId: `${randomDigits(5)}-${randomDigits(8)}-1`,
+    errorCode,
+    errorMessage
+  });
+}
+
+export function createMockDarajaApp({
+  callbackDelayMs = parseInt(process.env.MOCK_DARAJA_CALLBACK_DELAY_MS) || 3000,
+  scenarioOverrides = parseScenarioOverrides(process.env.MOCK_DARAJA_SCENARIOS)
+} = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const tokens = new Set();
+  const transactions = new Map();
+  const scenarios = { ...scenarioOverrides };
+
+  function scenarioFor(phone) {
+    const name = scenarios[phone] || SUFFIX_SCENARIOS[phone.slice(-4)] || "success";
+    return { name, ...SCENARIOS[name] };
+  }
+
+  function buildCallback(txn) {
+    const stkCallback = {
+      MerchantRequestID: txn.merchantRequestId,
+      CheckoutRequestID: txn.checkoutRequestId,
+      ResultCode: txn.scenario.resultCode,
+      ResultDesc: txn.scenario.resultDesc
+    };
+
+    if (txn.scenario.resultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: "Amount", Value: txn.amount + (txn.scenario.amountDelta || 0) },
+          { Name: "MpesaReceiptNumber", Value: txn.receiptNumber },
+          { Name: "Balance" },
+          { Name: "TransactionDate", Value: Number(darajaTimestamp(txn.completedAt)) },
+          { Name: "PhoneNumber", Value: Number(txn.phone) }
+        ]
+      };
+    }
+
+    return { Body: { stkCallback } };
+  }
+
+  async function deliverCallback(txn) {
+    try {
+      const response = await axios.post(txn.callbackUrl, buildCallback(txn), {
+        timeout: 10000,
+        validateStatus: () => true
+      });
+      txn.callbackAttempts.push({ at: new Date(), status: response.status });
+      console.log(`📨 Callback for ${txn.checkoutRequestId} (${txn.scenario.name}) -> ${response.status}`);
+    } catch (err) {
+      txn.callbackAttempts.push({ at: new Date(), error: err.message });
+      console.error(`❌ Callback for ${txn.checkoutRequestId} failed:`, err.message);
+    }
+  }
+
+  function requireBearer(req, res, next) {
+    const token = req.headers.authorization?.replace(/^Bearer\s+/, "");
+    if (!token || !tokens.has(token)) {
+      return darajaError(res, 401, "404.001.03", "Invalid Access Token");
+    }
+    next();
+  }
+
+  function checkPassword(body) {
+    const { BusinessShortCode, Password, Timestamp } = body;
+    if (!BusinessShortCode || !Password || !Timestamp) return false;
+    const decoded = Buffer.from(Password, "base64").toString();
+    return decoded.startsWith(String(BusinessShortCode)) && decoded.endsWith(String(Timestamp));
+  }
+
+  app.get("/oauth/v1/generate", (req, res) => {
+    if (req.query.grant_type !== "client_credentials") {
+      return darajaError(res, 400, "400.008.02", "Invalid grant type passed");
+    }
+    if (!req.headers.authorization?.startsWith("Basic ")) {
+      return darajaError(res, 400, "400.008.01", "Invalid Authentication passed");
+    }
+
+    const token = crypto.randomBytes(14).toString("base64url");
+    tokens.add(token);
+    res.json({ access_token: token, expires_in: "3599" });
+  });
+
+  app.post("/mpesa/stkpush/v1/processrequest", requireBearer, (req, res) => {
+    const { Amount, PhoneNumber, CallBackURL, AccountReference, TransactionDesc } = req.body;
+
+    if (!checkPassword(req.body)) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid Password");
+    }
+    if (!(Number(Amount) >= 1)) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid Amount");
+    }
+    if (!/^2547\d{8}$|^2541\d{8}$/.test(String(PhoneNumber))) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid PhoneNumber");
+    }
+    if (!/^https?:\/\//.test(CallBackURL || "")) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid CallBackURL");
+    }
+
+    const phone = String(PhoneNumber);
+    const txn = {
+      merchantRequestId: `${randomDigits(5)}-${randomDigits(8)}-1`,
+      checkoutRequestId: `ws_CO_${darajaTimestamp()}${randomDigits(12)}`,
+      amount: Number(Amount),
+      phone,
+      accountReference: AccountReference,
+      transactionDesc: TransactionDesc,
+      callbackUrl: CallBackURL,
+      scenario: scenarioFor(phone),
+      state: "processing",
+      receiptNumber: null,
+      createdAt: new Date(),
+      completedAt: null,
+      callbackAttempts: []
+    };
+    transactions.set(txn.checkoutRequestId, txn);
+
+    console.log(`📲 STK push ${txn.checkoutRequestId}: KES ${txn.amount} from ***${phone.slice(-3)} -> ${txn.scenario.name}`);
+
+    setTimeout(() => {
+      txn.state = "completed";
+      txn.completedAt = new Date();
+      if (txn.scenario.resultCode === 0) txn.receiptNumber = generateReceiptNumber();
+      if (!txn.scenario.skipCallback) deliverCallback(txn);
+    }, callbackDelayMs);
+
+    res.json({
+      MerchantRequestID: txn.merchantRequestId,
+      CheckoutRequestID: txn.checkoutRequestId,
+      ResponseCode: "0",
+      ResponseDescription: "Success. Request accepted for processing",
+      CustomerMessage: "Success. Request accepted for processing"
+    });
+  });
+
+  app.post("/mpesa/stkpushquery/v1/query", requireBearer, (req, res) => {
+    if (!checkPassword(req.body)) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid Password");
+    }
+
+    const txn = transactions.get(req.body.CheckoutRequestID);
+    if (!txn) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid CheckoutRequestID");
+    }
+    if (txn.state === "processing") {
+      return darajaError(res, 500, "500.001.1001", "The transaction is being processed");
+    }
+
+    res.json({
+      ResponseCode: "0",
+      ResponseDescription: "The service request has been accepted successfully",
+      MerchantRequestID: txn.merchantRequestId,
+      CheckoutRequestID: txn.checkoutRequestId,
+      ResultCode: String(txn.scenario.resultCode),
+      ResultDesc: txn.scenario.resultDesc
+    });
+  });
+
+  // B2C (refund payouts). Succeeds unless the phone maps to a failing
+  // scenario, in which case the Result carries that scenario's code.
+  const handleB2C = (req, res) => {
+    const { Amount, PartyB, ResultURL, QueueTimeOutURL, OriginatorConversationID } = req.body;
+
+    if (!req.body.InitiatorName || !req.body.SecurityCredential) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid InitiatorName");
+    }
+    if (!(Number(Amount) >= 1)) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid Amount");
+    }
+    if (!/^https?:\/\//.test(ResultURL || "") || !/^https?:\/\//.test(QueueTimeOutURL || "")) {
+      return darajaError(res, 400, "400.002.02", "Bad Request - Invalid ResultURL");
+    }
+
+    const phone = String(PartyB);
+    const scenario = scenarioFor(phone);
+    const conversationId = `AG_${darajaTimestamp().slice(0, 8)}_${crypto.randomBytes(10).toString("hex")}`;
+    const originatorConversationId = OriginatorConversationID || `${randomDigits(5)}-${randomDigits(8)}-1`;
+
+    console.log(`💸 B2C ${conversationId}: KES ${Amount} to ***${phone.slice(-3)} -> ${scenario.name}`);
+
+    setTimeout(async () => {
+      const succeeded = scenario.resultCode === 0;
+      const transactionId = generateReceiptNumber();
+      const result = {
+        ResultType: 0,
+        ResultCode: scenario.resultCode,
+        ResultDesc: succeeded
+          ? "The service request is processed successfully."
+          : scenario.resultDesc,
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        TransactionID: transactionId
+      };
+
+      if (succeeded) {
+        result.ResultParameters = {
+          ResultParameter: [
+            { Key: "TransactionAmount", Value: Number(Amount) },
+            { Key: "TransactionReceipt", Value: transactionId },
+            { Key: "ReceiverPartyPublicName", Value: `${phone} - Mock Customer` },
+            { Key: "TransactionCompletedDateTime", Value: new Date().toLocaleString("en-GB") },
+            { Key: "B2CUtilityAccountAvailableFunds", Value: 100000 },
+            { Key: "B2CWorkingAccountAvailableFunds", Value: 100000 },
+            { Key: "B2CRecipientIsRegisteredCustomer", Value: "Y" },
+            { Key: "B2CChargesPaidAccountAvailableFunds", Value: 0 }
+          ]
+        };
+      }
+
+      try {
+        const response = await axios.post(ResultURL, { Result: result }, {
+          timeout: 10000,
+          validateStatus: () => true
+        });
+        console.log(`📨 B2C result for ${conversationId} -> ${response.status}`);
+      } catch (err) {
+        console.error(`❌ B2C result for ${conversationId} failed:`, err.message);
+      }
+    }, callbackDelayMs);
+
+    res.json({
+      ConversationID: conversationId,
+      OriginatorConversationID: originatorConversationId,
+      ResponseCode: "0",
+      ResponseDescription: "Accept the service request successfully."
+    });
+  };
+
+  app.post("/mpesa/b2c/v1/paymentrequest", requireBearer, handleB2C);
+  app.post("/mpesa/b2c/v3/paymentrequest", requireBearer, handleB2C);
+
+  // Simulator controls (not part of Daraja)
+  app.get("/mock/transactions", (req, res) => {
+    res.json([...transactions.values()]);
+  });
+
+  app.post("/mock/transactions/:checkoutRequestId/callback", async (req, res) => {
+    const txn = transactions.get(req.params.checkoutRequestId);
+    if (!txn) return res.status(404).json({ error: "Transaction not found" });
+    if (txn.state !== "completed") {
+      return res.status(409).json({ error: "Transaction still processing" });
+    }
+
+    // Re-sending is how duplicate callbacks are reproduced
+    await deliverCallback(txn);
+    res.json({ success: true, callbackAttempts: txn.callbackAttempts });
+  });
+
+  app.get("/mock/scenarios", (req, res) => {
+    res.json({ scenarios: SCENARIOS, suffixes: SUFFIX_SCENARIOS, overrides: scenarios });
+  });
+
+  app.post("/mock/scenarios", (req, res) => {
+    const { phone, scenario } = req.body;
+    if (!phone || !SCENARIOS[scenario]) {
+      return res.status(400).json({
+        error: `phone and scenario (${Object.keys(SCENARIOS).join(", ")}) are required`
+      });
+    }
+    scenarios[phone] = scenario;
+    res.json({ success: true, overrides: scenarios });
+  });
+
+  return app;
+}
+
+// Run directly: node scripts/mockDaraja.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const PORT = process.env.MOCK_DARAJA_PORT || 5055;
+  createMockDarajaApp().listen(PORT, () => {
+    console.log(`🧪 Mock Daraja running on http://localhost:${PORT}`);
+    console.log(`   Set MPESA_BASE_URL=http://localhost:${PORT} in the backend's .env`);
+  });
+}
@@ -0,0 +1,298 @@
+import Subscription from "../models/Subscription.js";
+import Payment from "../models/Payment.js";
+import Refund from "../models/Refund.js";
+import { schedule } from "node-cron";
+import { queryPayment, getPaymentProvider } from "../lib/paymentProviders.js";
+import {
+  applyPaymentQueryResult,
+  findCheckoutPayment,
+  failPendingPayment,
+  failPendingTopUp
+} from "../lib/payments.js";
+import { reconcileRefund } from "../lib/refunds.js";
+
+// Tunables (minutes unless noted)
+const MIN_AGE_MINUTES = parseInt(process.env.RECONCILE_MIN_AGE_MINUTES) || 5;
+const TIMEOUT_MINUTES = parseInt(process.env.RECONCILE_TIMEOUT_MINUTES) || 60;
+// Give up on a payment whose status query keeps erroring after this long
+const GIVE_UP_HOURS = parseInt(process.env.RECONCILE_GIVE_UP_HOURS) || 24;
+const BATCH_SIZE = parseInt(process.env.RECONCILE_BATCH_SIZE) || 50;
+// Pause between provider queries so a large backlog does not trip rate limits
+const QUERY_DELAY_MS = parseInt(process.env.RECONCILE_QUERY_DELAY_MS) || 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const queryErrorReason = error => `Payment could not be confirmed: ${error.message}`;
+
+const timeoutReason = (payment, result) =>
+  `Payment timed out: ${result.resultDesc || `no result from ${getPaymentProvider(payment.provider)?.label || payment.provider}`}`;
+
+let running = false;
+
+/**
+ * Settle subscriptions stuck in "pending" because the callback never arrived
+ * and nobody polled GET /:id/status. Returns a report of what changed.
+ */
+export const reconcilePendingSubscriptions = async ({
+  minAgeMinutes = MIN_AGE_MINUTES,
+  timeoutMinutes = TIMEOUT_MINUTES,
+  giveUpHours = GIVE_UP_HOURS,
+  batchSize = BATCH_SIZE,
+  queryDelayMs = QUERY_DELAY_MS
+} = {}) => {
+  if (running) {
+    console.log("⏭️ Pending reconciliation already running, skipping");
+    return null;
+  }
+
+  running = true;
+  const report = {
+    checked: 0,
+    activated: 0,
+    failed: 0,
+    timedOut: 0,
+    stillPending: 0,
+    refundsQueried: 0,
+    errors: 0,
+    changes: []
+  };
+
+  try {
+    console.log("🔄 Reconciling pending subscriptions...");
+
+    const now = Date.now();
+    const pending = await Subscription.find({
+      status: "pending",
+      createdAt: { $lte: new Date(now - minAgeMinutes * 60 * 1000) },
+      // Flagged payments wait for a human, not for this job
+      "metadata.paymentFlag": { $exists: false },
+      // Bundle siblings are settled along with their primary
+      "bundle.primary": { $ne: false }
+    })
+      .sort({ createdAt: 1 })
+      .limit(batchSize);
+
+    for (const [index, subscription] of pending.entries()) {
+      report.checked++;
+      const timedOut = now - subscription.createdAt.getTime() > timeoutMinutes * 60 * 1000;
+      const record = (to, reason) => report.changes.push({
+        subscriptionId: subscription._id.toString(),
+        userId: subscription.userId,
+        from: "pending",
+        to,
+        reason
+      });
+
+      // The payment never went out, so there is nothing to ask the provider about
+      const payment = await findCheckoutPayment(subscription);
+      if (!payment?.checkoutRequestId) {
+        if (timedOut) {
+          const reason = "Payment was never initiated";
+          const result = await failPendingPayment(subscription, reason);
+          if (result.subscription) {
+            report.timedOut++;
+            record("failed", reason);
+          }
+        } else {
+          report.stillPending++;
+        }
+        continue;
+      }
+
+      if (index > 0 && queryDelayMs > 0) {
+        await sleep(queryDelayMs);
+      }
+
+      let status;
+      try {
+        status = await queryPayment(payment);
+      } catch (error) {
+        // Network trouble: try again next run, unless it has gone on so long
+        // the checkout can't still be open (and the row would block the batch)
+        report.errors++;
+        console.error("⚠️ Reconciliation query failed:", {
+          subscriptionId: subscription._id.toString(),
+          error: error.message
+        });
+        if (now - subscription.createdAt.getTime() > giveUpHours * 3600 * 1000) {
+          const reason = queryErrorReason(error);
+          const failed = await failPendingPayment(subscription, reason);
+          if (failed.subscription) {
+            report.timedOut++;
+            record("failed", reason);
+          }
+        }
+        continue;
+      }
+
+      const result = await applyPaymentQueryResult(payment, status, { actor: "system:reconciler" });
+
+      if (result.outcome === "success" && result.subscription) {
+        report.activated++;
+        record("active", status.resultDesc);
+      } else if (result.outcome === "failed" && result.subscription) {
+        report.failed++;
+        record("failed", result.subscription.failedReason);
+      } else if (result.outcome === "pending" && timedOut) {
+        // The provider answered but has no result for this checkout
+        const reason = timeoutReason(payment, status);
+        const failed = await failPendingPayment(subscription, reason);
+        if (failed.subscription) {
+          report.timedOut++;
+          record("failed", reason);
+        }
+      } else {
+        report.stillPending++;
+      }
+    }
+
+    // Renewals and upgrades charge an already-active subscription, so they are found
+    // through the ledger rather than by subscription status
+    const topUps = await Payment.find({
+      purpose: { $ne: "subscription" },
+      status: "pending",
+      checkoutRequestId: { $exists: true },
+      createdAt: { $lte: new Date(now - minAgeMinutes * 60 * 1000) }
+    })
+      .sort({ createdAt: 1 })
+      .limit(batchSize);
+
+    for (const payment of topUps) {
+      report.checked++;
+      const timedOut = now - payment.createdAt.getTime() > timeoutMinutes * 60 * 1000;
+      const record = (to, reason) => report.changes.push({
+        paymentId: payment._id.toString(),
+        subscriptionId: payment.subscriptionId.toString(),
+        userId: payment.userId,
+        purpose: payment.purpose,
+        from: "pending",
+        to,
+        reason
+      });
+
+      if (queryDelayMs > 0) {
+        await sleep(queryDelayMs);
+      }
+
+      let status;
+      try {
+        status = await queryPayment(payment);
+      } catch (error) {
+        report.errors++;
+        console.error("⚠️ Reconciliation query failed:", {
+          paymentId: payment._id.toString(),
+          error: error.message
+        });
+        if (now - payment.createdAt.getTime() > giveUpHours * 3600 * 1000) {
+          const reason = queryErrorReason(error);
+          const failed = await failPendingTopUp(payment, reason);
+          if (failed.outcome === "failed") {
+            report.timedOut++;
+            record("failed", reason);
+          }
+        }
+        continue;
+      }
+
+      const result = await applyPaymentQueryResult(payment, status, { actor: "system:reconciler" });
+
+      if (result.outcome === "success") {
+        report.activated++;
+        record("success", status.resultDesc);
+      } else if (result.outcome === "failed") {
+        report.failed++;
+        record("failed", status.resultDesc);
+      } else if (result.outcome === "pending" && timedOut) {
+        const reason = timeoutReason(payment, status);
+        const failed = await failPendingTopUp(payment, reason);
+        if (failed.outcome === "failed") {
+          report.timedOut++;
+          record("failed", reason);
+        }
+      } else {
+        report.stillPending++;
+      }
+    }
+
+    // Refund payouts with no clear outcome: ask the provider again (at most
+    // once per timeout period) until it answers or an admin resolves them.
+    // Payouts still processing after minAge (Airtel payouts and card refunds
+    // the provider queued, B2C results that never came) are polled too.
+    const notQueriedSince = minutes => ({
+      $or: [
+        { "statusQuery.requestedAt": { $exists: false } },
+        { "statusQuery.requestedAt": { $lte: new Date(now - minutes * 60 * 1000) } }
+      ]
+    });
+    const openRefunds = await Refund.find({
+      $or: [
+        { status: "unknown", ...notQueriedSince(timeoutMinutes) },
+        {
+          status: "processing",
+          reviewedAt: { $lte: new Date(now - minAgeMinutes * 60 * 1000) },
+          ...notQueriedSince(minAgeMinutes)
+        }
+      ]
+    })
+      .sort({ updatedAt: 1 })
+      .limit(batchSize);
+
+    for (const refund of openRefunds) {
+      if (queryDelayMs > 0) {
+        await sleep(queryDelayMs);
+      }
+
+      const result = await reconcileRefund(refund._id);
+      if (result.status === 502) {
+        report.errors++;
+        console.error("⚠️ Refund status query failed:", {
+          refundId: refund._id.toString(),
+          error: result.error
+        });
+      } else if (!result.error) {
+        report.refundsQueried++;
+        if (result.refund.status !== refund.status) {
+          report.changes.push({
+            refundId: refund._id.toString(),
+            userId: refund.userId,
+            from: refund.status,
+            to: result.refund.status,
+            reason: result.refund.resultDesc
+          });
+        }
+      }
+    }
+
+    console.log("✅ Pending reconciliation finished:", {
+      checked: report.checked,
+      activated: report.activated,
+      failed: report.failed,
+      timedOut: report.timedOut,
+      stillPending: report.stillPending,
+      refundsQueried: report.refundsQueried,
+      errors: report.errors
+    });
+    for (const change of report.changes) {
+      console.log("   ↪", change);
+    }
+
+    return report;
+  } catch (error) {
+    console.error("❌ Error reconciling pending subscriptions:", error);
+    throw error;
+  } finally {
+    running = false;
+  }
+};
+
+export const schedulePendingReconciliation = () => {
+  schedule(process.env.RECONCILE_CRON || '*/5 * * * *', async () => {
+    try {
+      await reconcilePendingSubscriptions();
+    } catch (error) {
+      console.error("Scheduled pending reconciliation failed:", error);
+    }
+  });
+
+  console.log("✅ Pending subscription reconciliation scheduled");
+};
@@ -0,0 +1,35 @@
+import { schedule } from "node-cron";
+import { retryDueWebhooks } from "../lib/webhooks.js";
+
+let running = false;
+
+// Resend webhook deliveries whose backoff has elapsed
+export const processWebhookRetries = async () => {
+  if (running) return null;
+
+  running = true;
+  try {
+    const result = await retryDueWebhooks();
+    if (result.attempted > 0) {
+      console.log(`🔁 Webhook retries: ${result.delivered}/${result.attempted} delivered`);
+    }
+    return result;
+  } catch (error) {
+    console.error("❌ Error retrying webhooks:", error);
+    throw error;
+  } finally {
+    running = false;
+  }
+};
+
+export const scheduleWebhookRetries = () => {
+  schedule(process.env.WEBHOOK_RETRY_CRON || '* * * * *', async () => {
+    try {
+      await processWebhookRetries();
+    } catch (error) {
+      console.error("Scheduled webhook retries failed:", error);
+    }
+  });
+
+  console.log("✅ Webhook retries scheduled");
+};
@@ -17,7 +17,8 @@ const seedPlans = async () => {
         amount: 50,
         durationHours: 1,
         durationDays: null,
-        description: "Play games for 1 hour"
+        description: "Play games for 1 hour",
+        startsOn: "first_check_in"
       },
       {
         category: "gaming",
@@ -25,7 +26,8 @@ const seedPlans = async () => {
         amount: 300,
         durationHours: null,
         durationDays: 1,
-        description: "Unlimited gaming for 24 hours"
+        description: "Unlimited gaming for 24 hours",
+        startsOn: "first_check_in"
       },
       {
         category: "gaming",
@@ -67,7 +69,8 @@ const seedPlans = async () => {
         amount: 3500,
         durationHours: null,
         durationDays: 30,
-        description: "Full gym access for 1 month"
+        description: "Full gym access for 1 month",
+        maxFreezeDays: 7
       },
       {
         category: "gym",
@@ -75,7 +78,8 @@ const seedPlans = async () => {
         amount: 30000,
         durationHours: null,
         durationDays: 365,
-        description: "Full gym access for 1 year"
+        description: "Full gym access for 1 year",
+        maxFreezeDays: 30
       },
       
       // Additional example plans
@@ -110,13 +114,34 @@ const seedPlans = async () => {
         durationHours: null,
         durationDays: 30,
         description: "Access to sports facilities for 1 month"
+      },
+
+      // Bundles: one payment, a linked subscription per component
+      {
+        category: "bundle",
+        plan: "Gym + Gaming Weekend",
+        amount: 800,
+        durationHours: null,
+        durationDays: 2,
+        description: "Gym access and unlimited gaming for 2 days",
+        components: [
+          { category: "gym", durationHours: null, durationDays: 2 },
+          { category: "gaming", durationHours: null, durationDays: 2 }
+        ]
       }
     ];
 
     await Plan.deleteMany({});
     console.log("✅ Cleared existing plans");
     
-    await Plan.insertMany(plans);
+    // Keep the listed order as the default display order per category
+    const positions = {};
+    const orderedPlans = plans.map(p => {
+      positions[p.category] = (positions[p.category] ?? -1) + 1;
+      return { ...p, sortOrder: positions[p.category] };
+    });
+
+    await Plan.insertMany(orderedPlans);
     console.log("✅ Plans seeded successfully!");
     
     // Display the seeded plans
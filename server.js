@@ -3,12 +3,25 @@ import mongoose from "mongoose";
 import cors from "cors";
 import dotenv from "dotenv";
 import subscriptionRoutes from "./routes/subscription.js";
+import adminRoutes from "./routes/admin.js";
+import staffRoutes from "./routes/staff.js";
 import { scheduleSubscriptionExpiryCheck } from "./scripts/expiryChecker.js";
+import { schedulePendingReconciliation } from "./scripts/reconcilePending.js";
+import { scheduleExpiryReminders } from "./scripts/expiryReminders.js";
+import { scheduleWebhookRetries } from "./scripts/webhookRetries.js";
+import { buildOpenApiDocument } from "./lib/openapi.js";
 
 dotenv.config();
 
 const app = express();
 
+// Behind a load balancer (e.g. Render) req.ip is only the real client address
+// when Express trusts the proxy. TRUST_PROXY is a hop count or address list.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Environment validation
 const requiredEnvVars = ['MONGO_URI'];
 for (const envVar of requiredEnvVars) {
@@ -135,6 +148,8 @@ app.use(express.json({
     } catch (e) {
       throw new Error('Invalid JSON');
     }
+    // Card gateway webhooks are signed over the exact bytes sent
+    req.rawBody = buf;
   }
 }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -149,6 +164,26 @@ app.use((req, res, next) => {
 
 // Routes
 app.use("/api/subscriptions", subscriptionRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/staff", staffRoutes);
+
+// OpenAPI document generated from the routes' request schemas
+let openApiDocument;
+app.get("/api/openapi.json", (req, res) => {
+  openApiDocument ||= buildOpenApiDocument(
+    [
+      { prefix: "/api/subscriptions", router: subscriptionRoutes, tag: "Subscriptions" },
+      { prefix: "/api/admin", router: adminRoutes, tag: "Admin" },
+      { prefix: "/api/staff", router: staffRoutes, tag: "Staff" }
+    ],
+    {
+      title: "GameHub API",
+      version: process.env.npm_package_version || '1.0.0',
+      serverUrl: process.env.BASE_URL
+    }
+  );
+  res.json(openApiDocument);
+});
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -178,7 +213,10 @@ app.get("/", (req, res) => {
     version: process.env.npm_package_version || '1.0.0',
     endpoints: {
       health: "/health",
-      subscriptions: "/api/subscriptions"
+      subscriptions: "/api/subscriptions",
+      admin: "/api/admin",
+      staff: "/api/staff",
+      openapi: "/api/openapi.json"
     },
     cors: {
       requestOrigin: req.headers.origin || 'no origin',
@@ -285,6 +323,9 @@ const connectDB = async (retries = 5, delay = 5000) => {
       // Start background jobs after successful DB connection
       try {
         scheduleSubscriptionExpiryCheck();
+        schedulePendingReconciliation();
+        scheduleExpiryReminders();
+        scheduleWebhookRetries();
         console.log("✅ Background jobs scheduled");
       } catch (jobError) {
         console.error('⚠️ Failed to start background jobs:', jobError.message);